@@ -0,0 +1,28 @@
+import React from 'react';
+import { Music } from 'lucide-react';
+import { getPaletteGradient } from '../utils/colorUtils';
+
+const AlbumArt = ({ track, className = 'w-16 h-16', iconClassName = 'w-8 h-8', rounded = 'rounded-lg' }) => {
+  if (track?.artwork) {
+    return (
+      // Artwork is a blob URL from the file's own tags, so next/image optimisation does not apply
+      // eslint-disable-next-line @next/next/no-img-element
+      <img
+        src={track.artwork}
+        alt={track.album ? `${track.album} cover` : 'Album cover'}
+        className={`${className} ${rounded} object-cover flex-shrink-0 shadow-lg`}
+      />
+    );
+  }
+
+  return (
+    <div
+      className={`${className} ${rounded} flex-shrink-0 bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center`}
+      style={{ backgroundImage: getPaletteGradient(track?.palette, 'to bottom right') }}
+    >
+      <Music className={`${iconClassName} text-white`} />
+    </div>
+  );
+};
+
+export default AlbumArt;
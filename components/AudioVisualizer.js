@@ -1,43 +1,44 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-
-const AudioVisualizer = ({ audioElement, isPlaying }) => {
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { getPaletteColors, rgbToCss, shadeColor } from '../utils/colorUtils';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import {
+  attachMediaElement,
+  createAnalyserTap,
+  removeAnalyserTap,
+  resumeAudioEngine
+} from '../utils/audioEngine';
+
+const FFT_SIZE = 256;
+
+// Without an audioElement it shows whatever else feeds the engine, such as the signal generator,
+// for as long as isPlaying is set
+const AudioVisualizer = ({ audioElement, isPlaying, palette = null }) => {
   const canvasRef = useRef(null);
   const animationIdRef = useRef(null);
-  const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
-  const sourceRef = useRef(null);
   const dataArrayRef = useRef(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const engine = useAudioEngine();
 
-  const initializeAudioContext = useCallback(async () => {
-    if (!audioElement || isInitialized) return;
+  const initializeAudioContext = useCallback(() => {
+    if (isInitialized) return;
+    if (audioElement && !attachMediaElement(audioElement)) return;
 
-    try {
-      // Create audio context
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      audioContextRef.current = new AudioContext();
-      
-      // Create analyser node
-      analyserRef.current = audioContextRef.current.createAnalyser();
-      analyserRef.current.fftSize = 256;
-      
-      // Create source from audio element
-      sourceRef.current = audioContextRef.current.createMediaElementSource(audioElement);
-      
-      // Connect nodes
-      sourceRef.current.connect(analyserRef.current);
-      analyserRef.current.connect(audioContextRef.current.destination);
-      
-      // Create data array
-      const bufferLength = analyserRef.current.frequencyBinCount;
-      dataArrayRef.current = new Uint8Array(bufferLength);
-      
-      setIsInitialized(true);
-    } catch (error) {
-      console.error('Error initializing audio context:', error);
-    }
+    analyserRef.current = createAnalyserTap({ fftSize: FFT_SIZE });
+    if (!analyserRef.current) return;
+    dataArrayRef.current = new Uint8Array(analyserRef.current.frequencyBinCount);
+    setIsInitialized(true);
   }, [audioElement, isInitialized]);
 
+  // One color per frequency bin, taken from the current track's artwork palette
+  const barColors = useMemo(() => {
+    if (!palette) return null;
+    return getPaletteColors(palette, FFT_SIZE / 2).map(color => ({
+      top: rgbToCss(color),
+      bottom: rgbToCss(shadeColor(color, -0.35))
+    }));
+  }, [palette]);
+
   const draw = useCallback(() => {
     if (!canvasRef.current || !analyserRef.current || !dataArrayRef.current) return;
 
@@ -51,7 +52,7 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
 
     // Clear canvas with gradient background
     const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, 'rgba(139, 69, 19, 0.1)');
+    gradient.addColorStop(0, palette ? rgbToCss(palette.dominant, 0.1) : 'rgba(139, 69, 19, 0.1)');
     gradient.addColorStop(1, 'rgba(0, 0, 0, 0.9)');
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, width, height);
@@ -63,16 +64,19 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
     for (let i = 0; i < dataArrayRef.current.length; i++) {
       const barHeight = (dataArrayRef.current[i] / 255) * height * 0.8;
       
+      const topColor = barColors ? barColors[i].top : `hsl(${i * 2}, 70%, 60%)`;
+      const bottomColor = barColors ? barColors[i].bottom : `hsl(${i * 2}, 50%, 40%)`;
+
       // Create gradient for bars
       const barGradient = ctx.createLinearGradient(0, height - barHeight, 0, height);
-      barGradient.addColorStop(0, `hsl(${i * 2}, 70%, 60%)`);
-      barGradient.addColorStop(1, `hsl(${i * 2}, 50%, 40%)`);
+      barGradient.addColorStop(0, topColor);
+      barGradient.addColorStop(1, bottomColor);
       
       ctx.fillStyle = barGradient;
       ctx.fillRect(x, height - barHeight, barWidth, barHeight);
       
       // Add glow effect
-      ctx.shadowColor = `hsl(${i * 2}, 70%, 60%)`;
+      ctx.shadowColor = topColor;
       ctx.shadowBlur = 10;
       ctx.fillRect(x, height - barHeight, barWidth, barHeight);
       ctx.shadowBlur = 0;
@@ -107,23 +111,26 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
     if (isPlaying) {
       animationIdRef.current = requestAnimationFrame(draw);
     }
-  }, [isPlaying]);
+  }, [isPlaying, palette, barColors]);
 
-  // Initialize audio context when audio element changes
+  // Initialize audio context when there is an audio element, or something else starts playing
   useEffect(() => {
-    if (audioElement && !isInitialized) {
+    if ((audioElement || isPlaying) && !isInitialized) {
       initializeAudioContext();
     }
-  }, [audioElement, initializeAudioContext, isInitialized]);
+  }, [audioElement, isPlaying, initializeAudioContext, isInitialized]);
 
   // Handle play/pause
   useEffect(() => {
-    if (!isInitialized || !audioContextRef.current) return;
+    if (!isInitialized) return;
 
     if (isPlaying) {
-      // Resume audio context if suspended
-      if (audioContextRef.current.state === 'suspended') {
-        audioContextRef.current.resume();
+      // Make sure this element is the one feeding the shared engine, and that it is running
+      if (audioElement) {
+        attachMediaElement(audioElement);
+      }
+      if (engine.state === 'suspended') {
+        resumeAudioEngine();
       }
       draw();
     } else {
@@ -139,7 +146,7 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
         cancelAnimationFrame(animationIdRef.current);
       }
     };
-  }, [isPlaying, isInitialized, draw]);
+  }, [isPlaying, isInitialized, draw, audioElement, engine.state]);
 
   // Handle canvas resize
   useEffect(() => {
@@ -164,9 +171,7 @@ const AudioVisualizer = ({ audioElement, isPlaying }) => {
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current);
       }
-      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-        audioContextRef.current.close();
-      }
+      removeAnalyserTap(analyserRef.current);
     };
   }, []);
 
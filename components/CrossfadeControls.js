@@ -0,0 +1,56 @@
+import React from 'react';
+import { Blend } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { MAX_CROSSFADE_DURATION, CROSSFADE_CURVES } from '../utils/crossfadeUtils';
+
+const CrossfadeControls = ({ settings, onChange }) => {
+  const isEnabled = settings.duration > 0;
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Blend className="w-4 h-4 mr-2" />
+            <span className="font-medium">Crossfade</span>
+          </div>
+          <span className="text-sm text-slate-400">
+            {isEnabled ? `${settings.duration.toFixed(1)} s` : 'Off'}
+          </span>
+        </div>
+
+        <Slider
+          value={[settings.duration]}
+          onValueChange={([value]) => onChange({ duration: value })}
+          min={0}
+          max={MAX_CROSSFADE_DURATION}
+          step={0.5}
+        />
+
+        <div className={`flex items-center space-x-2 ${isEnabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          {CROSSFADE_CURVES.map(curve => (
+            <Button
+              key={curve.value}
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange({ curve: curve.value })}
+              className={`flex-1 hover:bg-white/10 ${
+                settings.curve === curve.value ? 'bg-white/10 text-white' : 'text-slate-400'
+              }`}
+            >
+              {curve.label}
+            </Button>
+          ))}
+        </div>
+
+        <p className="text-xs text-slate-500 border-t border-slate-700/50 pt-3">
+          Tracks from the same album always play straight through.
+        </p>
+      </div>
+    </Card>
+  );
+};
+
+export default CrossfadeControls;
@@ -0,0 +1,131 @@
+import React from 'react';
+import { Activity, Moon, ShieldCheck } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import GainReductionMeter from './GainReductionMeter';
+import {
+  COMPRESSOR_RANGES,
+  LIMITER_CEILING_RANGE,
+  getEffectiveDynamicsSettings
+} from '../utils/dynamicsUtils';
+
+const formatDb = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`;
+const formatMs = (seconds) => `${Math.round(seconds * 1000)} ms`;
+
+const COMPRESSOR_PARAMETERS = [
+  { key: 'threshold', label: 'Threshold', step: 0.5, format: formatDb },
+  { key: 'ratio', label: 'Ratio', step: 0.1, format: (value) => `${value.toFixed(1)}:1` },
+  { key: 'knee', label: 'Knee', step: 0.5, format: formatDb },
+  { key: 'attack', label: 'Attack', step: 0.001, format: formatMs },
+  { key: 'release', label: 'Release', step: 0.01, format: formatMs },
+  { key: 'makeup', label: 'Make-up', step: 0.5, format: formatDb }
+];
+
+const ParameterSlider = ({ label, value, format, onChange, min, max, step }) => (
+  <div className="space-y-2">
+    <div className="flex items-center justify-between text-sm text-slate-400">
+      <span>{label}</span>
+      <span>{format(value)}</span>
+    </div>
+    <Slider
+      value={[value]}
+      onValueChange={([next]) => onChange(next)}
+      min={min}
+      max={max}
+      step={step}
+    />
+  </div>
+);
+
+const StageToggle = ({ enabled, onToggle, icon: Icon, label }) => (
+  <Button
+    variant="ghost"
+    size="sm"
+    onClick={onToggle}
+    className={`w-full justify-start hover:bg-white/10 ${enabled ? 'text-blue-300' : 'text-slate-400'}`}
+  >
+    <Icon className="w-4 h-4" />
+    {label}
+  </Button>
+);
+
+const DynamicsControls = ({ settings, onCompressorChange, onLimiterChange, onToggleNightMode }) => {
+  // Night mode drives the stages itself; the sliders show what it is doing
+  const { compressor, limiter } = getEffectiveDynamicsSettings(settings);
+  const isLocked = settings.nightMode;
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Activity className="w-4 h-4 mr-2" />
+            <span className="font-medium">Dynamics</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onToggleNightMode}
+            className={`hover:bg-white/10 ${settings.nightMode ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+          >
+            <Moon className="w-4 h-4" />
+            Night mode
+          </Button>
+        </div>
+
+        <div className={`space-y-4 ${isLocked ? 'opacity-50 pointer-events-none' : ''}`}>
+          <StageToggle
+            enabled={compressor.enabled}
+            onToggle={() => onCompressorChange({ enabled: !compressor.enabled })}
+            icon={Activity}
+            label="Compressor"
+          />
+
+          <div className={`grid grid-cols-2 gap-4 ${compressor.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            {COMPRESSOR_PARAMETERS.map(parameter => (
+              <ParameterSlider
+                key={parameter.key}
+                label={parameter.label}
+                value={compressor[parameter.key]}
+                format={parameter.format}
+                onChange={(value) => onCompressorChange({ [parameter.key]: value })}
+                min={COMPRESSOR_RANGES[parameter.key][0]}
+                max={COMPRESSOR_RANGES[parameter.key][1]}
+                step={parameter.step}
+              />
+            ))}
+          </div>
+
+          <div className="space-y-4 border-t border-slate-700/50 pt-3">
+            <StageToggle
+              enabled={limiter.enabled}
+              onToggle={() => onLimiterChange({ enabled: !limiter.enabled })}
+              icon={ShieldCheck}
+              label="Limiter"
+            />
+
+            <div className={limiter.enabled ? '' : 'opacity-50 pointer-events-none'}>
+              <ParameterSlider
+                label="Ceiling"
+                value={limiter.ceiling}
+                format={formatDb}
+                onChange={(value) => onLimiterChange({ ceiling: value })}
+                min={LIMITER_CEILING_RANGE[0]}
+                max={LIMITER_CEILING_RANGE[1]}
+                step={0.1}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between text-xs text-slate-500 border-t border-slate-700/50 pt-3">
+          <span>Gain reduction</span>
+          <GainReductionMeter />
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default DynamicsControls;
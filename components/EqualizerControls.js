@@ -0,0 +1,260 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { SlidersHorizontal, X, Save } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { Input } from './ui/input';
+import {
+  EQ_FREQUENCIES,
+  EQ_GAIN_RANGE,
+  EQ_Q_RANGE,
+  getResponseFrequencies,
+  getEqualizerResponse
+} from '../utils/equalizerUtils';
+
+const CURVE_HEIGHT = 96;
+const CURVE_RANGE = 15; // dB above and below the centre line
+const CURVE_MIN_FREQUENCY = 20;
+const CURVE_MAX_FREQUENCY = 20000;
+const RESPONSE_FREQUENCIES = getResponseFrequencies(192, CURVE_MIN_FREQUENCY, CURVE_MAX_FREQUENCY);
+// The shared slider is laid out horizontally; standing it up means turning its track and range too
+const VERTICAL_SLIDER_CLASS = [
+  'h-full w-auto flex-1 flex-col',
+  '[&>span:first-child]:h-full [&>span:first-child]:w-1.5',
+  '[&>span:first-child>span]:h-auto [&>span:first-child>span]:w-full'
+].join(' ');
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : `${Math.floor(frequency)}`
+);
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain.toFixed(1)} dB`;
+
+const getFrequencyX = (frequency, width) => (
+  (Math.log(frequency / CURVE_MIN_FREQUENCY) / Math.log(CURVE_MAX_FREQUENCY / CURVE_MIN_FREQUENCY)) * width
+);
+
+const ResponseCurve = ({ response, enabled }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(CURVE_HEIGHT * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, CURVE_HEIGHT);
+
+    const middle = CURVE_HEIGHT / 2;
+    const getY = (db) => middle - (Math.max(-CURVE_RANGE, Math.min(CURVE_RANGE, db)) / CURVE_RANGE) * middle;
+
+    // Grid: 0 dB plus ±6 and ±12, and a line at each band centre
+    ctx.fillStyle = 'rgba(148, 163, 184, 0.15)';
+    [-12, -6, 6, 12].forEach(db => ctx.fillRect(0, Math.round(getY(db)), width, 1));
+    EQ_FREQUENCIES.forEach(frequency => ctx.fillRect(Math.round(getFrequencyX(frequency, width)), 0, 1, CURVE_HEIGHT));
+    ctx.fillStyle = 'rgba(148, 163, 184, 0.4)';
+    ctx.fillRect(0, Math.round(middle), width, 1);
+
+    if (!response) return;
+
+    ctx.beginPath();
+    for (let i = 0; i < response.length; i++) {
+      const x = getFrequencyX(RESPONSE_FREQUENCIES[i], width);
+      const y = getY(response[i]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+
+    ctx.strokeStyle = enabled ? '#93c5fd' : 'rgba(148, 163, 184, 0.6)'; // blue-300, as the other toggles
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.lineTo(width, middle);
+    ctx.lineTo(0, middle);
+    ctx.closePath();
+    ctx.fillStyle = enabled ? 'rgba(147, 197, 253, 0.15)' : 'rgba(148, 163, 184, 0.1)';
+    ctx.fill();
+  }, [response, enabled, width]);
+
+  return (
+    <div ref={containerRef} className="w-full rounded-md bg-slate-950/50" style={{ height: CURVE_HEIGHT }}>
+      <canvas ref={canvasRef} className="w-full h-full" />
+    </div>
+  );
+};
+
+const EqualizerControls = ({
+  settings,
+  sampleRate,
+  presets,
+  onChange,
+  onToggle,
+  onBandChange,
+  onSelectPreset,
+  onSavePreset,
+  onDeletePreset
+}) => {
+  const [selectedBand, setSelectedBand] = useState(null);
+  const [presetName, setPresetName] = useState('');
+
+  const response = useMemo(() => (
+    getEqualizerResponse(settings, RESPONSE_FREQUENCIES, sampleRate)
+  ), [settings, sampleRate]);
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+    onSavePreset(presetName);
+    setPresetName('');
+  };
+
+  const band = selectedBand !== null ? settings.bands[selectedBand] : null;
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <SlidersHorizontal className="w-4 h-4 mr-2" />
+            <span className="font-medium">Equalizer</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onToggle}
+            className={`hover:bg-white/10 ${settings.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+          >
+            {settings.enabled ? 'On' : 'Off'}
+          </Button>
+        </div>
+
+        <ResponseCurve response={response} enabled={settings.enabled} />
+
+        <div className="flex flex-wrap gap-2">
+          {presets.map(preset => {
+            const isCustom = preset.id.startsWith('custom-');
+            const isActive = settings.presetId === preset.id;
+
+            return (
+              <div key={preset.id} className="flex items-center">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onSelectPreset(preset.id)}
+                  className={`hover:bg-white/10 ${isActive ? 'bg-white/10 text-white' : 'text-slate-400'}`}
+                >
+                  {preset.name}
+                </Button>
+                {isCustom && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onDeletePreset(preset.id)}
+                    title={`Delete ${preset.name}`}
+                    className="px-1 text-slate-500 hover:text-slate-300 hover:bg-white/10"
+                  >
+                    <X className="w-3 h-3" />
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          <div className="flex items-stretch justify-between h-40">
+            <div className="flex flex-col items-center pr-3 mr-1 border-r border-slate-700/50">
+              <Slider
+                orientation="vertical"
+                value={[settings.preamp]}
+                onValueChange={([value]) => onChange({ preamp: value })}
+                min={-EQ_GAIN_RANGE}
+                max={EQ_GAIN_RANGE}
+                step={0.5}
+                className={VERTICAL_SLIDER_CLASS}
+              />
+              <span className="mt-2 text-[10px] text-slate-400">Pre</span>
+            </div>
+
+            {EQ_FREQUENCIES.map((frequency, index) => (
+              <div key={frequency} className="flex flex-col items-center">
+                <Slider
+                  orientation="vertical"
+                  value={[settings.bands[index].gain]}
+                  onValueChange={([value]) => onBandChange(index, { gain: value })}
+                  min={-EQ_GAIN_RANGE}
+                  max={EQ_GAIN_RANGE}
+                  step={0.5}
+                  className={VERTICAL_SLIDER_CLASS}
+                />
+                <button
+                  type="button"
+                  onClick={() => setSelectedBand(selectedBand === index ? null : index)}
+                  title="Adjust Q"
+                  className={`mt-2 text-[10px] ${selectedBand === index ? 'text-blue-300' : 'text-slate-400 hover:text-slate-200'}`}
+                >
+                  {formatFrequency(frequency)}
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {band && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>{formatFrequency(EQ_FREQUENCIES[selectedBand])}Hz · {formatGain(band.gain)}</span>
+                <span>Q {band.q.toFixed(2)}</span>
+              </div>
+              <Slider
+                value={[band.q]}
+                onValueChange={([value]) => onBandChange(selectedBand, { q: value })}
+                min={EQ_Q_RANGE[0]}
+                max={EQ_Q_RANGE[1]}
+                step={0.01}
+              />
+            </div>
+          )}
+        </div>
+
+        <form onSubmit={handleSavePreset} className="flex items-center space-x-2 border-t border-slate-700/50 pt-3">
+          <Input
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="h-8 text-sm border-slate-700 text-slate-200"
+          />
+          <Button
+            type="submit"
+            variant="ghost"
+            size="sm"
+            disabled={!presetName.trim()}
+            className="text-slate-300 hover:bg-white/10"
+          >
+            <Save className="w-4 h-4" />
+            Save
+          </Button>
+        </form>
+      </div>
+    </Card>
+  );
+};
+
+export default EqualizerControls;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { AudioLines } from 'lucide-react';
+import { Card } from './ui/card';
+import { Slider } from './ui/slider';
+import { FADE_TIME_RANGE, SEEK_FADE_RANGE } from '../utils/transportUtils';
+
+const formatFade = (seconds) => (seconds > 0 ? `${Math.round(seconds * 1000)} ms` : 'Off');
+
+const FADES = [
+  { key: 'fadeIn', label: 'Fade in on play', range: FADE_TIME_RANGE, step: 0.01 },
+  { key: 'fadeOut', label: 'Fade out on pause', range: FADE_TIME_RANGE, step: 0.01 },
+  { key: 'seek', label: 'Seek crossfade', range: SEEK_FADE_RANGE, step: 0.005 }
+];
+
+const FadeControls = ({ settings, onChange }) => (
+  <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+    <div className="p-6 space-y-4">
+      <div className="flex items-center text-slate-300">
+        <AudioLines className="w-4 h-4 mr-2" />
+        <span className="font-medium">Transport fades</span>
+      </div>
+
+      {FADES.map(({ key, label, range, step }) => (
+        <div key={key} className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>{label}</span>
+            <span>{formatFade(settings[key])}</span>
+          </div>
+          <Slider
+            value={[settings[key]]}
+            onValueChange={([value]) => onChange({ [key]: value })}
+            min={range[0]}
+            max={range[1]}
+            step={step}
+          />
+        </div>
+      ))}
+    </div>
+  </Card>
+);
+
+export default FadeControls;
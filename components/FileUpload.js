@@ -4,16 +4,33 @@ import { Button } from './ui/button';
 import { Card } from './ui/card';
 import { Badge } from './ui/badge';
 
-const FileUpload = ({ onFileSelect, acceptedFileTypes = '.mp3,.wav,.m4a', maxFileSize = 50 * 1024 * 1024 }) => {
+const MIME_TYPES = {
+  mp3: ['audio/mpeg', 'audio/mp3'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave'],
+  m4a: ['audio/x-m4a', 'audio/mp4']
+};
+
+const FileUpload = ({
+  onFileSelect,
+  acceptedFileTypes = '.mp3,.wav,.m4a',
+  maxFileSize = 50 * 1024 * 1024,
+  label = 'Upload Audio File'
+}) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [error, setError] = useState('');
 
+  const extensions = acceptedFileTypes
+    .split(',')
+    .map(type => type.trim().replace(/^\./, '').toLowerCase())
+    .filter(Boolean);
+
   const validateFile = (file) => {
     // Check file type
-    const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/mp3', 'audio/x-m4a', 'audio/mp4'];
-    if (!allowedTypes.includes(file.type) && !file.name.match(/\.(mp3|wav|m4a)$/i)) {
-      return 'Please select a valid audio file (MP3, WAV, M4A)';
+    const allowedTypes = extensions.flatMap(extension => MIME_TYPES[extension] || []);
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!allowedTypes.includes(file.type) && !extensions.includes(extension)) {
+      return `Please select a valid audio file (${extensions.join(', ').toUpperCase()})`;
     }
 
     // Check file size
@@ -112,7 +129,7 @@ const FileUpload = ({ onFileSelect, acceptedFileTypes = '.mp3,.wav,.m4a', maxFil
 
             <div>
               <p className={`text-lg font-medium ${error ? 'text-red-700 dark:text-red-300' : 'text-gray-700 dark:text-gray-300'}`}>
-                {error || (isDragOver ? 'Drop your audio file here' : 'Upload Audio File')}
+                {error || (isDragOver ? 'Drop your audio file here' : label)}
               </p>
               {!error && (
                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
@@ -123,9 +140,9 @@ const FileUpload = ({ onFileSelect, acceptedFileTypes = '.mp3,.wav,.m4a', maxFil
 
             {!error && (
               <div className="flex flex-wrap gap-2 justify-center">
-                <Badge variant="secondary">MP3</Badge>
-                <Badge variant="secondary">WAV</Badge>
-                <Badge variant="secondary">M4A</Badge>
+                {extensions.map(extension => (
+                  <Badge key={extension} variant="secondary">{extension.toUpperCase()}</Badge>
+                ))}
               </div>
             )}
           </div>
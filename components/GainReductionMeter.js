@@ -0,0 +1,48 @@
+import React, { useEffect, useRef } from 'react';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { getInsert } from '../utils/audioEngine';
+import { getGainReduction } from '../utils/dynamicsUtils';
+
+const METER_RANGE = 20; // dB of reduction at full scale
+
+// Reads straight from the engine's dynamics insert, so it can sit next to any player's volume
+// slider. Updated outside React, as it changes every frame.
+const GainReductionMeter = ({ className = '' }) => {
+  const engine = useAudioEngine();
+  const barRef = useRef(null);
+  const labelRef = useRef(null);
+  const hasDynamics = engine.inserts.includes('dynamics');
+
+  useEffect(() => {
+    if (!hasDynamics) return;
+
+    let frame;
+    const update = () => {
+      const reduction = getGainReduction(getInsert('dynamics'));
+      if (barRef.current) {
+        barRef.current.style.width = `${Math.min(100, (reduction / METER_RANGE) * 100)}%`;
+      }
+      if (labelRef.current) {
+        labelRef.current.textContent = reduction >= 0.1 ? `-${reduction.toFixed(1)}` : '0.0';
+      }
+      frame = requestAnimationFrame(update);
+    };
+
+    frame = requestAnimationFrame(update);
+    return () => cancelAnimationFrame(frame);
+  }, [hasDynamics]);
+
+  if (!hasDynamics) return null;
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`} title="Gain reduction (dB)">
+      <span className="text-[10px] uppercase tracking-wide text-slate-500">GR</span>
+      <div className="relative w-16 h-1.5 rounded-full bg-white/10 overflow-hidden">
+        <div ref={barRef} className="absolute right-0 top-0 h-full bg-amber-400" style={{ width: 0 }} />
+      </div>
+      <span ref={labelRef} className="w-8 text-[10px] tabular-nums text-slate-400">0.0</span>
+    </div>
+  );
+};
+
+export default GainReductionMeter;
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { Repeat, TrendingUp, Save, X } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { formatTime } from '../utils/audioUtils';
+import { PRACTICE_SPEED_RANGE, PRACTICE_STEP_RANGE, isLoopActive } from '../utils/loopUtils';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const LoopControls = ({
+  loop,
+  practiceSettings,
+  practiceSpeed = 1,
+  savedLoops = [],
+  onSetStart,
+  onSetEnd,
+  onClear,
+  onPracticeChange,
+  onSaveLoop,
+  onDeleteLoop,
+  onRecallLoop
+}) => {
+  const [loopName, setLoopName] = useState('');
+  const isActive = isLoopActive(loop);
+
+  const getStatus = () => {
+    if (!loop) return 'Off';
+    if (!isActive) return `A ${formatTime(loop.start)}`;
+    return `${formatTime(loop.start)} – ${formatTime(loop.end)}`;
+  };
+
+  const handleSaveLoop = (e) => {
+    e.preventDefault();
+    onSaveLoop(loopName);
+    setLoopName('');
+  };
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Repeat className="w-4 h-4 mr-2" />
+            <span className="font-medium">A–B Loop</span>
+          </div>
+          <span className="text-sm text-slate-400">{getStatus()}</span>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onSetStart()}
+            title="Set A at the playhead ( [ )"
+            className="flex-1 text-slate-300 hover:bg-white/10"
+          >
+            Set A
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onSetEnd()}
+            title="Set B at the playhead ( ] )"
+            className="flex-1 text-slate-300 hover:bg-white/10"
+          >
+            Set B
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClear}
+            disabled={!loop}
+            title="Clear the loop ( \ )"
+            className="flex-1 text-slate-400 hover:bg-white/10"
+          >
+            Clear
+          </Button>
+        </div>
+
+        <div className="space-y-4 border-t border-slate-700/50 pt-3">
+          <div className="flex items-center justify-between">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onPracticeChange({ enabled: !practiceSettings.enabled })}
+              className={`justify-start hover:bg-white/10 ${
+                practiceSettings.enabled ? 'text-blue-300' : 'text-slate-400'
+              }`}
+            >
+              <TrendingUp className="w-4 h-4" />
+              Practice ramp
+            </Button>
+            {practiceSettings.enabled && isActive && (
+              <Badge variant="secondary" className="bg-slate-700/50 text-slate-300 border-slate-600">
+                {formatPercent(practiceSpeed)}
+              </Badge>
+            )}
+          </div>
+
+          <div className={`space-y-4 ${practiceSettings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>Start speed</span>
+                <span>{formatPercent(practiceSettings.startSpeed)}</span>
+              </div>
+              <Slider
+                value={[practiceSettings.startSpeed]}
+                onValueChange={([value]) => onPracticeChange({ startSpeed: value })}
+                min={PRACTICE_SPEED_RANGE[0]}
+                max={PRACTICE_SPEED_RANGE[1]}
+                step={0.05}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>Step per pass</span>
+                <span>+{formatPercent(practiceSettings.step)}</span>
+              </div>
+              <Slider
+                value={[practiceSettings.step]}
+                onValueChange={([value]) => onPracticeChange({ step: value })}
+                min={PRACTICE_STEP_RANGE[0]}
+                max={PRACTICE_STEP_RANGE[1]}
+                step={0.01}
+              />
+            </div>
+          </div>
+        </div>
+
+        {savedLoops.length > 0 && (
+          <div className="flex flex-wrap gap-2 border-t border-slate-700/50 pt-3">
+            {savedLoops.map(savedLoop => (
+              <div key={savedLoop.id} className="flex items-center">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onRecallLoop(savedLoop.id)}
+                  title={`${formatTime(savedLoop.start)} – ${formatTime(savedLoop.end)}`}
+                  className={`hover:bg-white/10 ${
+                    loop?.start === savedLoop.start && loop?.end === savedLoop.end
+                      ? 'bg-white/10 text-white'
+                      : 'text-slate-400'
+                  }`}
+                >
+                  {savedLoop.name}
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onDeleteLoop(savedLoop.id)}
+                  title={`Delete ${savedLoop.name}`}
+                  className="px-1 text-slate-500 hover:text-slate-300 hover:bg-white/10"
+                >
+                  <X className="w-3 h-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSaveLoop} className="flex items-center space-x-2 border-t border-slate-700/50 pt-3">
+          <Input
+            value={loopName}
+            onChange={(e) => setLoopName(e.target.value)}
+            placeholder="Loop name"
+            disabled={!isActive}
+            className="h-8 text-sm border-slate-700 text-slate-200"
+          />
+          <Button
+            type="submit"
+            variant="ghost"
+            size="sm"
+            disabled={!isActive}
+            className="text-slate-300 hover:bg-white/10"
+          >
+            <Save className="w-4 h-4" />
+            Save
+          </Button>
+        </form>
+      </div>
+    </Card>
+  );
+};
+
+export default LoopControls;
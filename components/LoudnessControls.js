@@ -0,0 +1,100 @@
+import React from 'react';
+import { Gauge, ShieldCheck, Loader2 } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { Badge } from './ui/badge';
+
+const MODES = [
+  { value: 'track', label: 'Track' },
+  { value: 'album', label: 'Album' }
+];
+
+const formatGain = (gainDb) => `${gainDb >= 0 ? '+' : ''}${gainDb.toFixed(1)} dB`;
+
+const LoudnessControls = ({ settings, onChange, normalization, isAnalyzing = false }) => {
+  const getStatus = () => {
+    if (!settings.enabled) return 'Off';
+    if (!normalization) return isAnalyzing ? 'Analyzing…' : 'No loudness data';
+    return `${formatGain(normalization.gainDb)} · ${normalization.source}`;
+  };
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Gauge className="w-4 h-4 mr-2" />
+            <span className="font-medium">Loudness</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ enabled: !settings.enabled })}
+            className={`hover:bg-white/10 ${settings.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+          >
+            {settings.enabled ? 'On' : 'Off'}
+          </Button>
+        </div>
+
+        <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          <div className="flex items-center space-x-2">
+            {MODES.map(mode => (
+              <Button
+                key={mode.value}
+                variant="ghost"
+                size="sm"
+                onClick={() => onChange({ mode: mode.value })}
+                className={`flex-1 hover:bg-white/10 ${
+                  settings.mode === mode.value ? 'bg-white/10 text-white' : 'text-slate-400'
+                }`}
+              >
+                {mode.label}
+              </Button>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm text-slate-400">
+              <span>Target</span>
+              <span>{settings.targetLufs} LUFS</span>
+            </div>
+            <Slider
+              value={[settings.targetLufs]}
+              onValueChange={([value]) => onChange({ targetLufs: value })}
+              min={-30}
+              max={-8}
+              step={1}
+            />
+          </div>
+
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ preventClipping: !settings.preventClipping })}
+            className={`w-full justify-start hover:bg-white/10 ${
+              settings.preventClipping ? 'text-blue-300' : 'text-slate-400'
+            }`}
+          >
+            <ShieldCheck className="w-4 h-4" />
+            Prevent clipping
+          </Button>
+        </div>
+
+        <div className="flex items-center justify-between text-xs text-slate-500 border-t border-slate-700/50 pt-3">
+          <span className="flex items-center">
+            {isAnalyzing && !normalization && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+            {getStatus()}
+          </span>
+          {normalization?.isLimited && settings.enabled && (
+            <Badge variant="secondary" className="bg-slate-700/50 text-slate-300 border-slate-600">
+              Peak limited
+            </Badge>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default LoudnessControls;
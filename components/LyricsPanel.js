@@ -0,0 +1,101 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Mic } from 'lucide-react';
+import { Card } from './ui/card';
+import { Badge } from './ui/badge';
+import { getActiveLineIndex } from '../utils/lyricsUtils';
+
+const LyricsPanel = ({ lyrics, currentTime = 0, onSeek }) => {
+  const containerRef = useRef(null);
+  const lineRefs = useRef([]);
+
+  const lines = useMemo(() => lyrics?.lines || [], [lyrics]);
+  const activeIndex = lyrics?.synced ? getActiveLineIndex(lines, currentTime) : -1;
+
+  // Keep the active line centred without scrolling the page itself
+  useEffect(() => {
+    const container = containerRef.current;
+    const line = lineRefs.current[activeIndex];
+    if (!container || !line) return;
+
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.clientHeight / 2,
+      behavior: 'smooth'
+    });
+  }, [activeIndex]);
+
+  const handleLineClick = (line) => {
+    if (lyrics?.synced && onSeek && line.time !== null) {
+      onSeek(line.time);
+    }
+  };
+
+  const renderWords = (line, isActive) => {
+    if (!isActive || !line.words) return line.text || (lyrics.synced ? '♪' : '\u00a0');
+
+    return line.words.map((word, i) => (
+      <span
+        key={i}
+        className={`transition-colors duration-150 ${
+          word.time <= currentTime ? 'text-white' : 'text-slate-400'
+        }`}
+      >
+        {word.text}
+      </span>
+    ));
+  };
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center text-slate-300">
+            <Mic className="w-4 h-4 mr-2" />
+            <span className="font-medium">Lyrics</span>
+          </div>
+          {lyrics && (
+            <Badge variant="secondary" className="bg-slate-700/50 text-slate-300 border-slate-600">
+              {lyrics.synced ? 'Synced' : 'Plain'}
+            </Badge>
+          )}
+        </div>
+
+        {lines.length === 0 ? (
+          <div className="h-64 flex items-center justify-center text-slate-500 text-sm">
+            No lyrics for this track
+          </div>
+        ) : (
+          <div ref={containerRef} className="relative h-64 overflow-y-auto space-y-2 pr-2">
+            {lines.map((line, index) => {
+              const isActive = index === activeIndex;
+              const isPast = lyrics.synced && index < activeIndex;
+
+              return (
+                <motion.p
+                  key={`${index}-${line.time}`}
+                  ref={el => { lineRefs.current[index] = el; }}
+                  onClick={() => handleLineClick(line)}
+                  animate={{ scale: isActive ? 1.03 : 1, opacity: isActive || !lyrics.synced ? 1 : 0.6 }}
+                  transition={{ duration: 0.2 }}
+                  className={`origin-left leading-relaxed ${
+                    lyrics.synced ? 'cursor-pointer hover:text-white' : ''
+                  } ${
+                    isActive
+                      ? 'text-lg font-semibold text-blue-300'
+                      : isPast
+                        ? 'text-slate-500'
+                        : 'text-slate-300'
+                  }`}
+                >
+                  {renderWords(line, isActive)}
+                </motion.p>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default LyricsPanel;
@@ -4,6 +4,28 @@ import { Card, CardContent } from './ui/card';
 import { Slider } from './ui/slider';
 import { Play, Pause, SkipBack, SkipForward, Volume2, Upload, Music } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import AlbumArt from './AlbumArt';
+import GainReductionMeter from './GainReductionMeter';
+import {
+  extractMetadata,
+  getTrackDuration,
+  seekAudioElement,
+  getAudioElementTime
+} from '../utils/audioUtils';
+import { findSidecarLyrics } from '../utils/lyricsUtils';
+import { analyzeAudioFile } from '../utils/analysisUtils';
+import {
+  attachMediaElement,
+  createAnalyserTap,
+  removeAnalyserTap,
+  resumeAudioEngine
+} from '../utils/audioEngine';
+import { waitForSeek } from '../utils/transportUtils';
+import { useGaplessPlayback } from '../hooks/useGaplessPlayback';
+import { useTransportFades } from '../hooks/useTransportFades';
+
+// Resuming closer than this to where the element already is does not seek it
+const SEEK_TOLERANCE = 0.25;
 
 const Mp3Player = ({ onVisualizerData }) => {
   const [isPlaying, setIsPlaying] = useState(false);
@@ -16,44 +38,30 @@ const Mp3Player = ({ onVisualizerData }) => {
 
   const audioRef = useRef(null);
   const fileInputRef = useRef(null);
-  const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const animationRef = useRef(null);
+  const autoplayRef = useRef(false);
+  const { settings: fades, transport } = useTransportFades();
 
-  // Initialize audio context for visualizer
-  useEffect(() => {
-    const initAudioContext = async () => {
-      try {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        analyserRef.current = audioContextRef.current.createAnalyser();
-        analyserRef.current.fftSize = 256;
-      } catch (error) {
-        console.warn('Audio context not supported:', error);
-      }
-    };
+  // Only auto-advance within the playlist; the last track ends playback
+  const nextTrack = currentTrackIndex < playlist.length - 1 ? playlist[currentTrackIndex + 1] : null;
 
-    initAudioContext();
+  // Tap the shared audio engine for the visualizer
+  useEffect(() => {
+    analyserRef.current = createAnalyserTap({ fftSize: 256 });
 
     return () => {
-      if (audioContextRef.current) {
-        audioContextRef.current.close();
-      }
+      removeAnalyserTap(analyserRef.current);
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
     };
   }, []);
 
-  // Connect audio element to analyser when track changes
+  // Route the audio element through the engine once there is something to play
   useEffect(() => {
-    if (audioRef.current && audioContextRef.current && analyserRef.current && currentTrack) {
-      try {
-        const source = audioContextRef.current.createMediaElementSource(audioRef.current);
-        source.connect(analyserRef.current);
-        analyserRef.current.connect(audioContextRef.current.destination);
-      } catch (error) {
-        // Source already connected
-      }
+    if (audioRef.current && currentTrack) {
+      attachMediaElement(audioRef.current);
     }
   }, [currentTrack]);
 
@@ -89,34 +97,85 @@ const Mp3Player = ({ onVisualizerData }) => {
     const audio = audioRef.current;
     if (!audio) return;
 
-    const updateTime = () => setCurrentTime(audio.currentTime);
-    const updateDuration = () => setDuration(audio.duration);
-    const handleEnded = () => {
-      setIsPlaying(false);
-      playNext();
+    const updateTime = () => setCurrentTime(getAudioElementTime(audio, currentTrack));
+    const updateDuration = () => setDuration(getTrackDuration(currentTrack, audio.duration));
+    const handleLoadedMetadata = () => {
+      updateDuration();
+      // A track change while playing on the element waits for the new source to load
+      if (autoplayRef.current) {
+        autoplayRef.current = false;
+        audio.play().catch(error => console.error('Error playing audio:', error));
+      }
     };
 
     audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
+    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
+    audio.addEventListener('ended', handleTrackEnd);
 
     return () => {
       audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
+      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
+      audio.removeEventListener('ended', handleTrackEnd);
     };
   }, [currentTrack]);
 
-  const handleFileUpload = (event) => {
+  const gapless = useGaplessPlayback({
+    onAdvance: (track) => {
+      // The scheduled track is already playing; just catch the UI up
+      const index = playlist.findIndex(item => item.id === track.id);
+      setCurrentTrackIndex(index);
+      setCurrentTrack(playlist[index]);
+      setCurrentTime(0);
+    },
+    onEnded: () => handleTrackEnd()
+  });
+  const { prepare, setNext, isActive: isGaplessActive, currentTime: gaplessTime } = gapless;
+
+  // Decode the current and next tracks ahead of time so they can play back to back
+  useEffect(() => {
+    if (!currentTrack) return;
+
+    let cancelled = false;
+    prepare(currentTrack);
+    prepare(nextTrack).then(() => {
+      if (!cancelled) setNext(nextTrack);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentTrack, nextTrack, prepare, setNext]);
+
+  useEffect(() => {
+    if (isGaplessActive) {
+      setCurrentTime(gaplessTime);
+    }
+  }, [isGaplessActive, gaplessTime]);
+
+  // Analyse new tracks one at a time in the background so decoding never piles up
+  const analyzeTracks = async (tracks) => {
+    for (const track of tracks) {
+      const analysis = await analyzeAudioFile(track.file);
+      const applyAnalysis = (item) => (item?.id === track.id ? { ...item, ...analysis } : item);
+
+      setPlaylist(prev => prev.map(applyAnalysis));
+      setCurrentTrack(applyAnalysis);
+    }
+  };
+
+  const handleFileUpload = async (event) => {
     const files = Array.from(event.target.files);
     const audioFiles = files.filter(file => file.type.startsWith('audio/'));
     
     if (audioFiles.length > 0) {
-      const newTracks = audioFiles.map((file, index) => ({
+      const metadataList = await Promise.all(audioFiles.map(file => (
+        extractMetadata(file, { lyricsFile: findSidecarLyrics(file, files) })
+      )));
+      const newTracks = metadataList.map((metadata, index) => ({
+        ...metadata,
         id: Date.now() + index,
-        name: file.name.replace(/\.[^/.]+$/, ''),
-        url: URL.createObjectURL(file),
-        file: file
+        name: metadata.title,
+        file: audioFiles[index]
       }));
 
       setPlaylist(prev => [...prev, ...newTracks]);
@@ -125,56 +184,120 @@ const Mp3Player = ({ onVisualizerData }) => {
         setCurrentTrack(newTracks[0]);
         setCurrentTrackIndex(playlist.length);
       }
+
+      analyzeTracks(newTracks);
+    }
+  };
+
+  // Decoded tracks play gaplessly on buffer sources; until a track is decoded the element plays it
+  const startPlayback = async (track, offset = 0) => {
+    const audio = audioRef.current;
+    attachMediaElement(audio);
+    await resumeAudioEngine();
+    gapless.setVolume(volume);
+
+    if (gapless.play(track, offset)) {
+      audio.pause();
+      return;
+    }
+
+    if (Math.abs(getAudioElementTime(audio, track) - offset) > SEEK_TOLERANCE) {
+      seekAudioElement(audio, track, offset);
     }
+    await audio.play();
   };
 
   const togglePlayPause = async () => {
     if (!audioRef.current || !currentTrack) return;
 
     try {
-      if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-
       if (isPlaying) {
-        audioRef.current.pause();
+        setIsPlaying(false);
+        await transport.stopWithFade(() => {
+          if (gapless.isActive) {
+            setCurrentTime(gapless.pause());
+          } else {
+            audioRef.current.pause();
+          }
+        }, fades.fadeOut);
       } else {
-        await audioRef.current.play();
+        await transport.startWithFade(() => {
+          // Still sounding if this cuts a pause's fade-out short
+          if (gapless.isActive || !audioRef.current.paused) return;
+          return startPlayback(currentTrack, currentTime);
+        }, fades.fadeIn);
+        setIsPlaying(true);
       }
-      setIsPlaying(!isPlaying);
     } catch (error) {
       console.error('Error playing audio:', error);
     }
   };
 
+  // Switch tracks, carrying on playing if we were
+  const changeTrack = (index, keepPlaying = isPlaying) => {
+    const track = playlist[index];
+    const isSameTrack = index === currentTrackIndex;
+
+    setCurrentTrackIndex(index);
+    setCurrentTrack(track);
+    setCurrentTime(0);
+    setIsPlaying(keepPlaying);
+
+    if (!keepPlaying) {
+      gapless.stop();
+      audioRef.current?.pause();
+      return;
+    }
+
+    if (isSameTrack) {
+      startPlayback(track, 0).catch(error => console.error('Error playing audio:', error));
+      return;
+    }
+    if (gapless.play(track, 0)) {
+      audioRef.current?.pause();
+      return;
+    }
+
+    // The element has to load the new source before it can play it
+    gapless.stop();
+    autoplayRef.current = true;
+  };
+
+  // A track only ends while playing, so carry straight on into the next one
+  const handleTrackEnd = () => {
+    if (currentTrackIndex < playlist.length - 1) {
+      changeTrack(currentTrackIndex + 1, true);
+    } else {
+      changeTrack(0, false);
+    }
+  };
+
   const playNext = () => {
     if (playlist.length === 0) return;
-    
-    const nextIndex = (currentTrackIndex + 1) % playlist.length;
-    setCurrentTrackIndex(nextIndex);
-    setCurrentTrack(playlist[nextIndex]);
-    setIsPlaying(false);
+    changeTrack((currentTrackIndex + 1) % playlist.length);
   };
 
   const playPrevious = () => {
     if (playlist.length === 0) return;
-    
-    const prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
-    setCurrentTrackIndex(prevIndex);
-    setCurrentTrack(playlist[prevIndex]);
-    setIsPlaying(false);
+    changeTrack(currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1);
   };
 
   const handleSeek = (value) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = value[0];
-      setCurrentTime(value[0]);
-    }
+    transport.seekWithFade(() => {
+      if (gapless.isActive) {
+        gapless.seek(value[0]);
+      } else if (audioRef.current) {
+        seekAudioElement(audioRef.current, currentTrack, value[0]);
+        return waitForSeek(audioRef.current);
+      }
+    }, fades.seek, isPlaying);
+    setCurrentTime(value[0]);
   };
 
   const handleVolumeChange = (value) => {
     const newVolume = value[0];
     setVolume(newVolume);
+    gapless.setVolume(newVolume);
     if (audioRef.current) {
       audioRef.current.volume = newVolume;
     }
@@ -196,7 +319,7 @@ const Mp3Player = ({ onVisualizerData }) => {
             type="file"
             ref={fileInputRef}
             onChange={handleFileUpload}
-            accept="audio/*"
+            accept="audio/*,.lrc"
             multiple
             className="hidden"
           />
@@ -220,12 +343,16 @@ const Mp3Player = ({ onVisualizerData }) => {
               exit={{ opacity: 0, y: -20 }}
               className="text-center space-y-2"
             >
-              <div className="w-16 h-16 mx-auto bg-gradient-to-br from-blue-500 to-purple-600 rounded-full flex items-center justify-center">
-                <Music className="w-8 h-8 text-white" />
-              </div>
+              <AlbumArt track={currentTrack} className="w-24 h-24 mx-auto" iconClassName="w-10 h-10" />
               <h3 className="text-xl font-semibold text-white truncate">
                 {currentTrack.name}
               </h3>
+              {currentTrack.artist && (
+                <p className="text-sm text-slate-300 truncate">
+                  {currentTrack.artist}
+                  {currentTrack.album && ` — ${currentTrack.album}`}
+                </p>
+              )}
               <p className="text-sm text-slate-400">
                 Track {currentTrackIndex + 1} of {playlist.length}
               </p>
@@ -308,13 +435,14 @@ const Mp3Player = ({ onVisualizerData }) => {
           <span className="text-sm text-slate-400 w-12">
             {Math.round(volume * 100)}%
           </span>
+          <GainReductionMeter />
         </div>
 
         {/* Playlist */}
         {playlist.length > 0 && (
           <div className="space-y-2">
             <h4 className="text-sm font-medium text-slate-300">Playlist</h4>
-            <div className="max-h-32 overflow-y-auto space-y-1">
+            <div className="max-h-48 overflow-y-auto space-y-1">
               {playlist.map((track, index) => (
                 <motion.div
                   key={track.id}
@@ -326,13 +454,24 @@ const Mp3Player = ({ onVisualizerData }) => {
                     setCurrentTrackIndex(index);
                     setIsPlaying(false);
                   }}
-                  className={`p-2 rounded cursor-pointer transition-colors ${
+                  className={`p-2 rounded cursor-pointer transition-colors flex items-center space-x-3 ${
                     currentTrackIndex === index
                       ? 'bg-blue-500/20 text-blue-300'
                       : 'text-slate-400 hover:bg-slate-700/50 hover:text-slate-300'
                   }`}
                 >
-                  <p className="text-sm truncate">{track.name}</p>
+                  <AlbumArt track={track} className="w-8 h-8" iconClassName="w-4 h-4" rounded="rounded" />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm truncate">{track.name}</p>
+                    {track.artist && (
+                      <p className="text-xs text-slate-500 truncate">{track.artist}</p>
+                    )}
+                  </div>
+                  {track.key && (
+                    <span className="text-xs text-slate-500 flex-shrink-0" title={track.key.name}>
+                      {track.key.camelot}
+                    </span>
+                  )}
                 </motion.div>
               ))}
             </div>
@@ -1,9 +1,31 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Button } from './ui/button';
 import { Card } from './ui/card';
 import { Slider } from './ui/slider';
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Shuffle, Repeat } from 'lucide-react';
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Shuffle, Repeat, ChevronsLeft, ChevronsRight } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import WaveformSeekbar from './WaveformSeekbar';
+import GainReductionMeter from './GainReductionMeter';
+import { seekAudioElement } from '../utils/audioUtils';
+import { getNextChapter, getPreviousChapterStart } from '../utils/chapterUtils';
+import { getCrossfadeDuration } from '../utils/crossfadeUtils';
+import { isLoopActive } from '../utils/loopUtils';
+import { useTransport } from '../hooks/useTransportFades';
+import {
+  DEFAULT_FADE_SETTINGS,
+  waitForSeek
+} from '../utils/transportUtils';
+
+// A-B loop keys, as in most DAWs and practice tools
+const LOOP_KEYS = {
+  '[': 'start',
+  ']': 'end',
+  '\\': 'clear'
+};
+
+const isTypingTarget = (target) => (
+  target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+);
 
 const PlaybackControls = ({ 
   audioRef, 
@@ -16,13 +38,54 @@ const PlaybackControls = ({
   setVolume,
   onTrackChange,
   playlist = [],
-  currentTrackIndex = 0
+  currentTrackIndex = 0,
+  onUpcomingTrackChange, // told which track follows this one, or null, so it can be made ready
+  crossfade = null, // { duration, curve }; onTrackChange then gets { crossfade: seconds } near the end
+  loop = null, // { start, end }, end being null while only A is set
+  onLoopChange,
+  fades = DEFAULT_FADE_SETTINGS, // { fadeIn, fadeOut, seek } in seconds
+  silences = [], // { start, end } stretches skip-silence passes over, shaded on the waveform
+  // A player hook's own transport; without these the controls drive audioRef themselves
+  onPlay,
+  onPause,
+  onSeek
 }) => {
   const [isMuted, setIsMuted] = useState(false);
   const [isShuffled, setIsShuffled] = useState(false);
   const [repeatMode, setRepeatMode] = useState('none'); // 'none', 'one', 'all'
-  const [isDragging, setIsDragging] = useState(false);
-  const progressRef = useRef(null);
+  const [shuffleIndex, setShuffleIndex] = useState(null);
+  const crossfadedUrlRef = useRef(null);
+  const transport = useTransport();
+  const chapters = currentTrack?.chapters || [];
+
+  // Pick the shuffled next track up front, so a crossfade, the track made ready and the skip button
+  // agree on it
+  useEffect(() => {
+    if (!isShuffled || playlist.length < 2) {
+      setShuffleIndex(null);
+      return;
+    }
+
+    let index = Math.floor(Math.random() * (playlist.length - 1));
+    if (index >= currentTrackIndex) index++;
+    setShuffleIndex(index);
+  }, [isShuffled, currentTrackIndex, playlist.length]);
+
+  // The track that follows this one when it finishes, or null when playback should stop
+  const getUpcomingIndex = useCallback(() => {
+    if (playlist.length === 0) return null;
+    if (repeatMode === 'one') return currentTrackIndex;
+    if (repeatMode !== 'all' && currentTrackIndex >= playlist.length - 1) return null;
+    if (isShuffled && shuffleIndex !== null) return shuffleIndex;
+    return (currentTrackIndex + 1) % playlist.length;
+  }, [playlist.length, repeatMode, currentTrackIndex, isShuffled, shuffleIndex]);
+
+  useEffect(() => {
+    if (!onUpcomingTrackChange) return;
+
+    const upcomingIndex = getUpcomingIndex();
+    onUpcomingTrackChange(upcomingIndex === null ? null : playlist[upcomingIndex]);
+  }, [getUpcomingIndex, playlist, onUpcomingTrackChange]);
 
   // Format time display
   const formatTime = (time) => {
@@ -32,27 +95,47 @@ const PlaybackControls = ({
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   };
 
-  // Handle play/pause
+  // Handle play/pause, fading rather than cutting in and out
   const togglePlayPause = () => {
-    if (!audioRef.current || !currentTrack) return;
-    
+    const audio = audioRef.current;
+    if (!audio || !currentTrack) return;
+
+    if (onPlay && onPause) {
+      if (isPlaying) {
+        onPause();
+      } else {
+        onPlay();
+      }
+      return;
+    }
+
     if (isPlaying) {
-      audioRef.current.pause();
+      transport.stopWithFade(() => audio.pause(), fades.fadeOut);
     } else {
-      audioRef.current.play();
+      // A pause still fading out has not stopped the element yet
+      transport.startWithFade(() => (audio.paused ? audio.play() : null), fades.fadeIn)
+        .catch(error => console.error('Error playing audio:', error));
     }
     setIsPlaying(!isPlaying);
   };
 
-  // Handle progress bar click
-  const handleProgressClick = (e) => {
+  const seekWithinTrack = (time) => {
+    if (onSeek) {
+      onSeek(time);
+      return;
+    }
+
+    const audio = audioRef.current;
+    transport.seekWithFade(() => {
+      seekAudioElement(audio, currentTrack, time);
+      return waitForSeek(audio);
+    }, fades.seek, isPlaying);
+  };
+
+  // Handle seeking from the waveform
+  const handleSeek = (time) => {
     if (!audioRef.current || !duration) return;
-    
-    const rect = progressRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const newTime = (clickX / rect.width) * duration;
-    
-    audioRef.current.currentTime = newTime;
+    seekWithinTrack(time);
   };
 
   // Handle volume change
@@ -86,7 +169,7 @@ const PlaybackControls = ({
     
     let nextIndex;
     if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
+      nextIndex = shuffleIndex ?? Math.floor(Math.random() * playlist.length);
     } else {
       nextIndex = (currentTrackIndex + 1) % playlist.length;
     }
@@ -108,6 +191,20 @@ const PlaybackControls = ({
     onTrackChange(prevIndex);
   };
 
+  // Jump between chapters, moving on to the next track after the last one
+  const handleNextChapter = () => {
+    const next = getNextChapter(chapters, currentTime);
+    if (next) {
+      seekWithinTrack(next.start);
+    } else {
+      handleNextTrack();
+    }
+  };
+
+  const handlePrevChapter = () => {
+    seekWithinTrack(getPreviousChapterStart(chapters, currentTime));
+  };
+
   // Handle repeat mode toggle
   const toggleRepeatMode = () => {
     const modes = ['none', 'one', 'all'];
@@ -122,21 +219,68 @@ const PlaybackControls = ({
     if (!audio) return;
 
     const handleEnded = () => {
-      if (repeatMode === 'one') {
+      // Whoever owns the loop takes playback back to A
+      if (isLoopActive(loop)) return;
+
+      const upcomingIndex = getUpcomingIndex();
+      if (repeatMode === 'one' && onSeek && onPlay) {
+        onSeek(0);
+        onPlay();
+      } else if (repeatMode === 'one') {
         audio.currentTime = 0;
         audio.play();
-      } else if (repeatMode === 'all' || currentTrackIndex < playlist.length - 1) {
-        handleNextTrack();
+      } else if (upcomingIndex !== null) {
+        onTrackChange(upcomingIndex);
       } else {
-        setIsPlaying(false);
+        // A player hook notices the end itself
+        setIsPlaying?.(false);
       }
     };
 
     audio.addEventListener('ended', handleEnded);
     return () => audio.removeEventListener('ended', handleEnded);
-  }, [repeatMode, currentTrackIndex, playlist.length]);
+    // A crossfade swaps the element behind audioRef, which always comes with a new track
+  }, [repeatMode, currentTrack, loop, getUpcomingIndex, onTrackChange, onSeek, onPlay]);
+
+  // [ and ] put A and B at the playhead, \ clears the loop
+  useEffect(() => {
+    if (!onLoopChange) return;
+
+    const handleKeyDown = (e) => {
+      const action = LOOP_KEYS[e.key];
+      if (!action || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+
+      e.preventDefault();
+      if (action === 'start') {
+        onLoopChange({ start: currentTime, end: loop?.end ?? null });
+      } else if (action === 'end') {
+        onLoopChange({ start: loop?.start ?? 0, end: currentTime });
+      } else {
+        onLoopChange(null);
+      }
+    };
 
-  const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [loop, currentTime, onLoopChange]);
+
+  // Start the next track early enough to overlap the end of this one. Never while looping, and
+  // not on repeat-one, where the track would fade into itself.
+  useEffect(() => {
+    if (!isPlaying || !crossfade?.duration || !currentTrack || !duration || isLoopActive(loop)) return;
+    if (crossfadedUrlRef.current === currentTrack.url) return;
+
+    const upcomingIndex = getUpcomingIndex();
+    if (upcomingIndex === null || upcomingIndex === currentTrackIndex) return;
+
+    // Track time runs at the playback rate, the fade in real time
+    const fadeDuration = getCrossfadeDuration(crossfade, currentTrack, playlist[upcomingIndex], duration);
+    const remaining = (duration - currentTime) / (audioRef.current?.playbackRate || 1);
+    if (fadeDuration <= 0 || remaining > fadeDuration) return;
+
+    crossfadedUrlRef.current = currentTrack.url;
+    onTrackChange(upcomingIndex, { crossfade: fadeDuration });
+  }, [isPlaying, crossfade, currentTrack, duration, currentTime, playlist, currentTrackIndex, loop, getUpcomingIndex, onTrackChange, audioRef]);
 
   return (
     <Card className="p-6 bg-white/10 backdrop-blur-md border-white/20 shadow-xl">
@@ -162,24 +306,17 @@ const PlaybackControls = ({
           )}
         </AnimatePresence>
 
-        {/* Progress Bar */}
-        <div className="space-y-2">
-          <div
-            ref={progressRef}
-            className="relative h-2 bg-white/20 rounded-full cursor-pointer group"
-            onClick={handleProgressClick}
-          >
-            <motion.div
-              className="absolute left-0 top-0 h-full bg-gradient-to-r from-purple-400 to-pink-400 rounded-full"
-              style={{ width: `${progressPercentage}%` }}
-              transition={{ duration: isDragging ? 0 : 0.1 }}
-            />
-            <motion.div
-              className="absolute top-1/2 -translate-y-1/2 w-4 h-4 bg-white rounded-full shadow-lg opacity-0 group-hover:opacity-100 transition-opacity"
-              style={{ left: `${progressPercentage}%`, marginLeft: '-8px' }}
-            />
-          </div>
-        </div>
+        {/* Waveform Seekbar */}
+        <WaveformSeekbar
+          waveform={currentTrack?.waveform}
+          currentTime={currentTime}
+          duration={duration}
+          chapters={chapters}
+          loop={loop}
+          silences={silences}
+          onSeek={handleSeek}
+          onLoopChange={onLoopChange}
+        />
 
         {/* Main Controls */}
         <div className="flex items-center justify-center space-x-4">
@@ -207,6 +344,18 @@ const PlaybackControls = ({
             <SkipBack className="w-5 h-5" />
           </Button>
 
+          {chapters.length > 0 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handlePrevChapter}
+              title="Previous chapter"
+              className="text-white hover:bg-white/20"
+            >
+              <ChevronsLeft className="w-4 h-4" />
+            </Button>
+          )}
+
           <motion.div whileTap={{ scale: 0.95 }}>
             <Button
               onClick={togglePlayPause}
@@ -221,6 +370,18 @@ const PlaybackControls = ({
             </Button>
           </motion.div>
 
+          {chapters.length > 0 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleNextChapter}
+              title="Next chapter"
+              className="text-white hover:bg-white/20"
+            >
+              <ChevronsRight className="w-4 h-4" />
+            </Button>
+          )}
+
           <Button
             variant="ghost"
             size="sm"
@@ -271,6 +432,8 @@ const PlaybackControls = ({
           <span className="text-white/70 text-xs min-w-8">
             {Math.round(isMuted ? 0 : volume * 100)}%
           </span>
+
+          <GainReductionMeter />
         </div>
       </div>
     </Card>
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Waves, Power, X } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import FileUpload from './FileUpload';
+import { MAX_PRE_DELAY, isUserImpulse } from '../utils/reverbUtils';
+
+// Impulse responses are short, so a few seconds of WAV is plenty
+const MAX_IMPULSE_FILE_SIZE = 10 * 1024 * 1024;
+
+const ReverbControls = ({
+  settings,
+  impulses,
+  error,
+  onChange,
+  onToggleEnabled,
+  onAddImpulse,
+  onRemoveImpulse
+}) => (
+  <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+    <div className="p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-slate-300">
+          <Waves className="w-4 h-4 mr-2" />
+          <span className="font-medium">Reverb</span>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onToggleEnabled}
+          title={settings.enabled ? 'Disable reverb' : 'Enable reverb'}
+          className={`hover:bg-white/10 ${settings.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+        >
+          <Power className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-50'}`}>
+        <div className="flex flex-wrap gap-2">
+          {impulses.map(impulse => (
+            <div key={impulse.id} className="flex items-center">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => onChange({ impulseId: impulse.id })}
+                className={`hover:bg-white/10 ${settings.impulseId === impulse.id ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+              >
+                {impulse.name}
+              </Button>
+              {isUserImpulse(impulse.id) && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onRemoveImpulse(impulse.id)}
+                  title={`Delete ${impulse.name}`}
+                  className="text-slate-500 hover:text-red-400 hover:bg-white/10"
+                >
+                  <X className="w-3 h-3" />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Mix</span>
+            <span>{Math.round(settings.mix * 100)}% wet</span>
+          </div>
+          <Slider
+            value={[settings.mix]}
+            onValueChange={([value]) => onChange({ mix: value })}
+            min={0}
+            max={1}
+            step={0.01}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Pre-delay</span>
+            <span>{Math.round(settings.preDelay * 1000)} ms</span>
+          </div>
+          <Slider
+            value={[settings.preDelay]}
+            onValueChange={([value]) => onChange({ preDelay: value })}
+            min={0}
+            max={MAX_PRE_DELAY}
+            step={0.001}
+          />
+        </div>
+      </div>
+
+      <div className="border-t border-slate-700/50 pt-3 space-y-2">
+        <FileUpload
+          acceptedFileTypes=".wav"
+          label="Add Impulse Response"
+          maxFileSize={MAX_IMPULSE_FILE_SIZE}
+          onFileSelect={onAddImpulse}
+        />
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </div>
+    </div>
+  </Card>
+);
+
+export default ReverbControls;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { AudioWaveform, Play, Pause, Volume2 } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { SIGNALS, FREQUENCY_RANGE, SWEEP_DURATION_RANGE, LEVEL_RANGE } from '../utils/signalGenerator';
+
+// Frequency sliders move in octaves rather than hertz, so the low end is not squeezed into a few pixels
+const SLIDER_STEPS = 1000;
+const FREQUENCY_SPAN = Math.log(FREQUENCY_RANGE[1] / FREQUENCY_RANGE[0]);
+
+const toSliderPosition = (frequency) => (
+  Math.round((Math.log(frequency / FREQUENCY_RANGE[0]) / FREQUENCY_SPAN) * SLIDER_STEPS)
+);
+
+const fromSliderPosition = (position) => (
+  Math.round(FREQUENCY_RANGE[0] * Math.exp((position / SLIDER_STEPS) * FREQUENCY_SPAN))
+);
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(1)} kHz` : `${Math.round(frequency)} Hz`
+);
+
+const FrequencySlider = ({ label, value, onChange }) => (
+  <div className="space-y-2">
+    <div className="flex items-center justify-between text-sm text-slate-400">
+      <span>{label}</span>
+      <span>{formatFrequency(value)}</span>
+    </div>
+    <Slider
+      value={[toSliderPosition(value)]}
+      onValueChange={([position]) => onChange(fromSliderPosition(position))}
+      min={0}
+      max={SLIDER_STEPS}
+      step={1}
+    />
+  </div>
+);
+
+// `volume` is the player's, so switching between a file and the generator keeps the same level
+const SignalGeneratorControls = ({
+  settings,
+  isRunning,
+  volume = 1,
+  onToggle,
+  onChange,
+  onSweepChange,
+  onVolumeChange
+}) => {
+  const { signal, sweep } = settings;
+  const hasFrequency = ['sine', 'square', 'sawtooth', 'channels'].includes(signal);
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <AudioWaveform className="w-4 h-4 mr-2" />
+            <span className="font-medium">Signal generator</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onToggle}
+            title={isRunning ? 'Stop the signal' : 'Play the signal'}
+            className={`hover:bg-white/10 ${isRunning ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+          >
+            {isRunning ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          </Button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          {SIGNALS.map(({ id, name }) => (
+            <Button
+              key={id}
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange({ signal: id })}
+              className={`hover:bg-white/10 ${signal === id ? 'bg-white/10 text-white' : 'text-slate-400'}`}
+            >
+              {name}
+            </Button>
+          ))}
+        </div>
+
+        {signal === 'sweep' ? (
+          <div className="space-y-4">
+            <FrequencySlider label="From" value={sweep.from} onChange={(from) => onSweepChange({ from })} />
+            <FrequencySlider label="To" value={sweep.to} onChange={(to) => onSweepChange({ to })} />
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>Sweep time</span>
+                <span>{sweep.duration} s</span>
+              </div>
+              <Slider
+                value={[sweep.duration]}
+                onValueChange={([duration]) => onSweepChange({ duration })}
+                min={SWEEP_DURATION_RANGE[0]}
+                max={SWEEP_DURATION_RANGE[1]}
+                step={1}
+              />
+            </div>
+          </div>
+        ) : (
+          <div className={hasFrequency ? '' : 'opacity-50 pointer-events-none'}>
+            <FrequencySlider
+              label="Frequency"
+              value={settings.frequency}
+              onChange={(frequency) => onChange({ frequency })}
+            />
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Peak level</span>
+            <span>{settings.level} dBFS</span>
+          </div>
+          <Slider
+            value={[settings.level]}
+            onValueChange={([level]) => onChange({ level })}
+            min={LEVEL_RANGE[0]}
+            max={LEVEL_RANGE[1]}
+            step={1}
+          />
+        </div>
+
+        {onVolumeChange && (
+          <div className="flex items-center space-x-3 border-t border-slate-700/50 pt-3 text-slate-400">
+            <Volume2 className="w-4 h-4" />
+            <Slider
+              value={[volume * 100]}
+              onValueChange={([value]) => onVolumeChange(value / 100)}
+              max={100}
+              step={1}
+              className="flex-1"
+            />
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default SignalGeneratorControls;
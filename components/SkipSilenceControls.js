@@ -0,0 +1,93 @@
+import React from 'react';
+import { FastForward } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { formatTime } from '../utils/audioUtils';
+import {
+  SKIP_SILENCE_MODES,
+  SILENCE_THRESHOLD_RANGE,
+  MIN_SILENCE_RANGE,
+  SILENCE_PADDING_RANGE,
+  getPotentialSavings
+} from '../utils/silenceUtils';
+
+const PARAMETERS = [
+  { key: 'threshold', label: 'Threshold', range: SILENCE_THRESHOLD_RANGE, step: 1, format: (value) => `${value} dB` },
+  { key: 'minDuration', label: 'Minimum silence', range: MIN_SILENCE_RANGE, step: 0.05, format: (value) => `${value.toFixed(2)} s` },
+  { key: 'padding', label: 'Padding', range: SILENCE_PADDING_RANGE, step: 0.01, format: (value) => `${Math.round(value * 1000)} ms` }
+];
+
+// `regions` are the current track's silences and `timeSaved` what has been saved on it so far;
+// `isReady` is false until the track's analysis has come back
+const SkipSilenceControls = ({ settings, regions = [], timeSaved = 0, isReady = false, onChange }) => {
+  const potential = getPotentialSavings(regions, settings.mode);
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <FastForward className="w-4 h-4 mr-2" />
+            <span className="font-medium">Skip silence</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ enabled: !settings.enabled })}
+            className={`hover:bg-white/10 ${settings.enabled ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+          >
+            {settings.enabled ? 'On' : 'Off'}
+          </Button>
+        </div>
+
+        <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          <div className="flex items-center space-x-2">
+            {SKIP_SILENCE_MODES.map(mode => (
+              <Button
+                key={mode.value}
+                variant="ghost"
+                size="sm"
+                onClick={() => onChange({ mode: mode.value })}
+                className={`flex-1 hover:bg-white/10 ${
+                  settings.mode === mode.value ? 'bg-white/10 text-white' : 'text-slate-400'
+                }`}
+              >
+                {mode.label}
+              </Button>
+            ))}
+          </div>
+
+          {PARAMETERS.map(({ key, label, range, step, format }) => (
+            <div key={key} className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>{label}</span>
+                <span>{format(settings[key])}</span>
+              </div>
+              <Slider
+                value={[settings[key]]}
+                onValueChange={([value]) => onChange({ [key]: value })}
+                min={range[0]}
+                max={range[1]}
+                step={step}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between text-xs text-slate-500 border-t border-slate-700/50 pt-3">
+          {isReady ? (
+            <>
+              <span>Saved on this track: {formatTime(timeSaved)}</span>
+              <span>{regions.length} silences, up to {formatTime(potential)}</span>
+            </>
+          ) : (
+            <span>Waiting for the track analysis…</span>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default SkipSilenceControls;
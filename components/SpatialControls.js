@@ -0,0 +1,116 @@
+import React from 'react';
+import { Orbit, Power, Headphones, RotateCcw } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import SpatialStage from './SpatialStage';
+import { ORBIT_SPEED_RANGE, CROSSFEED_PRESETS } from '../utils/spatialUtils';
+
+const formatOrbitSpeed = (speed) => `${(1 / speed).toFixed(1)} s / turn`;
+
+const SpatialControls = ({
+  settings,
+  onToggleEnabled,
+  onPositionChange,
+  onOrbitChange,
+  onCrossfeedChange,
+  onReset
+}) => {
+  const { position, orbit, crossfeed } = settings;
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Orbit className="w-4 h-4 mr-2" />
+            <span className="font-medium">Spatial</span>
+          </div>
+          <div className="flex items-center space-x-1">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onReset}
+              title="Reset"
+              className="text-slate-400 hover:bg-white/10"
+            >
+              <RotateCcw className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onToggleEnabled}
+              title={settings.enabled ? 'Disable 3D audio' : 'Enable 3D audio'}
+              className={`hover:bg-white/10 ${settings.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+            >
+              <Power className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+
+        <SpatialStage
+          position={position}
+          isOrbiting={settings.enabled && orbit.enabled}
+          disabled={!settings.enabled}
+          onChange={onPositionChange}
+        />
+
+        <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onOrbitChange({ enabled: !orbit.enabled })}
+            className={`w-full justify-start hover:bg-white/10 ${orbit.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+          >
+            <Orbit className="w-4 h-4" />
+            Auto-orbit
+          </Button>
+
+          <div className={`space-y-2 ${orbit.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            <div className="flex items-center justify-between text-sm text-slate-400">
+              <span>Speed</span>
+              <span>{formatOrbitSpeed(orbit.speed)}</span>
+            </div>
+            <Slider
+              value={[orbit.speed]}
+              onValueChange={([value]) => onOrbitChange({ speed: value })}
+              min={ORBIT_SPEED_RANGE[0]}
+              max={ORBIT_SPEED_RANGE[1]}
+              step={0.01}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-3 border-t border-slate-700/50 pt-3">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onCrossfeedChange({ enabled: !crossfeed.enabled })}
+            title="Blend a little of each channel into the other, for hard-panned mixes on headphones"
+            className={`w-full justify-start hover:bg-white/10 ${crossfeed.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+          >
+            <Headphones className="w-4 h-4" />
+            Headphone crossfeed
+          </Button>
+
+          <div className={`flex items-center space-x-2 ${crossfeed.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            {CROSSFEED_PRESETS.map(preset => (
+              <Button
+                key={preset.id}
+                variant="ghost"
+                size="sm"
+                onClick={() => onCrossfeedChange({ presetId: preset.id })}
+                title={`${preset.frequency} Hz, ${preset.level} dB`}
+                className={`flex-1 hover:bg-white/10 ${crossfeed.presetId === preset.id ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+              >
+                {preset.name}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default SpatialControls;
@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { User } from 'lucide-react';
+import { useAudioEngine } from '../hooks/useAudioEngine';
+import { getAudioContext, getInsert } from '../utils/audioEngine';
+import { getOrbitPosition } from '../utils/spatialUtils';
+
+const SIZE = 176;
+
+// Stage coordinates (-1 to 1, y = 1 ahead) to pixels from the top left
+const toPixels = ({ x, y }) => ({ left: ((x + 1) / 2) * SIZE, top: ((1 - y) / 2) * SIZE });
+
+// A top-down view of the listener with the source placed around them. Drag the source to move
+// it; while it orbits, its marker follows the engine's insert outside React, every frame.
+const SpatialStage = ({ position, isOrbiting, disabled = false, onChange }) => {
+  const engine = useAudioEngine();
+  const stageRef = useRef(null);
+  const markerRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const hasSpatial = engine.inserts.includes('spatial');
+
+  useEffect(() => {
+    if (!isOrbiting || !hasSpatial) return;
+
+    const moveMarker = (point) => {
+      if (!markerRef.current) return;
+      const { left, top } = toPixels(point);
+      markerRef.current.style.left = `${left}px`;
+      markerRef.current.style.top = `${top}px`;
+    };
+
+    let frame;
+    const update = () => {
+      const current = getOrbitPosition(getInsert('spatial'), getAudioContext());
+      if (current) moveMarker(current);
+      frame = requestAnimationFrame(update);
+    };
+
+    frame = requestAnimationFrame(update);
+    return () => {
+      cancelAnimationFrame(frame);
+      // React only writes the style back when the position itself changes
+      moveMarker({ x: position.x, y: position.y });
+    };
+  }, [isOrbiting, hasSpatial, position.x, position.y]);
+
+  const getPositionAt = (e) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      y: 1 - ((e.clientY - rect.top) / rect.height) * 2
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setIsDragging(true);
+    onChange(getPositionAt(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (isDragging) onChange(getPositionAt(e));
+  };
+
+  const { left, top } = toPixels(position);
+
+  return (
+    <div
+      ref={stageRef}
+      className={`relative mx-auto rounded-full border border-slate-600/60 bg-slate-950/40 touch-none select-none ${
+        disabled ? 'opacity-50' : 'cursor-crosshair'
+      }`}
+      style={{ width: SIZE, height: SIZE }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => setIsDragging(false)}
+    >
+      <div className="absolute inset-1/4 rounded-full border border-dashed border-slate-700/60 pointer-events-none" />
+      <span className="absolute top-1 left-1/2 -translate-x-1/2 text-[10px] uppercase tracking-wide text-slate-500 pointer-events-none">
+        Front
+      </span>
+      <User className="absolute top-1/2 left-1/2 w-5 h-5 -translate-x-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" />
+      <div
+        ref={markerRef}
+        className="absolute w-3.5 h-3.5 -translate-x-1/2 -translate-y-1/2 rounded-full bg-blue-400 shadow-[0_0_8px_rgba(96,165,250,0.8)] pointer-events-none"
+        style={{ left, top }}
+      />
+    </div>
+  );
+};
+
+export default SpatialStage;
@@ -0,0 +1,120 @@
+import React from 'react';
+import { Headphones, Speaker, ArrowLeftRight, MicOff, RotateCcw } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import { KARAOKE_LOW_RANGE, KARAOKE_HIGH_RANGE } from '../utils/stereoUtils';
+
+const formatBalance = (balance) => {
+  if (Math.abs(balance) < 0.005) return 'Centre';
+  return `${Math.round(Math.abs(balance) * 100)}% ${balance < 0 ? 'L' : 'R'}`;
+};
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${(frequency / 1000).toFixed(1)} kHz` : `${Math.round(frequency)} Hz`
+);
+
+const StereoControls = ({ settings, onChange, onKaraokeChange, onReset }) => {
+  const { karaoke } = settings;
+
+  const toggles = [
+    { key: 'mono', label: 'Mono', icon: Speaker, title: 'Fold down to mono, for a single speaker' },
+    { key: 'swap', label: 'Swap L/R', icon: ArrowLeftRight, title: 'Swap the left and right channels' }
+  ];
+
+  return (
+    <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+      <div className="p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-slate-300">
+            <Headphones className="w-4 h-4 mr-2" />
+            <span className="font-medium">Stereo</span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onReset}
+            title="Reset"
+            className="text-slate-400 hover:bg-white/10"
+          >
+            <RotateCcw className="w-4 h-4" />
+          </Button>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Balance</span>
+            <span>{formatBalance(settings.balance)}</span>
+          </div>
+          <Slider
+            value={[settings.balance]}
+            onValueChange={([value]) => onChange({ balance: value })}
+            min={-1}
+            max={1}
+            step={0.01}
+          />
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {toggles.map(({ key, label, icon: Icon, title }) => (
+            <Button
+              key={key}
+              variant="ghost"
+              size="sm"
+              onClick={() => onChange({ [key]: !settings[key] })}
+              title={title}
+              className={`flex-1 hover:bg-white/10 ${settings[key] ? 'bg-white/10 text-blue-300' : 'text-slate-400'}`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </Button>
+          ))}
+        </div>
+
+        <div className="space-y-4 border-t border-slate-700/50 pt-3">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onKaraokeChange({ enabled: !karaoke.enabled })}
+            className={`w-full justify-start hover:bg-white/10 ${karaoke.enabled ? 'text-blue-300' : 'text-slate-400'}`}
+          >
+            <MicOff className="w-4 h-4" />
+            Karaoke (cancel centre)
+          </Button>
+
+          <div className={`space-y-4 ${karaoke.enabled ? '' : 'opacity-50 pointer-events-none'}`}>
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>Keep below</span>
+                <span>{formatFrequency(karaoke.low)}</span>
+              </div>
+              <Slider
+                value={[karaoke.low]}
+                onValueChange={([value]) => onKaraokeChange({ low: value })}
+                min={KARAOKE_LOW_RANGE[0]}
+                max={KARAOKE_LOW_RANGE[1]}
+                step={5}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between text-sm text-slate-400">
+                <span>Keep above</span>
+                <span>{formatFrequency(karaoke.high)}</span>
+              </div>
+              <Slider
+                value={[karaoke.high]}
+                onValueChange={([value]) => onKaraokeChange({ high: value })}
+                min={KARAOKE_HIGH_RANGE[0]}
+                max={KARAOKE_HIGH_RANGE[1]}
+                step={100}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default StereoControls;
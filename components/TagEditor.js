@@ -0,0 +1,280 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ImagePlus, Trash2, Download, Loader2 } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogFooter,
+  DialogTitle,
+  DialogDescription
+} from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import AlbumArt from './AlbumArt';
+import { readFileBytes } from '../utils/binaryUtils';
+import { writeID3Tags } from '../utils/id3Utils';
+import { PICTURE_TYPES, parseYear } from '../utils/tagUtils';
+import { extractPalette } from '../utils/colorUtils';
+import { detectAudioFormat, downloadBlob } from '../utils/audioUtils';
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'artist', label: 'Artist' },
+  { key: 'album', label: 'Album' },
+  { key: 'genre', label: 'Genre' }
+];
+
+const getInitialValues = (track) => ({
+  title: track?.title || '',
+  artist: track?.artist || '',
+  album: track?.album || '',
+  genre: track?.genre || '',
+  trackNumber: track?.trackNumber ? String(track.trackNumber) : '',
+  trackTotal: track?.trackTotal ? String(track.trackTotal) : '',
+  year: track?.year ? String(track.year) : ''
+});
+
+const toNumber = (value) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) || number <= 0 ? null : number;
+};
+
+const TagEditor = ({ track, open, onOpenChange, onSave }) => {
+  const [values, setValues] = useState(() => getInitialValues(track));
+  // undefined keeps the current artwork, null removes it, a File replaces it
+  const [coverFile, setCoverFile] = useState(undefined);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const coverInputRef = useRef(null);
+  const wasOpenRef = useRef(false);
+
+  // Start from the library entry's current values each time the dialog opens. Later changes to
+  // the track (analysis results landing) leave the form alone.
+  useEffect(() => {
+    if (open && !wasOpenRef.current) {
+      setValues(getInitialValues(track));
+      setCoverFile(undefined);
+      setError(null);
+    }
+    wasOpenRef.current = open;
+  }, [open, track]);
+
+  useEffect(() => {
+    if (!coverFile) {
+      setCoverPreview(null);
+      return;
+    }
+
+    const url = URL.createObjectURL(coverFile);
+    setCoverPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [coverFile]);
+
+  const handleChange = (key) => (e) => {
+    setValues(prev => ({ ...prev, [key]: e.target.value }));
+  };
+
+  const handleCoverSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (file && file.type.startsWith('image/')) {
+      setCoverFile(file);
+    }
+    e.target.value = '';
+  };
+
+  const readCoverPicture = async () => {
+    if (!coverFile) return coverFile;
+
+    return {
+      type: PICTURE_TYPES.FRONT_COVER,
+      mimeType: coverFile.type || 'image/jpeg',
+      description: '',
+      data: await readFileBytes(coverFile)
+    };
+  };
+
+  const handleSave = async () => {
+    if (!track?.file) return;
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const format = await detectAudioFormat(track.file);
+      if (format !== 'mp3') {
+        setError('Only MP3 files can be re-tagged.');
+        return;
+      }
+
+      const updates = {
+        title: values.title.trim() || null,
+        artist: values.artist.trim() || null,
+        album: values.album.trim() || null,
+        genre: values.genre.trim() || null,
+        trackNumber: toNumber(values.trackNumber),
+        trackTotal: toNumber(values.trackTotal),
+        year: parseYear(values.year)
+      };
+
+      const blob = await writeID3Tags(track.file, { ...updates, picture: await readCoverPicture() });
+      if (!blob) {
+        setError('Failed to write tags.');
+        return;
+      }
+
+      // The original file is left as it was; the edited copy is offered as a download
+      downloadBlob(blob, track.file.name);
+
+      let artwork = track.artwork;
+      let palette = track.palette;
+      if (coverFile !== undefined) {
+        artwork = coverFile ? URL.createObjectURL(coverFile) : null;
+        palette = artwork ? await extractPalette(artwork) : null;
+      }
+
+      onSave?.({
+        ...updates,
+        title: updates.title || track.file.name.replace(/\.[^/.]+$/, ''),
+        artwork,
+        palette
+      });
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Error saving tags:', err);
+      setError('Failed to write tags.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const previewTrack = coverFile === undefined
+    ? track
+    : { ...track, artwork: coverPreview, palette: null };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-slate-700 text-white">
+        <DialogHeader>
+          <DialogTitle>Edit tags</DialogTitle>
+          <DialogDescription className="text-slate-400">
+            Saves an ID3v2.4 tagged copy of {track?.file?.name || 'this track'}. The original file is not changed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-start space-x-4">
+          <div className="flex flex-col items-center space-y-2">
+            <AlbumArt track={previewTrack} className="w-24 h-24" iconClassName="w-10 h-10" />
+            <div className="flex space-x-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => coverInputRef.current?.click()}
+                title="Choose cover art"
+                className="text-slate-300 hover:bg-white/10 hover:text-white"
+              >
+                <ImagePlus className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setCoverFile(null)}
+                disabled={coverFile === null || (coverFile === undefined && !track?.artwork)}
+                title="Remove cover art"
+                className="text-slate-300 hover:bg-white/10 hover:text-white"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+            <input
+              ref={coverInputRef}
+              type="file"
+              accept="image/jpeg,image/png"
+              onChange={handleCoverSelect}
+              className="hidden"
+            />
+          </div>
+
+          <div className="flex-1 space-y-3">
+            {FIELDS.map(field => (
+              <div key={field.key} className="space-y-1">
+                <Label htmlFor={`tag-${field.key}`} className="text-slate-300">{field.label}</Label>
+                <Input
+                  id={`tag-${field.key}`}
+                  value={values[field.key]}
+                  onChange={handleChange(field.key)}
+                  className="border-slate-600 bg-slate-800/50"
+                />
+              </div>
+            ))}
+
+            <div className="flex space-x-3">
+              <div className="flex-1 space-y-1">
+                <Label htmlFor="tag-track-number" className="text-slate-300">Track</Label>
+                <Input
+                  id="tag-track-number"
+                  type="number"
+                  min="1"
+                  value={values.trackNumber}
+                  onChange={handleChange('trackNumber')}
+                  className="border-slate-600 bg-slate-800/50"
+                />
+              </div>
+              <div className="flex-1 space-y-1">
+                <Label htmlFor="tag-track-total" className="text-slate-300">Of</Label>
+                <Input
+                  id="tag-track-total"
+                  type="number"
+                  min="1"
+                  value={values.trackTotal}
+                  onChange={handleChange('trackTotal')}
+                  className="border-slate-600 bg-slate-800/50"
+                />
+              </div>
+              <div className="flex-1 space-y-1">
+                <Label htmlFor="tag-year" className="text-slate-300">Year</Label>
+                <Input
+                  id="tag-year"
+                  inputMode="numeric"
+                  maxLength={4}
+                  value={values.year}
+                  onChange={handleChange('year')}
+                  className="border-slate-600 bg-slate-800/50"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-400">{error}</p>
+        )}
+
+        <DialogFooter>
+          <Button
+            variant="ghost"
+            onClick={() => onOpenChange(false)}
+            className="text-slate-300 hover:bg-white/10 hover:text-white"
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={isSaving || !track?.file}
+            className="bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white"
+          >
+            {isSaving ? (
+              <Loader2 className="w-4 h-4 animate-spin" />
+            ) : (
+              <Download className="w-4 h-4" />
+            )}
+            Save &amp; download
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagEditor;
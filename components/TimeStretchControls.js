@@ -0,0 +1,88 @@
+import React from 'react';
+import { Gauge, RotateCcw } from 'lucide-react';
+import { Card } from './ui/card';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+import {
+  TEMPO_RANGE,
+  SEMITONE_RANGE,
+  CENTS_RANGE,
+  DEFAULT_TIME_STRETCH_SETTINGS
+} from '../utils/timeStretchUtils';
+
+const formatSigned = (value, unit) => `${value > 0 ? '+' : ''}${value} ${unit}`;
+
+const TimeStretchControls = ({ settings, isPitchShiftAvailable, onChange }) => (
+  <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
+    <div className="p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-slate-300">
+          <Gauge className="w-4 h-4 mr-2" />
+          <span className="font-medium">Tempo &amp; pitch</span>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onChange(DEFAULT_TIME_STRETCH_SETTINGS)}
+          title="Reset"
+          className="text-slate-400 hover:bg-white/10"
+        >
+          <RotateCcw className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between text-sm text-slate-400">
+          <span>Tempo</span>
+          <span>{settings.tempo.toFixed(2)}×</span>
+        </div>
+        <Slider
+          value={[settings.tempo]}
+          onValueChange={([tempo]) => onChange({ tempo })}
+          min={TEMPO_RANGE[0]}
+          max={TEMPO_RANGE[1]}
+          step={0.05}
+        />
+      </div>
+
+      {/* Without the worklet the browser keeps the pitch itself, but cannot shift it */}
+      <div className={`space-y-4 ${isPitchShiftAvailable ? '' : 'opacity-50 pointer-events-none'}`}>
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Pitch</span>
+            <span>{formatSigned(settings.semitones, 'st')}</span>
+          </div>
+          <Slider
+            value={[settings.semitones]}
+            onValueChange={([semitones]) => onChange({ semitones })}
+            min={-SEMITONE_RANGE}
+            max={SEMITONE_RANGE}
+            step={1}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-400">
+            <span>Fine tune</span>
+            <span>{formatSigned(settings.cents, 'cents')}</span>
+          </div>
+          <Slider
+            value={[settings.cents]}
+            onValueChange={([cents]) => onChange({ cents })}
+            min={-CENTS_RANGE}
+            max={CENTS_RANGE}
+            step={1}
+          />
+        </div>
+      </div>
+
+      {!isPitchShiftAvailable && (
+        <p className="text-xs text-slate-500 border-t border-slate-700/50 pt-3">
+          Pitch shifting is available once playback has started, in browsers with AudioWorklet.
+        </p>
+      )}
+    </div>
+  </Card>
+);
+
+export default TimeStretchControls;
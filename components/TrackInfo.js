@@ -1,15 +1,27 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Music, Clock, User } from 'lucide-react';
+import { Music, Clock, User, Bookmark, Pencil } from 'lucide-react';
 import { Card } from './ui/card';
 import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import AlbumArt from './AlbumArt';
+import TagEditor from './TagEditor';
+import { getPaletteGradient, rgbToCss, ensureLightness } from '../utils/colorUtils';
+import { formatAudioInfo } from '../utils/audioUtils';
+import { getChapterIndex } from '../utils/chapterUtils';
+
+// Below this the estimate is shown dimmed, as it is likely off by an octave or plain wrong
+const LOW_TEMPO_CONFIDENCE = 0.3;
 
 const TrackInfo = ({ 
   currentTrack, 
   duration, 
   currentTime, 
-  isPlaying 
+  isPlaying,
+  onTrackUpdate
 }) => {
+  const [isEditingTags, setIsEditingTags] = useState(false);
+
   // Format time from seconds to MM:SS
   const formatTime = (time) => {
     if (!time || isNaN(time)) return '0:00';
@@ -35,7 +47,10 @@ const TrackInfo = ({
         title: track.title,
         artist: track.artist || 'Unknown Artist',
         album: track.album || 'Unknown Album',
-        genre: track.genre || 'Unknown'
+        genre: track.genre || 'Unknown',
+        year: track.year || null,
+        trackNumber: track.trackNumber || null,
+        trackTotal: track.trackTotal || null
       };
     }
 
@@ -60,6 +75,8 @@ const TrackInfo = ({
   };
 
   const metadata = getTrackMetadata(currentTrack);
+  const chapters = currentTrack?.chapters || [];
+  const chapterIndex = getChapterIndex(chapters, currentTime);
 
   return (
     <Card className="w-full bg-gradient-to-br from-slate-900/95 to-slate-800/95 backdrop-blur-lg border-slate-700/50 shadow-2xl">
@@ -72,6 +89,7 @@ const TrackInfo = ({
           className="mb-4"
         >
           <div className="flex items-start justify-between mb-2">
+            <AlbumArt track={currentTrack} className="w-20 h-20 mr-4" iconClassName="w-10 h-10" />
             <div className="flex-1 min-w-0">
               <motion.h2 
                 className="text-2xl font-bold text-white truncate mb-1"
@@ -86,6 +104,18 @@ const TrackInfo = ({
               </div>
             </div>
             
+            {currentTrack?.file && onTrackUpdate && (
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setIsEditingTags(true)}
+                title="Edit tags"
+                className="ml-2 text-slate-400 hover:bg-white/10 hover:text-white"
+              >
+                <Pencil className="w-4 h-4" />
+              </Button>
+            )}
+
             {/* Playing indicator */}
             {isPlaying && (
               <motion.div
@@ -98,6 +128,7 @@ const TrackInfo = ({
                     <motion.div
                       key={i}
                       className="w-1 bg-blue-500 rounded-full"
+                      style={currentTrack?.palette ? { backgroundColor: rgbToCss(ensureLightness(currentTrack.palette.accent)) } : undefined}
                       animate={{
                         height: [4, 16, 4],
                       }}
@@ -116,11 +147,51 @@ const TrackInfo = ({
           {/* Album and Genre */}
           <div className="flex items-center text-slate-400 text-sm mb-3">
             <Music className="w-4 h-4 mr-2 flex-shrink-0" />
-            <span className="truncate mr-4">{metadata.album}</span>
+            <span className="truncate mr-4">
+              {metadata.album}
+              {metadata.year && ` (${metadata.year})`}
+            </span>
+            {metadata.trackNumber && (
+              <span className="mr-4 flex-shrink-0">
+                #{metadata.trackNumber}
+                {metadata.trackTotal && `/${metadata.trackTotal}`}
+              </span>
+            )}
             <Badge variant="secondary" className="bg-slate-700/50 text-slate-300 border-slate-600">
               {metadata.genre}
             </Badge>
+            {currentTrack?.tempo && (
+              <Badge
+                variant="secondary"
+                title={`Tempo confidence ${Math.round(currentTrack.tempo.confidence * 100)}%`}
+                className={`ml-2 flex-shrink-0 bg-slate-700/50 border-slate-600 ${
+                  currentTrack.tempo.confidence < LOW_TEMPO_CONFIDENCE ? 'text-slate-500' : 'text-slate-300'
+                }`}
+              >
+                {Math.round(currentTrack.tempo.bpm)} BPM
+              </Badge>
+            )}
+            {currentTrack?.key && (
+              <Badge
+                variant="secondary"
+                title={`Key confidence ${Math.round(currentTrack.key.confidence * 100)}%`}
+                className="ml-2 flex-shrink-0 bg-slate-700/50 text-slate-300 border-slate-600"
+              >
+                {currentTrack.key.name} · {currentTrack.key.camelot}
+              </Badge>
+            )}
           </div>
+
+          {/* Current Chapter */}
+          {chapterIndex >= 0 && (
+            <div className="flex items-center text-slate-400 text-sm">
+              <Bookmark className="w-4 h-4 mr-2 flex-shrink-0" />
+              <span className="truncate mr-2 text-slate-300">{chapters[chapterIndex].title}</span>
+              <span className="flex-shrink-0 text-slate-500">
+                Chapter {chapterIndex + 1}/{chapters.length}
+              </span>
+            </div>
+          )}
         </motion.div>
 
         {/* Progress Bar */}
@@ -142,6 +213,7 @@ const TrackInfo = ({
           <div className="w-full bg-slate-700/50 rounded-full h-2 overflow-hidden">
             <motion.div
               className="h-full bg-gradient-to-r from-blue-500 to-purple-500 rounded-full"
+              style={{ backgroundImage: getPaletteGradient(currentTrack?.palette) }}
               initial={{ width: '0%' }}
               animate={{ 
                 width: duration > 0 ? `${(currentTime / duration) * 100}%` : '0%' 
@@ -163,6 +235,11 @@ const TrackInfo = ({
               <span>
                 {currentTrack.size ? `${(currentTrack.size / 1024 / 1024).toFixed(1)} MB` : 'Size unknown'}
               </span>
+              {currentTrack.audioInfo && (
+                <span>
+                  {formatAudioInfo(currentTrack.audioInfo)}
+                </span>
+              )}
               <span>
                 {currentTrack.type || 'audio/mpeg'}
               </span>
@@ -170,6 +247,15 @@ const TrackInfo = ({
           </motion.div>
         )}
       </div>
+
+      {onTrackUpdate && (
+        <TagEditor
+          track={currentTrack}
+          open={isEditingTags}
+          onOpenChange={setIsEditingTags}
+          onSave={onTrackUpdate}
+        />
+      )}
     </Card>
   );
 };
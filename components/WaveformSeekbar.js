@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ZoomOut } from 'lucide-react';
+import { getPeakRange } from '../utils/waveformUtils';
+import { formatTime } from '../utils/audioUtils';
+
+const HEIGHT = 56;
+const MAX_ZOOM = 64;
+const ZOOM_STEP = 1.25;
+const PLAYED_COLORS = ['#c084fc', '#f472b6']; // purple-400 to pink-400, as the old progress bar
+const UNPLAYED_COLOR = 'rgba(255, 255, 255, 0.3)';
+const CHAPTER_COLOR = 'rgba(255, 255, 255, 0.6)';
+const LOOP_FILL = 'rgba(250, 204, 21, 0.15)'; // yellow-400
+const LOOP_EDGE_COLOR = '#facc15';
+const LOOP_EDGE_GRAB = 6; // px either side of a loop edge that picks it up
+const SILENCE_FILL = 'rgba(15, 23, 42, 0.6)'; // slate-900
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Loop editing (with onLoopChange): shift-drag marks a new A-B region, or sets B once only A is
+// set, and either edge can be dragged on its own
+const WaveformSeekbar = ({
+  waveform,
+  currentTime = 0,
+  duration = 0,
+  chapters = [],
+  loop = null,
+  silences = [],
+  onSeek,
+  onLoopChange
+}) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const previousTimeRef = useRef(0);
+  const [width, setWidth] = useState(0);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  const [isDragging, setIsDragging] = useState(false);
+  const [scrubTime, setScrubTime] = useState(null);
+  const [hoverX, setHoverX] = useState(null);
+  // The edge being dragged, the other edge it is measured against, and the region so far
+  const [loopDrag, setLoopDrag] = useState(null);
+
+  const viewDuration = duration / zoom;
+  const playheadTime = isDragging && scrubTime !== null ? scrubTime : currentTime;
+  const shownLoop = loopDrag ? loopDrag.region : loop;
+
+  const clampViewStart = useCallback((start, visibleDuration) => {
+    return clamp(start, 0, Math.max(0, duration - visibleDuration));
+  }, [duration]);
+
+  const getTimeAt = useCallback((clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const ratio = clamp((clientX - rect.left) / rect.width, 0, 1);
+    return viewStart + ratio * viewDuration;
+  }, [viewStart, viewDuration]);
+
+  // Reset the view for each new track
+  useEffect(() => {
+    setZoom(1);
+    setViewStart(0);
+  }, [waveform, duration]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Page the zoomed view when playback runs off its right edge, but leave it alone
+  // while the user has panned somewhere else
+  useEffect(() => {
+    const previousTime = previousTimeRef.current;
+    previousTimeRef.current = currentTime;
+    if (zoom === 1 || isDragging) return;
+
+    const viewEnd = viewStart + viewDuration;
+    if (previousTime >= viewStart && previousTime <= viewEnd && currentTime > viewEnd) {
+      setViewStart(clampViewStart(currentTime, viewDuration));
+    }
+  }, [currentTime, zoom, isDragging, viewStart, viewDuration, clampViewStart]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || width === 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(HEIGHT * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, HEIGHT);
+
+    const played = ctx.createLinearGradient(0, 0, width, 0);
+    played.addColorStop(0, PLAYED_COLORS[0]);
+    played.addColorStop(1, PLAYED_COLORS[1]);
+
+    const middle = HEIGHT / 2;
+    const playheadX = viewDuration > 0 ? ((playheadTime - viewStart) / viewDuration) * width : 0;
+
+    if (!waveform || viewDuration <= 0) {
+      // No peaks yet: a flat bar, as before
+      ctx.fillStyle = UNPLAYED_COLOR;
+      ctx.fillRect(0, middle - 2, width, 4);
+      ctx.fillStyle = played;
+      ctx.fillRect(0, middle - 2, clamp(playheadX, 0, width), 4);
+    } else {
+      const secondsPerPixel = viewDuration / width;
+
+      for (let x = 0; x < width; x++) {
+        const time = viewStart + x * secondsPerPixel;
+        const [min, max] = getPeakRange(waveform, time, time + secondsPerPixel);
+        const top = middle - max * middle;
+        const height = Math.max(1, (max - min) * middle);
+
+        ctx.fillStyle = x < playheadX ? played : UNPLAYED_COLOR;
+        ctx.fillRect(x, top, 1, height);
+      }
+    }
+
+    // Stretches skip-silence passes over are dimmed
+    if (viewDuration > 0) {
+      ctx.fillStyle = SILENCE_FILL;
+      silences.forEach(({ start, end }) => {
+        const startX = ((start - viewStart) / viewDuration) * width;
+        const endX = ((end - viewStart) / viewDuration) * width;
+        if (endX >= 0 && startX <= width) ctx.fillRect(startX, 0, endX - startX, HEIGHT);
+      });
+    }
+
+    if (shownLoop && viewDuration > 0) {
+      const getX = (time) => ((time - viewStart) / viewDuration) * width;
+      const startX = getX(shownLoop.start);
+      const endX = shownLoop.end !== null ? getX(shownLoop.end) : null;
+
+      if (endX !== null) {
+        ctx.fillStyle = LOOP_FILL;
+        ctx.fillRect(startX, 0, endX - startX, HEIGHT);
+      }
+
+      ctx.fillStyle = LOOP_EDGE_COLOR;
+      ctx.font = '10px sans-serif';
+      [[startX, 'A', 3], [endX, 'B', -9]].forEach(([x, label, labelOffset]) => {
+        if (x === null || x < -1 || x > width + 1) return;
+        ctx.fillRect(Math.round(x) - 1, 0, 2, HEIGHT);
+        ctx.fillText(label, x + labelOffset, 10);
+      });
+    }
+
+    ctx.fillStyle = CHAPTER_COLOR;
+    chapters.forEach(chapter => {
+      if (chapter.start <= 0 || viewDuration <= 0) return;
+      const x = ((chapter.start - viewStart) / viewDuration) * width;
+      if (x >= 0 && x <= width) ctx.fillRect(Math.round(x), 0, 1, HEIGHT);
+    });
+
+    if (playheadX >= 0 && playheadX <= width) {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(Math.round(playheadX) - 1, 0, 2, HEIGHT);
+    }
+  }, [waveform, width, viewStart, viewDuration, playheadTime, chapters, shownLoop, silences]);
+
+  // Wheel zooms around the cursor; horizontal scrolling (or shift+wheel) pans
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (e) => {
+      if (!duration) return;
+      e.preventDefault();
+
+      const isPan = e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY);
+      if (isPan) {
+        const delta = e.shiftKey ? e.deltaY : e.deltaX;
+        setViewStart(start => clampViewStart(start + (delta / width) * viewDuration, viewDuration));
+        return;
+      }
+
+      const anchor = getTimeAt(e.clientX);
+      const nextZoom = clamp(e.deltaY < 0 ? zoom * ZOOM_STEP : zoom / ZOOM_STEP, 1, MAX_ZOOM);
+      const nextViewDuration = duration / nextZoom;
+      const anchorRatio = viewDuration > 0 ? (anchor - viewStart) / viewDuration : 0;
+
+      setZoom(nextZoom);
+      setViewStart(clampViewStart(anchor - anchorRatio * nextViewDuration, nextViewDuration));
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [duration, zoom, width, viewStart, viewDuration, getTimeAt, clampViewStart]);
+
+  const getLoopEdgeAt = (x) => {
+    if (!loop || !onLoopChange || viewDuration <= 0) return null;
+
+    const getDistance = (time) => Math.abs(((time - viewStart) / viewDuration) * width - x);
+    if (loop.end !== null && getDistance(loop.end) <= LOOP_EDGE_GRAB) return 'end';
+    if (getDistance(loop.start) <= LOOP_EDGE_GRAB) return 'start';
+    return null;
+  };
+
+  // The dragged edge against the fixed one; with no fixed edge only A is being placed
+  const getDraggedRegion = (fixed, time) => (
+    fixed === null ? { start: time, end: null } : { start: Math.min(fixed, time), end: Math.max(fixed, time) }
+  );
+
+  const handlePointerDown = (e) => {
+    if (!duration) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    const time = getTimeAt(e.clientX);
+    const edge = getLoopEdgeAt(e.clientX - containerRef.current.getBoundingClientRect().left);
+    if (edge || (e.shiftKey && onLoopChange)) {
+      let fixed = time;
+      if (edge) {
+        fixed = edge === 'start' ? loop.end : loop.start;
+      } else if (loop && loop.end === null) {
+        fixed = loop.start;
+      }
+      setLoopDrag({ fixed, region: getDraggedRegion(fixed, time) });
+      return;
+    }
+
+    setIsDragging(true);
+    setScrubTime(time);
+  };
+
+  const handlePointerMove = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    setHoverX(clamp(e.clientX - rect.left, 0, rect.width));
+    if (loopDrag) {
+      setLoopDrag({ ...loopDrag, region: getDraggedRegion(loopDrag.fixed, getTimeAt(e.clientX)) });
+    } else if (isDragging) {
+      setScrubTime(getTimeAt(e.clientX));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (loopDrag) {
+      onLoopChange(getDraggedRegion(loopDrag.fixed, getTimeAt(e.clientX)));
+      setLoopDrag(null);
+      return;
+    }
+    if (!isDragging) return;
+    setIsDragging(false);
+    onSeek?.(getTimeAt(e.clientX));
+    setScrubTime(null);
+  };
+
+  const resetZoom = () => {
+    setZoom(1);
+    setViewStart(0);
+  };
+
+  const tooltipTime = isDragging && scrubTime !== null
+    ? scrubTime
+    : hoverX !== null && width > 0 ? viewStart + (hoverX / width) * viewDuration : null;
+  const tooltipX = isDragging && scrubTime !== null && viewDuration > 0
+    ? ((scrubTime - viewStart) / viewDuration) * width
+    : hoverX;
+
+  return (
+    <div className="relative select-none">
+      <div
+        ref={containerRef}
+        className={`relative w-full touch-none ${
+          loopDrag || (hoverX !== null && getLoopEdgeAt(hoverX)) ? 'cursor-ew-resize' : 'cursor-pointer'
+        }`}
+        style={{ height: HEIGHT }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => setHoverX(null)}
+        onDoubleClick={resetZoom}
+      >
+        <canvas ref={canvasRef} className="w-full h-full" />
+
+        {tooltipTime !== null && duration > 0 && (
+          <div
+            className="absolute -top-7 px-2 py-0.5 rounded bg-black/80 text-white text-xs pointer-events-none -translate-x-1/2 whitespace-nowrap"
+            style={{ left: clamp(tooltipX, 20, Math.max(20, width - 20)) }}
+          >
+            {formatTime(tooltipTime)}
+          </div>
+        )}
+      </div>
+
+      {zoom > 1 && (
+        <button
+          type="button"
+          onClick={resetZoom}
+          title="Reset zoom"
+          className="absolute right-0 -bottom-5 flex items-center text-[10px] text-white/60 hover:text-white"
+        >
+          <ZoomOut className="w-3 h-3 mr-1" />
+          {zoom.toFixed(1)}×
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WaveformSeekbar;
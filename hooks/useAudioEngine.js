@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getEngineState, subscribeToEngine } from '../utils/audioEngine';
+
+// Re-renders whenever the shared engine's context state, attached element, inserts or taps change
+export const useAudioEngine = () => (
+  useSyncExternalStore(subscribeToEngine, getEngineState, getEngineState)
+);
@@ -1,12 +1,96 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import {
+  getTrackDuration,
+  seekAudioElement,
+  getAudioElementTime,
+  saveToLocalStorage,
+  loadFromLocalStorage
+} from '../utils/audioUtils';
+import {
+  DEFAULT_LOUDNESS_SETTINGS,
+  getNormalizationGain,
+  dbToGain
+} from '../utils/loudnessUtils';
+import { analyzeAudioFile } from '../utils/analysisUtils';
+import {
+  getAudioContext,
+  attachMediaElement,
+  detachMediaElement,
+  setInsert,
+  removeInsert,
+  createAnalyserTap,
+  removeAnalyserTap,
+  resumeAudioEngine,
+  getElementGain
+} from '../utils/audioEngine';
+import { createGaplessPlayer } from '../utils/gaplessPlayer';
+import {
+  DEFAULT_CROSSFADE_SETTINGS,
+  scheduleCrossfade,
+  resetCrossfadeGain
+} from '../utils/crossfadeUtils';
+import {
+  DEFAULT_TIME_STRETCH_SETTINGS,
+  normalizeTimeStretchSettings,
+  loadTimeStretchProcessor,
+  createTimeStretchNode,
+  applyProcessorPitchRatio,
+  applyPlaybackRate,
+  clampPlaybackRate
+} from '../utils/timeStretchUtils';
+import {
+  DEFAULT_PRACTICE_SETTINGS,
+  normalizeLoopRegion,
+  normalizePracticeSettings,
+  isLoopActive,
+  isInLoop,
+  getPracticeSpeed,
+  loadSavedLoops,
+  saveLoopsForFile
+} from '../utils/loopUtils';
+import { createLoopPlayer } from '../utils/loopPlayer';
+import { waitForSeek } from '../utils/transportUtils';
+import {
+  DEFAULT_SKIP_SILENCE_SETTINGS,
+  normalizeSkipSilenceSettings,
+  getSilencePlaybackRate,
+  findSilentRegions,
+  getSilentRegionAt
+} from '../utils/silenceUtils';
+import { useTransportFades } from './useTransportFades';
 
-export const useAudioPlayer = () => {
+const LOUDNESS_SETTINGS_KEY = 'player_loudness';
+const CROSSFADE_SETTINGS_KEY = 'player_crossfade';
+const GAPLESS_TIME_UPDATE_INTERVAL = 250;
+const TIME_STRETCH_SETTINGS_KEY = 'player_time_stretch';
+const PRACTICE_SETTINGS_KEY = 'player_practice';
+const SKIP_SILENCE_SETTINGS_KEY = 'player_skip_silence';
+const LOOP_TIME_UPDATE_INTERVAL = 100;
+// Short enough that speeding through a silence rarely runs on past its padding
+const SILENCE_CHECK_INTERVAL = 25;
+
+// `onTrackAdvance` is told when gapless playback has moved on to the next track by itself
+export const useAudioPlayer = ({ onTrackAdvance } = {}) => {
   const audioRef = useRef(null);
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
   const dataArrayRef = useRef(null);
   const sourceRef = useRef(null);
+  const gainNodeRef = useRef(null);
+  const normalizationGainRef = useRef(1);
+  const timeStretchNodeRef = useRef(null);
   const animationIdRef = useRef(null);
+  // A crossfade plays the incoming track on a second element, then the two swap roles
+  const spareAudioRef = useRef(null);
+  const crossfadeRef = useRef(null);
+  // An active A-B loop plays from the decoded track instead of the element, which stays paused
+  const loopPlayerRef = useRef(null);
+  const loopOptionsRef = useRef(null);
+  // The silence a skip is on its way past, so it is not skipped twice before the jump lands
+  const skippedRegionRef = useRef(null);
+  // Consecutive tracks play back to back from decoded buffers, with the element paused behind them
+  const gaplessPlayerRef = useRef(null);
+  const onTrackAdvanceRef = useRef(onTrackAdvance);
 
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -15,50 +99,282 @@ export const useAudioPlayer = () => {
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [loudnessSettings, setLoudnessSettings] = useState(DEFAULT_LOUDNESS_SETTINGS);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [crossfadeSettings, setCrossfadeSettings] = useState(DEFAULT_CROSSFADE_SETTINGS);
+  const [timeStretchSettings, setTimeStretchSettings] = useState(DEFAULT_TIME_STRETCH_SETTINGS);
+  // Pitch shifting needs the AudioWorklet processor; tempo alone falls back to the browser's own
+  const [isPitchShiftAvailable, setIsPitchShiftAvailable] = useState(false);
+  const [loopRegion, setLoopRegion] = useState(null);
+  const [loopPass, setLoopPass] = useState(0);
+  const [isLooping, setIsLooping] = useState(false);
+  const [savedLoops, setSavedLoops] = useState([]);
+  const [practiceSettings, setPracticeSettings] = useState(DEFAULT_PRACTICE_SETTINGS);
+
+  const [skipSilenceSettings, setSkipSilenceSettings] = useState(DEFAULT_SKIP_SILENCE_SETTINGS);
+  const [isSpeedingThroughSilence, setIsSpeedingThroughSilence] = useState(false);
+  // Seconds of listening skip-silence has saved on the current track
+  const [silenceTimeSaved, setSilenceTimeSaved] = useState(0);
+  const [isGapless, setIsGapless] = useState(false);
+  // The track to follow this one, as the playlist's repeat and shuffle modes decide
+  const [nextTrack, setNextTrack] = useState(null);
+  const { settings: fadeSettings, updateSettings: updateFadeSettings, transport } = useTransportFades();
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setLoudnessSettings({ ...DEFAULT_LOUDNESS_SETTINGS, ...loadFromLocalStorage(LOUDNESS_SETTINGS_KEY, {}) });
+    setCrossfadeSettings({ ...DEFAULT_CROSSFADE_SETTINGS, ...loadFromLocalStorage(CROSSFADE_SETTINGS_KEY, {}) });
+    setTimeStretchSettings(normalizeTimeStretchSettings({
+      ...DEFAULT_TIME_STRETCH_SETTINGS,
+      ...loadFromLocalStorage(TIME_STRETCH_SETTINGS_KEY, {})
+    }));
+    setPracticeSettings(normalizePracticeSettings({
+      ...DEFAULT_PRACTICE_SETTINGS,
+      ...loadFromLocalStorage(PRACTICE_SETTINGS_KEY, {})
+    }));
+    setSkipSilenceSettings(normalizeSkipSilenceSettings(loadFromLocalStorage(SKIP_SILENCE_SETTINGS_KEY, {})));
+  }, []);
+
+  const practiceSpeed = isLoopActive(loopRegion) ? getPracticeSpeed(practiceSettings, loopPass) : 1;
+  const silencePlaybackRate = getSilencePlaybackRate(timeStretchSettings.tempo * practiceSpeed);
+  // Buffers play at their own speed, so gapless playback stands aside for anything that needs the
+  // element: crossfades, A-B loops, tempo changes and skip-silence
+  const canPlayGapless = !crossfadeSettings.duration &&
+    !isLoopActive(loopRegion) &&
+    timeStretchSettings.tempo === 1 &&
+    !skipSilenceSettings.enabled;
 
-  // Initialize audio context and analyser for visualizer
+  useEffect(() => {
+    onTrackAdvanceRef.current = onTrackAdvance;
+  }, [onTrackAdvance]);
+
+  // Route the element through the shared audio engine and tap it for the visualizer
   const initializeAudioContext = useCallback(() => {
-    if (!audioContextRef.current && audioRef.current) {
-      try {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        analyserRef.current = audioContextRef.current.createAnalyser();
-        analyserRef.current.fftSize = 256;
-        
-        const bufferLength = analyserRef.current.frequencyBinCount;
-        dataArrayRef.current = new Uint8Array(bufferLength);
-
-        if (!sourceRef.current) {
-          sourceRef.current = audioContextRef.current.createMediaElementSource(audioRef.current);
-          sourceRef.current.connect(analyserRef.current);
-          analyserRef.current.connect(audioContextRef.current.destination);
+    if (!audioRef.current) return;
+
+    // Re-attaching is a no-op unless another player took over the engine in the meantime
+    sourceRef.current = attachMediaElement(audioRef.current);
+    if (!sourceRef.current) {
+      setError('Failed to initialize audio visualizer');
+      return;
+    }
+    if (analyserRef.current) return;
+
+    audioContextRef.current = getAudioContext();
+
+    // Loudness normalization is an insert, so the analyser tap sees the levelled signal
+    gainNodeRef.current = audioContextRef.current.createGain();
+    gainNodeRef.current.gain.value = normalizationGainRef.current;
+    setInsert('loudness', gainNodeRef.current);
+
+    analyserRef.current = createAnalyserTap({ fftSize: 256 });
+    dataArrayRef.current = new Uint8Array(analyserRef.current.frequencyBinCount);
+
+    loadTimeStretchProcessor(audioContextRef.current).then(loaded => {
+      // Unmounted while the module was loading
+      if (!loaded || !analyserRef.current || timeStretchNodeRef.current) return;
+
+      timeStretchNodeRef.current = createTimeStretchNode(audioContextRef.current);
+      setInsert('timeStretch', timeStretchNodeRef.current);
+      setIsPitchShiftAvailable(true);
+    });
+  }, []);
+
+  // Stop the outgoing element of a crossfade and leave the current one at full level
+  const finishCrossfade = useCallback(() => {
+    const crossfade = crossfadeRef.current;
+    if (!crossfade) return;
+
+    clearTimeout(crossfade.timeout);
+    crossfadeRef.current = null;
+    crossfade.outgoing.pause();
+    detachMediaElement(crossfade.outgoing);
+    if (crossfade.revokeUrl) {
+      URL.revokeObjectURL(crossfade.revokeUrl);
+    }
+
+    [crossfade.outgoing, audioRef.current].forEach(element => {
+      const gain = getElementGain(element);
+      if (gain) resetCrossfadeGain(getAudioContext(), gain);
+    });
+  }, []);
+
+  // False when the incoming element cannot be routed through the engine; the caller then cuts over
+  const startCrossfade = useCallback(async (url, fadeDuration) => {
+    const outgoing = audioRef.current;
+    const incoming = spareAudioRef.current || new Audio();
+
+    const incomingSource = attachMediaElement(incoming, { exclusive: false });
+    const incomingGain = getElementGain(incoming);
+    if (!incomingSource || !incomingGain) return false;
+
+    incoming.src = url;
+    incoming.volume = outgoing.volume;
+    applyPlaybackRate(incoming, outgoing.defaultPlaybackRate, outgoing.preservesPitch);
+    incomingGain.gain.value = 0;
+
+    sourceRef.current = incomingSource;
+    audioRef.current = incoming;
+    spareAudioRef.current = outgoing;
+    const crossfade = { outgoing, timeout: null };
+    crossfadeRef.current = crossfade;
+
+    try {
+      await incoming.play();
+    } catch (error) {
+      finishCrossfade();
+      throw error;
+    }
+
+    // Finished early (a seek, another track) while play() was pending
+    if (crossfadeRef.current !== crossfade) return true;
+
+    // Timed from when the incoming track is actually playing, so the outgoing one is not cut short
+    scheduleCrossfade(getAudioContext(), getElementGain(outgoing), incomingGain, fadeDuration, crossfadeSettings.curve);
+    crossfade.timeout = setTimeout(finishCrossfade, fadeDuration * 1000);
+    return true;
+  }, [crossfadeSettings.curve, finishCrossfade]);
+
+  const getLoopPlayer = useCallback(() => {
+    if (!loopPlayerRef.current) {
+      loopPlayerRef.current = createLoopPlayer({
+        getPassRate: (pass) => {
+          const { timeStretchSettings: settings, practiceSettings: practice } = loopOptionsRef.current;
+          return clampPlaybackRate(settings, settings.tempo * getPracticeSpeed(practice, pass));
+        },
+        // The pitch correction has to change on the same sample as the speed, or the pitch would jump
+        onRateChange: (rate, time) => {
+          if (!timeStretchNodeRef.current) return;
+          applyProcessorPitchRatio(
+            timeStretchNodeRef.current,
+            loopOptionsRef.current.timeStretchSettings,
+            getAudioContext(),
+            { rate, time }
+          );
+        },
+        onPass: setLoopPass
+      });
+    }
+    return loopPlayerRef.current;
+  }, []);
+
+  // Hand playback over to the loop player. Without the pitch processor a speed change there would
+  // move the pitch, so the element keeps looping by itself instead.
+  const startLoopPlayback = useCallback((position, pass) => {
+    const canChangeRate = isPitchShiftAvailable || (timeStretchSettings.tempo === 1 && !practiceSettings.enabled);
+    if (!isLoopActive(loopRegion) || !canChangeRate || !audioRef.current) return false;
+
+    const loopPlayer = getLoopPlayer();
+    loopPlayer.setVolume(audioRef.current.volume);
+    if (!loopPlayer.start(currentTrack, loopRegion, position, pass)) return false;
+
+    finishCrossfade();
+    audioRef.current.pause();
+    setIsLooping(true);
+    return true;
+  }, [isPitchShiftAvailable, timeStretchSettings.tempo, practiceSettings.enabled, loopRegion, currentTrack, getLoopPlayer, finishCrossfade]);
+
+  // Back to the element, wherever the loop player had got to
+  const stopLoopPlayback = useCallback(() => {
+    const loopPlayer = loopPlayerRef.current;
+    if (!loopPlayer?.isPlaying()) return null;
+
+    const position = loopPlayer.stop();
+    setIsLooping(false);
+    seekAudioElement(audioRef.current, currentTrack, position);
+    setCurrentTime(position);
+    return position;
+  }, [currentTrack]);
+
+  const getGaplessPlayer = useCallback(() => {
+    if (!gaplessPlayerRef.current) {
+      gaplessPlayerRef.current = createGaplessPlayer({
+        // The scheduled track is already playing; the element and the UI catch up with it
+        onAdvance: (track) => {
+          const url = URL.createObjectURL(track.file);
+          audioRef.current.src = url;
+          setCurrentTrack({ ...track, url });
+          setCurrentTime(0);
+          onTrackAdvanceRef.current?.(track);
+        },
+        // Nothing was scheduled to follow, so the element reports the end as if it had played it
+        onEnded: () => {
+          setIsGapless(false);
+          audioRef.current.currentTime = 0;
+          audioRef.current.dispatchEvent(new Event('ended'));
         }
-      } catch (err) {
-        console.error('Error initializing audio context:', err);
-        setError('Failed to initialize audio visualizer');
-      }
+      });
     }
+    return gaplessPlayerRef.current;
   }, []);
 
-  // Load audio file
-  const loadTrack = useCallback(async (file) => {
-    if (!file) return;
+  // Play a decoded track from the buffers. False if it is not decoded yet, or something needs the
+  // element, which then plays it instead.
+  const startGaplessPlayback = useCallback((track, position) => {
+    if (!canPlayGapless || !audioRef.current) return false;
+
+    const gaplessPlayer = getGaplessPlayer();
+    gaplessPlayer.setVolume(audioRef.current.volume);
+    if (!gaplessPlayer.play(track, position)) return false;
+
+    audioRef.current.pause();
+    setIsGapless(true);
+    return true;
+  }, [canPlayGapless, getGaplessPlayer]);
+
+  // Back to the element, at the position the buffers had got to
+  const stopGaplessPlayback = useCallback(() => {
+    const gaplessPlayer = gaplessPlayerRef.current;
+    if (!gaplessPlayer?.isPlaying()) return null;
+
+    const position = gaplessPlayer.pause();
+    setIsGapless(false);
+    seekAudioElement(audioRef.current, currentTrack, position);
+    setCurrentTime(position);
+    return position;
+  }, [currentTrack]);
+
+  // Load a track from the playlist, whose tags (and any sidecar lyrics) were read when it was
+  // added; the player only gives it an object URL of its own. With `crossfade` (seconds) and a
+  // track already playing, the new one fades in over the end of the old one; with `autoplay` a
+  // plain change starts the new one straight away.
+  const loadTrack = useCallback(async (track, { crossfade = 0, autoplay = false } = {}) => {
+    if (!track?.file) return;
     
     setIsLoading(true);
     setError(null);
     
     try {
-      const url = URL.createObjectURL(file);
-      
-      if (audioRef.current) {
-        audioRef.current.src = url;
-        audioRef.current.load();
+      const metadata = { ...track, url: URL.createObjectURL(track.file) };
+      finishCrossfade();
+      loopPlayerRef.current?.stop();
+      gaplessPlayerRef.current?.stop();
+      setIsGapless(false);
+      setIsLooping(false);
+      setLoopRegion(null);
+      setLoopPass(0);
+
+      const outgoing = audioRef.current;
+      // In seconds of listening, which the playback rate stretches or shrinks
+      const remaining = outgoing ? (outgoing.duration - outgoing.currentTime) / outgoing.playbackRate : 0;
+      const fadeDuration = outgoing && !outgoing.paused && sourceRef.current
+        ? Math.min(crossfade, remaining)
+        : 0;
+
+      const crossfaded = fadeDuration > 0 && await startCrossfade(metadata.url, fadeDuration);
+      if (!crossfaded && outgoing) {
+        outgoing.src = metadata.url;
+        outgoing.load();
+        // A crossfade that could not start becomes a hard cut, so playback still carries on
+        if (autoplay || fadeDuration > 0) {
+          if (!startGaplessPlayback(metadata, 0)) {
+            await outgoing.play();
+          }
+          setIsPlaying(true);
+        }
       }
       
-      setCurrentTrack({
-        name: file.name,
-        url: url,
-        file: file
-      });
+      setCurrentTrack(metadata);
       
     } catch (err) {
       console.error('Error loading track:', err);
@@ -66,33 +382,84 @@ export const useAudioPlayer = () => {
     } finally {
       setIsLoading(false);
     }
+  }, [finishCrossfade, startCrossfade, startGaplessPlayback]);
+
+  // Merge edited values (e.g. from the tag editor) into the loaded track
+  const updateTrack = useCallback((updates) => {
+    setCurrentTrack(prev => (prev ? { ...prev, ...updates } : prev));
   }, []);
 
-  // Play audio
+  const updateLoudnessSettings = useCallback((updates) => {
+    setLoudnessSettings(prev => {
+      const next = { ...prev, ...updates };
+      saveToLocalStorage(LOUDNESS_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateCrossfadeSettings = useCallback((updates) => {
+    setCrossfadeSettings(prev => {
+      const next = { ...prev, ...updates };
+      saveToLocalStorage(CROSSFADE_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateSkipSilenceSettings = useCallback((updates) => {
+    setSkipSilenceSettings(prev => {
+      const next = { ...prev, ...updates };
+      saveToLocalStorage(SKIP_SILENCE_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Tempo is a multiplier (0.5-2); pitch is shifted by semitones plus cents, independently of it
+  const updateTimeStretchSettings = useCallback((updates) => {
+    setTimeStretchSettings(prev => {
+      const next = normalizeTimeStretchSettings({ ...prev, ...updates });
+      saveToLocalStorage(TIME_STRETCH_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Play audio, fading in
   const play = useCallback(async () => {
     if (!audioRef.current || !currentTrack) return;
     
     try {
-      if (audioContextRef.current?.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-      
-      await audioRef.current.play();
-      setIsPlaying(true);
       initializeAudioContext();
+      await resumeAudioEngine();
+
+      await transport.startWithFade(async () => {
+        // A pause still fading out has not stopped anything yet
+        if (!audioRef.current.paused || loopPlayerRef.current?.isPlaying() || gaplessPlayerRef.current?.isPlaying()) {
+          return;
+        }
+
+        const position = getAudioElementTime(audioRef.current, currentTrack);
+        if (isInLoop(loopRegion, position) && startLoopPlayback(position, loopPass)) return;
+        if (startGaplessPlayback(currentTrack, position)) return;
+        await audioRef.current.play();
+      }, fadeSettings.fadeIn);
+      setIsPlaying(true);
     } catch (err) {
       console.error('Error playing audio:', err);
       setError('Failed to play audio');
     }
-  }, [currentTrack, initializeAudioContext]);
+  }, [currentTrack, initializeAudioContext, loopRegion, loopPass, startLoopPlayback, startGaplessPlayback, fadeSettings.fadeIn, transport]);
 
-  // Pause audio
+  // Pause audio once it has faded out
   const pause = useCallback(() => {
     if (audioRef.current) {
-      audioRef.current.pause();
       setIsPlaying(false);
+      transport.stopWithFade(() => {
+        finishCrossfade();
+        stopLoopPlayback();
+        stopGaplessPlayback();
+        audioRef.current.pause();
+      }, fadeSettings.fadeOut);
     }
-  }, []);
+  }, [finishCrossfade, stopLoopPlayback, stopGaplessPlayback, fadeSettings.fadeOut, transport]);
 
   // Toggle play/pause
   const togglePlayPause = useCallback(() => {
@@ -103,13 +470,33 @@ export const useAudioPlayer = () => {
     }
   }, [isPlaying, play, pause]);
 
-  // Seek to specific time
+  // Seek to specific time. Inside an active loop the loop player jumps there itself; outside it
+  // the element takes over again and comes back round to A when it passes B.
   const seekTo = useCallback((time) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = time;
-      setCurrentTime(time);
-    }
-  }, []);
+    if (!audioRef.current) return;
+
+    setCurrentTime(time);
+    transport.seekWithFade(() => {
+      finishCrossfade();
+      if (gaplessPlayerRef.current?.isPlaying()) {
+        gaplessPlayerRef.current.seek(time);
+        return;
+      }
+
+      const loopPlayer = loopPlayerRef.current;
+      if (loopPlayer?.isPlaying() && isInLoop(loopRegion, time)) {
+        loopPlayer.start(currentTrack, loopRegion, time, loopPass);
+        return;
+      }
+
+      const wasLooping = stopLoopPlayback() !== null;
+      seekAudioElement(audioRef.current, currentTrack, time);
+      if (wasLooping) {
+        audioRef.current.play().catch(err => console.error('Error playing audio:', err));
+      }
+      return waitForSeek(audioRef.current);
+    }, fadeSettings.seek, isPlaying);
+  }, [currentTrack, finishCrossfade, loopRegion, loopPass, stopLoopPlayback, fadeSettings.seek, isPlaying, transport]);
 
   // Change volume
   const changeVolume = useCallback((newVolume) => {
@@ -118,6 +505,7 @@ export const useAudioPlayer = () => {
     if (audioRef.current) {
       audioRef.current.volume = clampedVolume;
     }
+    loopPlayerRef.current?.setVolume(clampedVolume);
   }, []);
 
   // Get frequency data for visualizer
@@ -138,21 +526,290 @@ export const useAudioPlayer = () => {
     return `${minutes}:${seconds.toString().padStart(2, '0')}`;
   }, []);
 
+  // Decode each track once for loudness, tempo and key; the results stay on the track object
+  const trackFile = currentTrack?.file;
+  const needsAnalysis = Boolean(trackFile && currentTrack.tempo === undefined);
+
+  useEffect(() => {
+    if (!needsAnalysis) return;
+
+    let cancelled = false;
+    setIsAnalyzing(true);
+
+    analyzeAudioFile(trackFile).then(analysis => {
+      if (cancelled) return;
+      setIsAnalyzing(false);
+      setCurrentTrack(prev => (
+        prev?.file === trackFile
+          ? { ...prev, ...analysis }
+          : prev
+      ));
+    });
+
+    return () => {
+      cancelled = true;
+      setIsAnalyzing(false);
+    };
+  }, [trackFile, needsAnalysis]);
+
+  const normalization = useMemo(() => (
+    loudnessSettings.enabled ? getNormalizationGain(currentTrack, loudnessSettings) : null
+  ), [currentTrack, loudnessSettings]);
+
+  useEffect(() => {
+    const gain = normalization ? dbToGain(normalization.gainDb) : 1;
+    normalizationGainRef.current = gain;
+
+    if (gainNodeRef.current && audioContextRef.current) {
+      gainNodeRef.current.gain.setTargetAtTime(gain, audioContextRef.current.currentTime, 0.05);
+    }
+  }, [normalization]);
+
+  useEffect(() => {
+    if (!isGapless) return;
+
+    const interval = setInterval(() => {
+      setCurrentTime(time => gaplessPlayerRef.current?.getPosition() ?? time);
+    }, GAPLESS_TIME_UPDATE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isGapless]);
+
+  // Decode the current and next tracks ahead of time, so the next one can be scheduled to start on
+  // the sample the current one ends
+  useEffect(() => {
+    if (!canPlayGapless || !currentTrack?.file) return;
+
+    let cancelled = false;
+    const gaplessPlayer = getGaplessPlayer();
+    gaplessPlayer.prepare(currentTrack);
+    gaplessPlayer.prepare(nextTrack).then(() => {
+      if (!cancelled) gaplessPlayer.setNext(nextTrack);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canPlayGapless, currentTrack, nextTrack, getGaplessPlayer]);
+
+  // Something that needs the element was switched on mid-track; it carries on from the same place
+  useEffect(() => {
+    if (canPlayGapless || !isGapless) return;
+
+    transport.seekWithFade(() => {
+      stopGaplessPlayback();
+      return audioRef.current.play();
+    }, fadeSettings.seek).catch(err => console.error('Error playing audio:', err));
+  }, [canPlayGapless, isGapless, stopGaplessPlayback, fadeSettings.seek, transport]);
+
+  // The element also runs at the practice speed, for loops it has to repeat by itself, and faster
+  // through silences in skip-silence's 'speed' mode
+  useEffect(() => {
+    const silenceRate = isSpeedingThroughSilence ? silencePlaybackRate : 1;
+    const rate = clampPlaybackRate(timeStretchSettings, timeStretchSettings.tempo * practiceSpeed * silenceRate);
+    const preservesPitch = !isPitchShiftAvailable;
+    applyPlaybackRate(audioRef.current, rate, preservesPitch);
+    applyPlaybackRate(spareAudioRef.current, rate, preservesPitch);
+
+    // The loop player schedules the processor itself, pass by pass
+    if (timeStretchNodeRef.current && !isLooping) {
+      applyProcessorPitchRatio(timeStretchNodeRef.current, timeStretchSettings, audioContextRef.current, { rate });
+    }
+  }, [timeStretchSettings, isPitchShiftAvailable, practiceSpeed, isLooping, isSpeedingThroughSilence, silencePlaybackRate]);
+
+  useEffect(() => {
+    loopOptionsRef.current = { timeStretchSettings, practiceSettings };
+  }, [timeStretchSettings, practiceSettings]);
+
+  // Changes apply to the pass being played; a changed practice ramp starts again from its first pass
+  useEffect(() => {
+    loopPlayerRef.current?.refreshRate();
+  }, [timeStretchSettings]);
+
+  useEffect(() => {
+    loopPlayerRef.current?.refreshRate(0);
+  }, [practiceSettings]);
+
+  useEffect(() => {
+    if (!isLooping) return;
+
+    const interval = setInterval(() => {
+      setCurrentTime(time => loopPlayerRef.current?.getPosition() ?? time);
+    }, LOOP_TIME_UPDATE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isLooping]);
+
+  // Decode as soon as there is a loop, so the first pass through B can already wrap on the sample
+  const hasLoop = isLoopActive(loopRegion);
+  useEffect(() => {
+    if (hasLoop && currentTrack?.file) {
+      getLoopPlayer().prepare(currentTrack);
+    }
+  }, [hasLoop, currentTrack, getLoopPlayer]);
+
+  useEffect(() => {
+    setSavedLoops(loadSavedLoops(trackFile));
+  }, [trackFile]);
+
+  // Set, move or (with null) clear the loop. B may be left null while only A is set. The practice
+  // ramp starts over with every change.
+  const changeLoopRegion = useCallback((region) => {
+    const nextRegion = normalizeLoopRegion(region, duration);
+    setLoopRegion(nextRegion);
+    setLoopPass(0);
+
+    const loopPlayer = loopPlayerRef.current;
+    if (!loopPlayer?.isPlaying()) return;
+
+    if (isLoopActive(nextRegion)) {
+      loopPlayer.start(currentTrack, nextRegion, loopPlayer.getPosition(), 0);
+    } else {
+      stopLoopPlayback();
+      audioRef.current.play().catch(err => console.error('Error playing audio:', err));
+    }
+  }, [duration, currentTrack, stopLoopPlayback]);
+
+  const setLoopStart = useCallback((time = currentTime) => {
+    changeLoopRegion({ start: time, end: loopRegion?.end ?? null });
+  }, [currentTime, loopRegion, changeLoopRegion]);
+
+  // B without A loops from the start of the track
+  const setLoopEnd = useCallback((time = currentTime) => {
+    changeLoopRegion({ start: loopRegion?.start ?? 0, end: time });
+  }, [currentTime, loopRegion, changeLoopRegion]);
+
+  const clearLoop = useCallback(() => changeLoopRegion(null), [changeLoopRegion]);
+
+  const updatePracticeSettings = useCallback((updates) => {
+    setPracticeSettings(prev => {
+      const next = normalizePracticeSettings({ ...prev, ...updates });
+      saveToLocalStorage(PRACTICE_SETTINGS_KEY, next);
+      return next;
+    });
+    setLoopPass(0);
+  }, []);
+
+  const updateSavedLoops = useCallback((update) => {
+    setSavedLoops(prev => {
+      const next = update(prev);
+      saveLoopsForFile(trackFile, next);
+      return next;
+    });
+  }, [trackFile]);
+
+  const saveLoop = useCallback((name = '') => {
+    if (!isLoopActive(loopRegion) || !trackFile) return;
+
+    const { start, end } = loopRegion;
+    updateSavedLoops(prev => [...prev, {
+      id: `loop-${Date.now()}`,
+      name: name.trim() || `${formatTime(start)}–${formatTime(end)}`,
+      start,
+      end
+    }]);
+  }, [loopRegion, trackFile, formatTime, updateSavedLoops]);
+
+  const deleteLoop = useCallback((id) => {
+    updateSavedLoops(prev => prev.filter(loop => loop.id !== id));
+  }, [updateSavedLoops]);
+
+  // Make a saved loop the active one and start from its A
+  const recallLoop = useCallback((id) => {
+    const loop = savedLoops.find(saved => saved.id === id);
+    if (!loop) return;
+
+    changeLoopRegion(loop);
+    seekTo(loop.start);
+  }, [savedLoops, changeLoopRegion, seekTo]);
+
+  // Silences come from the level envelope the analysis adds to the track
+  const silentRegions = useMemo(() => (
+    findSilentRegions(currentTrack?.envelope, skipSilenceSettings)
+  ), [currentTrack?.envelope, skipSilenceSettings]);
+
+  useEffect(() => {
+    setSilenceTimeSaved(0);
+    skippedRegionRef.current = null;
+  }, [currentTrack?.url]);
+
+  // Skip-silence watches the element's position while it plays. Skips go through seekTo, so they
+  // fade like any other seek and the progress display follows them.
+  useEffect(() => {
+    const isWatching = skipSilenceSettings.enabled && isPlaying && !isLooping && silentRegions.length > 0;
+    if (!isWatching) return;
+
+    let previousTime = null;
+    const interval = setInterval(() => {
+      const audio = audioRef.current;
+      if (!audio || audio.paused || crossfadeRef.current) return;
+
+      const time = getAudioElementTime(audio, currentTrack);
+      const region = getSilentRegionAt(silentRegions, time);
+
+      if (skipSilenceSettings.mode === 'speed') {
+        if (region && previousTime !== null && time > previousTime) {
+          const elapsed = time - previousTime;
+          setSilenceTimeSaved(saved => saved + elapsed * (1 - 1 / silencePlaybackRate));
+        }
+        previousTime = region ? time : null;
+        setIsSpeedingThroughSilence(Boolean(region));
+        return;
+      }
+
+      if (!region) {
+        skippedRegionRef.current = null;
+      } else if (region !== skippedRegionRef.current) {
+        skippedRegionRef.current = region;
+        setSilenceTimeSaved(saved => saved + region.end - time);
+        seekTo(region.end);
+      }
+    }, SILENCE_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      setIsSpeedingThroughSilence(false);
+    };
+  }, [skipSilenceSettings.enabled, skipSilenceSettings.mode, isPlaying, isLooping, silentRegions, currentTrack, seekTo, silencePlaybackRate]);
+
   // Audio event handlers
   useEffect(() => {
     const audio = audioRef.current;
     if (!audio) return;
 
     const handleLoadedMetadata = () => {
-      setDuration(audio.duration);
+      setDuration(getTrackDuration(currentTrack, audio.duration));
       setIsLoading(false);
     };
 
+    // Past B: back to A for the next pass
+    const repeatLoop = () => {
+      const pass = loopPass + 1;
+      setLoopPass(pass);
+      if (startLoopPlayback(loopRegion.start, pass)) return;
+
+      // Not decoded yet, so the element jumps back itself, less precisely
+      seekAudioElement(audio, currentTrack, loopRegion.start);
+      if (audio.paused) {
+        audio.play().catch(err => console.error('Error playing audio:', err));
+      }
+    };
+
     const handleTimeUpdate = () => {
-      setCurrentTime(audio.currentTime);
+      const time = getAudioElementTime(audio, currentTrack);
+      setCurrentTime(time);
+      if (audio.paused || !isLoopActive(loopRegion) || time < loopRegion.start) return;
+
+      if (time >= loopRegion.end) {
+        repeatLoop();
+      } else {
+        startLoopPlayback(time, loopPass);
+      }
     };
 
     const handleEnded = () => {
+      if (isLoopActive(loopRegion)) {
+        repeatLoop();
+        return;
+      }
       setIsPlaying(false);
       setCurrentTime(0);
     };
@@ -167,6 +824,11 @@ export const useAudioPlayer = () => {
       setIsLoading(false);
     };
 
+    // The buffers follow the element's volume, which the controls also mute
+    const handleVolumeChange = () => {
+      gaplessPlayerRef.current?.setVolume(audio.volume);
+    };
+
     const handleWaiting = () => {
       setIsLoading(true);
     };
@@ -182,6 +844,7 @@ export const useAudioPlayer = () => {
     audio.addEventListener('canplay', handleCanPlay);
     audio.addEventListener('waiting', handleWaiting);
     audio.addEventListener('canplaythrough', handleCanPlayThrough);
+    audio.addEventListener('volumechange', handleVolumeChange);
 
     return () => {
       audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
@@ -191,8 +854,25 @@ export const useAudioPlayer = () => {
       audio.removeEventListener('canplay', handleCanPlay);
       audio.removeEventListener('waiting', handleWaiting);
       audio.removeEventListener('canplaythrough', handleCanPlayThrough);
+      audio.removeEventListener('volumechange', handleVolumeChange);
     };
-  }, [currentTrack]);
+  }, [currentTrack, loopRegion, loopPass, startLoopPlayback]);
+
+  // Release a track's object URL once another track replaces it. Keyed on the URL so
+  // in-place updates to the track (edited tags, loudness) leave playback alone.
+  useEffect(() => {
+    const url = currentTrack?.url;
+    return () => {
+      if (!url) return;
+
+      // The outgoing side of a crossfade is still reading its file
+      if (crossfadeRef.current?.outgoing.src === url) {
+        crossfadeRef.current.revokeUrl = url;
+      } else {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [currentTrack?.url]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -200,14 +880,25 @@ export const useAudioPlayer = () => {
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current);
       }
-      if (audioContextRef.current) {
-        audioContextRef.current.close();
+      // The engine is shared, so only release what this player added to it
+      finishCrossfade();
+      loopPlayerRef.current?.dispose();
+      gaplessPlayerRef.current?.dispose();
+      detachMediaElement(spareAudioRef.current);
+      removeAnalyserTap(analyserRef.current);
+      analyserRef.current = null;
+      if (gainNodeRef.current) {
+        removeInsert('loudness');
       }
-      if (currentTrack?.url) {
-        URL.revokeObjectURL(currentTrack.url);
+      if (timeStretchNodeRef.current) {
+        removeInsert('timeStretch');
+        timeStretchNodeRef.current = null;
+      }
+      if (sourceRef.current) {
+        detachMediaElement(sourceRef.current.mediaElement);
       }
     };
-  }, [currentTrack]);
+  }, [finishCrossfade]);
 
   return {
     // Refs
@@ -223,14 +914,43 @@ export const useAudioPlayer = () => {
     currentTrack,
     isLoading,
     error,
+    loudnessSettings,
+    normalization,
+    isAnalyzing,
+    crossfadeSettings,
+    fadeSettings,
+    skipSilenceSettings,
+    silentRegions,
+    silenceTimeSaved,
+    timeStretchSettings,
+    isPitchShiftAvailable,
+    loopRegion,
+    practiceSettings,
+    practiceSpeed,
+    savedLoops,
     
     // Actions
     loadTrack,
+    setNextTrack,
+    updateTrack,
     play,
     pause,
     togglePlayPause,
     seekTo,
     changeVolume,
+    updateLoudnessSettings,
+    updateCrossfadeSettings,
+    updateFadeSettings,
+    updateSkipSilenceSettings,
+    updateTimeStretchSettings,
+    setLoopRegion: changeLoopRegion,
+    setLoopStart,
+    setLoopEnd,
+    clearLoop,
+    updatePracticeSettings,
+    saveLoop,
+    deleteLoop,
+    recallLoop,
     
     // Visualizer
     getFrequencyData,
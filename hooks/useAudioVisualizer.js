@@ -1,38 +1,31 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-
-export const useAudioVisualizer = (audioElement) => {
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
+import { useAudioEngine } from './useAudioEngine';
+import {
+  attachMediaElement,
+  createAnalyserTap,
+  removeAnalyserTap,
+  resumeAudioEngine
+} from '../utils/audioEngine';
+
+// Follows an audio element's play and pause events. Sources without one, such as the signal
+// generator, pass isRunning instead and audioElement as null.
+export const useAudioVisualizer = (audioElement, { isRunning = false } = {}) => {
+  const engine = useAudioEngine();
+  const [analyser, setAnalyser] = useState(null);
   const [frequencyData, setFrequencyData] = useState(new Uint8Array(128));
   const [waveformData, setWaveformData] = useState(new Uint8Array(128));
-  const audioContextRef = useRef(null);
   const analyzerRef = useRef(null);
-  const sourceRef = useRef(null);
   const animationFrameRef = useRef(null);
 
-  const initializeAudioContext = useCallback(async () => {
-    if (!audioElement || audioContextRef.current) return;
+  // Analysing while the shared engine is live and this hook has a tap on it
+  const isAnalyzing = Boolean(analyser) && engine.state !== 'closed';
 
-    try {
-      // Create audio context
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      audioContextRef.current = new AudioContext();
-      
-      // Create analyzer node
-      analyzerRef.current = audioContextRef.current.createAnalyser();
-      analyzerRef.current.fftSize = 256;
-      analyzerRef.current.smoothingTimeConstant = 0.8;
-      
-      // Create source from audio element
-      sourceRef.current = audioContextRef.current.createMediaElementSource(audioElement);
-      
-      // Connect nodes
-      sourceRef.current.connect(analyzerRef.current);
-      analyzerRef.current.connect(audioContextRef.current.destination);
-      
-      setIsAnalyzing(true);
-    } catch (error) {
-      console.error('Error initializing audio context:', error);
-    }
+  const initializeAudioContext = useCallback(() => {
+    if (analyzerRef.current) return;
+    if (audioElement && !attachMediaElement(audioElement)) return;
+
+    analyzerRef.current = createAnalyserTap({ fftSize: 256, smoothingTimeConstant: 0.8 });
+    setAnalyser(analyzerRef.current);
   }, [audioElement]);
 
   const startVisualization = useCallback(() => {
@@ -68,27 +61,13 @@ export const useAudioVisualizer = (audioElement) => {
 
   const cleanup = useCallback(() => {
     stopVisualization();
-    
-    if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
-      audioContextRef.current.close();
-    }
-    
-    audioContextRef.current = null;
+
+    // Leave the element attached: the shared engine may still be playing it
+    removeAnalyserTap(analyzerRef.current);
     analyzerRef.current = null;
-    sourceRef.current = null;
-    setIsAnalyzing(false);
+    setAnalyser(null);
   }, [stopVisualization]);
 
-  const resumeAudioContext = useCallback(async () => {
-    if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-      try {
-        await audioContextRef.current.resume();
-      } catch (error) {
-        console.error('Error resuming audio context:', error);
-      }
-    }
-  }, []);
-
   // Get visualization data in different formats
   const getBarData = useCallback((barCount = 32) => {
     if (!frequencyData.length) return new Array(barCount).fill(0);
@@ -191,21 +170,31 @@ export const useAudioVisualizer = (audioElement) => {
     return count > 0 ? sum / count : 0;
   }, [frequencyData]);
 
-  // Initialize when audio element changes
+  // Initialize when audio element changes, or when a source without one starts
+  const hasSource = Boolean(audioElement) || isRunning;
   useEffect(() => {
-    if (audioElement) {
+    if (hasSource) {
       initializeAudioContext();
     }
     
     return cleanup;
-  }, [audioElement, initializeAudioContext, cleanup]);
+  }, [hasSource, initializeAudioContext, cleanup]);
+
+  useEffect(() => {
+    if (audioElement || !isRunning) return;
+
+    resumeAudioEngine();
+    startVisualization();
+    return stopVisualization;
+  }, [audioElement, isRunning, startVisualization, stopVisualization]);
 
   // Start/stop visualization based on audio playback
   useEffect(() => {
     if (!audioElement) return;
 
     const handlePlay = () => {
-      resumeAudioContext();
+      attachMediaElement(audioElement);
+      resumeAudioEngine();
       startVisualization();
     };
 
@@ -222,7 +211,7 @@ export const useAudioVisualizer = (audioElement) => {
       audioElement.removeEventListener('pause', handlePause);
       audioElement.removeEventListener('ended', handlePause);
     };
-  }, [audioElement, startVisualization, stopVisualization, resumeAudioContext]);
+  }, [audioElement, startVisualization, stopVisualization]);
 
   return {
     isAnalyzing,
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { getAudioContext, setInsert, removeInsert } from '../utils/audioEngine';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import {
+  DEFAULT_DYNAMICS_SETTINGS,
+  createDynamics,
+  applyDynamicsSettings,
+  normalizeDynamicsSettings,
+  getGainReduction as readGainReduction
+} from '../utils/dynamicsUtils';
+
+const DYNAMICS_SETTINGS_KEY = 'player_dynamics';
+
+export const useDynamics = () => {
+  const engine = useAudioEngine();
+  const dynamicsRef = useRef(null);
+
+  const [settings, setSettings] = useState(DEFAULT_DYNAMICS_SETTINGS);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeDynamicsSettings(loadFromLocalStorage(DYNAMICS_SETTINGS_KEY)));
+  }, []);
+
+  const commitSettings = useCallback((update) => {
+    setSettings(prev => {
+      const next = { ...prev, ...update(prev) };
+      saveToLocalStorage(DYNAMICS_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateCompressor = useCallback((updates) => {
+    commitSettings(prev => ({ compressor: { ...prev.compressor, ...updates } }));
+  }, [commitSettings]);
+
+  const updateLimiter = useCallback((updates) => {
+    commitSettings(prev => ({ limiter: { ...prev.limiter, ...updates } }));
+  }, [commitSettings]);
+
+  const toggleNightMode = useCallback(() => {
+    commitSettings(prev => ({ nightMode: !prev.nightMode }));
+  }, [commitSettings]);
+
+  // For meters, which poll this every frame rather than re-rendering through state
+  const getGainReduction = useCallback(() => readGainReduction(dynamicsRef.current), []);
+
+  // Build the stages once the shared engine has a context, and again if it is ever recreated
+  const hasContext = engine.state !== 'closed';
+
+  useEffect(() => {
+    if (!hasContext) return;
+
+    dynamicsRef.current = createDynamics(getAudioContext());
+    setInsert('dynamics', dynamicsRef.current);
+
+    return () => {
+      removeInsert('dynamics');
+      dynamicsRef.current = null;
+    };
+  }, [hasContext]);
+
+  useEffect(() => {
+    if (dynamicsRef.current) {
+      applyDynamicsSettings(dynamicsRef.current, settings, getAudioContext());
+    }
+  }, [settings, hasContext]);
+
+  return {
+    settings,
+    updateCompressor,
+    updateLimiter,
+    toggleNightMode,
+    getGainReduction
+  };
+};
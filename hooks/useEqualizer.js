@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { getAudioContext, setInsert, removeInsert } from '../utils/audioEngine';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import {
+  EQ_PRESETS,
+  DEFAULT_EQUALIZER_SETTINGS,
+  createEqualizer,
+  applyEqualizerSettings,
+  normalizeEqualizerSettings
+} from '../utils/equalizerUtils';
+
+const EQUALIZER_SETTINGS_KEY = 'player_equalizer';
+const EQUALIZER_PRESETS_KEY = 'player_equalizer_presets';
+
+export const useEqualizer = () => {
+  const engine = useAudioEngine();
+  const equalizerRef = useRef(null);
+
+  const [settings, setSettings] = useState(DEFAULT_EQUALIZER_SETTINGS);
+  const [customPresets, setCustomPresets] = useState([]);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeEqualizerSettings(loadFromLocalStorage(EQUALIZER_SETTINGS_KEY)));
+    setCustomPresets(loadFromLocalStorage(EQUALIZER_PRESETS_KEY, []));
+  }, []);
+
+  const presets = useMemo(() => [...EQ_PRESETS, ...customPresets], [customPresets]);
+
+  const commitSettings = useCallback((update) => {
+    setSettings(prev => {
+      const next = { ...prev, ...update(prev) };
+      saveToLocalStorage(EQUALIZER_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const commitCustomPresets = useCallback((update) => {
+    setCustomPresets(prev => {
+      const next = update(prev);
+      saveToLocalStorage(EQUALIZER_PRESETS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Hand edits detach the settings from whichever preset they started from
+  const updateSettings = useCallback((updates) => {
+    commitSettings(() => ({ presetId: null, ...updates }));
+  }, [commitSettings]);
+
+  const toggleEnabled = useCallback(() => {
+    commitSettings(prev => ({ enabled: !prev.enabled }));
+  }, [commitSettings]);
+
+  const updateBand = useCallback((index, updates) => {
+    commitSettings(prev => ({
+      presetId: null,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, ...updates } : band))
+    }));
+  }, [commitSettings]);
+
+  const selectPreset = useCallback((presetId) => {
+    const preset = presets.find(item => item.id === presetId);
+    if (!preset) return;
+
+    commitSettings(() => ({
+      presetId: preset.id,
+      preamp: preset.preamp,
+      bands: preset.bands
+    }));
+  }, [presets, commitSettings]);
+
+  const saveCustomPreset = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const preset = {
+      id: `custom-${Date.now()}`,
+      name: trimmed,
+      preamp: settings.preamp,
+      bands: settings.bands
+    };
+
+    commitCustomPresets(prev => [...prev, preset]);
+    commitSettings(() => ({ presetId: preset.id }));
+  }, [settings, commitCustomPresets, commitSettings]);
+
+  const deleteCustomPreset = useCallback((presetId) => {
+    commitCustomPresets(prev => prev.filter(preset => preset.id !== presetId));
+    commitSettings(prev => (prev.presetId === presetId ? { presetId: null } : {}));
+  }, [commitCustomPresets, commitSettings]);
+
+  // Build the filters once the shared engine has a context, and again if it is ever recreated
+  const hasContext = engine.state !== 'closed';
+
+  useEffect(() => {
+    if (!hasContext) return;
+
+    equalizerRef.current = createEqualizer(getAudioContext());
+    setInsert('equalizer', equalizerRef.current);
+
+    return () => {
+      removeInsert('equalizer');
+      equalizerRef.current = null;
+    };
+  }, [hasContext]);
+
+  useEffect(() => {
+    if (equalizerRef.current) {
+      applyEqualizerSettings(equalizerRef.current, settings, getAudioContext());
+    }
+  }, [settings, hasContext]);
+
+  return {
+    settings,
+    sampleRate: engine.sampleRate,
+    presets,
+    customPresets,
+    updateSettings,
+    toggleEnabled,
+    updateBand,
+    selectPreset,
+    saveCustomPreset,
+    deleteCustomPreset
+  };
+};
@@ -0,0 +1,88 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createGaplessPlayer } from '../utils/gaplessPlayer';
+
+const TIME_UPDATE_INTERVAL = 250;
+
+// React state around a gapless player: whether it is the one playing, and its clock
+export const useGaplessPlayback = ({ onAdvance, onEnded } = {}) => {
+  const playerRef = useRef(null);
+  const callbacksRef = useRef({ onAdvance, onEnded });
+  const [isActive, setIsActive] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+
+  useEffect(() => {
+    callbacksRef.current = { onAdvance, onEnded };
+  }, [onAdvance, onEnded]);
+
+  const getPlayer = useCallback(() => {
+    if (!playerRef.current) {
+      playerRef.current = createGaplessPlayer({
+        onAdvance: (track) => {
+          setCurrentTime(0);
+          callbacksRef.current.onAdvance?.(track);
+        },
+        onEnded: (track) => {
+          setIsActive(false);
+          callbacksRef.current.onEnded?.(track);
+        }
+      });
+    }
+    return playerRef.current;
+  }, []);
+
+  const prepare = useCallback((track) => getPlayer().prepare(track), [getPlayer]);
+
+  const setNext = useCallback((track) => getPlayer().setNext(track), [getPlayer]);
+
+  const play = useCallback((track, offset = 0) => {
+    const started = getPlayer().play(track, offset);
+    if (started) {
+      setIsActive(true);
+      setCurrentTime(offset);
+    }
+    return started;
+  }, [getPlayer]);
+
+  const pause = useCallback(() => {
+    const position = getPlayer().pause();
+    setIsActive(false);
+    setCurrentTime(position);
+    return position;
+  }, [getPlayer]);
+
+  const seek = useCallback((time) => {
+    if (getPlayer().seek(time)) {
+      setCurrentTime(time);
+    }
+  }, [getPlayer]);
+
+  const stop = useCallback(() => {
+    getPlayer().stop();
+    setIsActive(false);
+  }, [getPlayer]);
+
+  const setVolume = useCallback((volume) => getPlayer().setVolume(volume), [getPlayer]);
+
+  useEffect(() => {
+    if (!isActive) return;
+
+    const interval = setInterval(() => setCurrentTime(getPlayer().getPosition()), TIME_UPDATE_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isActive, getPlayer]);
+
+  useEffect(() => {
+    return () => playerRef.current?.dispose();
+  }, []);
+
+  return {
+    isActive,
+    currentTime,
+    prepare,
+    setNext,
+    play,
+    pause,
+    seek,
+    stop,
+    setVolume
+  };
+};
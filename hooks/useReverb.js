@@ -0,0 +1,193 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { getAudioContext, setInsert, removeInsert } from '../utils/audioEngine';
+import {
+  saveToLocalStorage,
+  loadFromLocalStorage,
+  saveToLibrary,
+  loadLibraryEntries,
+  removeFromLibrary
+} from '../utils/audioUtils';
+import {
+  SYNTHETIC_IMPULSES,
+  DEFAULT_REVERB_SETTINGS,
+  USER_IMPULSE_PREFIX,
+  createReverb,
+  applyReverbSettings,
+  generateImpulseResponse,
+  decodeImpulseResponse,
+  normalizeReverbSettings
+} from '../utils/reverbUtils';
+
+const REVERB_SETTINGS_KEY = 'player_reverb';
+
+export const useReverb = () => {
+  const engine = useAudioEngine();
+  const reverbRef = useRef(null);
+  // Impulse responses decoded for the current context, by id
+  const buffersRef = useRef(new Map());
+  // The user's impulse responses as stored, decoded the first time they are picked
+  const userBytesRef = useRef(new Map());
+
+  const [settings, setSettings] = useState(DEFAULT_REVERB_SETTINGS);
+  const [userImpulses, setUserImpulses] = useState([]);
+  // The impulse the convolver actually holds, which trails the selection while it decodes
+  const [loadedImpulseId, setLoadedImpulseId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const impulses = useMemo(() => [
+    ...SYNTHETIC_IMPULSES.map(({ id, name }) => ({ id, name })),
+    ...userImpulses
+  ], [userImpulses]);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeReverbSettings(loadFromLocalStorage(REVERB_SETTINGS_KEY)));
+  }, []);
+
+  const commitSettings = useCallback((update) => {
+    setSettings(prev => {
+      const next = { ...prev, ...update(prev) };
+      saveToLocalStorage(REVERB_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // impulseId, mix and preDelay
+  const updateSettings = useCallback((updates) => {
+    commitSettings(() => updates);
+  }, [commitSettings]);
+
+  const toggleEnabled = useCallback(() => {
+    commitSettings(prev => ({ enabled: !prev.enabled }));
+  }, [commitSettings]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadLibraryEntries(USER_IMPULSE_PREFIX).then(entries => {
+      if (cancelled) return;
+      entries.forEach(({ key, data }) => userBytesRef.current.set(key, data.bytes));
+      setUserImpulses(entries.map(({ key, data }) => ({ id: key, name: data.name })));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Takes the File from FileUpload, which reports null when its selection is cleared
+  const addImpulseResponse = useCallback(async (file) => {
+    if (!file) return null;
+
+    const context = getAudioContext();
+    if (!context) return null;
+
+    const bytes = await file.arrayBuffer();
+    const buffer = await decodeImpulseResponse(context, bytes);
+    if (!buffer) {
+      setError(`${file.name} could not be read as an impulse response`);
+      return null;
+    }
+
+    const impulse = {
+      id: `${USER_IMPULSE_PREFIX}${Date.now()}`,
+      name: file.name.replace(/\.[^.]+$/, '')
+    };
+    await saveToLibrary(impulse.id, { name: impulse.name, bytes });
+
+    userBytesRef.current.set(impulse.id, bytes);
+    buffersRef.current.set(impulse.id, buffer);
+    setError(null);
+    setUserImpulses(prev => [...prev, impulse]);
+    commitSettings(() => ({ enabled: true, impulseId: impulse.id }));
+    return impulse;
+  }, [commitSettings]);
+
+  const removeImpulseResponse = useCallback(async (id) => {
+    await removeFromLibrary(id);
+
+    userBytesRef.current.delete(id);
+    buffersRef.current.delete(id);
+    setUserImpulses(prev => prev.filter(impulse => impulse.id !== id));
+    commitSettings(prev => (
+      prev.impulseId === id ? { impulseId: DEFAULT_REVERB_SETTINGS.impulseId } : {}
+    ));
+  }, [commitSettings]);
+
+  // Build the slot once the shared engine has a context, and again if it is ever recreated
+  const hasContext = engine.state !== 'closed';
+
+  useEffect(() => {
+    if (!hasContext) return;
+
+    const buffers = buffersRef.current;
+    reverbRef.current = createReverb(getAudioContext());
+    setInsert('reverb', reverbRef.current);
+
+    return () => {
+      removeInsert('reverb');
+      reverbRef.current = null;
+      // A convolver only takes buffers at its own context's sample rate
+      buffers.clear();
+      setLoadedImpulseId(null);
+    };
+  }, [hasContext]);
+
+  // Convolution is the expensive part, so the convolver only holds a buffer while enabled
+  useEffect(() => {
+    const reverb = reverbRef.current;
+    if (!reverb) return;
+
+    if (!settings.enabled) {
+      reverb.convolver.buffer = null;
+      setLoadedImpulseId(null);
+      return;
+    }
+
+    let cancelled = false;
+    const context = getAudioContext();
+    const id = settings.impulseId;
+
+    const loadBuffer = async () => {
+      const cached = buffersRef.current.get(id);
+      if (cached) return cached;
+
+      const synthetic = SYNTHETIC_IMPULSES.find(impulse => impulse.id === id);
+      const bytes = userBytesRef.current.get(id);
+      const buffer = synthetic
+        ? generateImpulseResponse(context, synthetic)
+        : bytes ? await decodeImpulseResponse(context, bytes) : null;
+
+      if (buffer) buffersRef.current.set(id, buffer);
+      return buffer;
+    };
+
+    // A user impulse may not be known yet while the library loads; this runs again once it is
+    loadBuffer().then(buffer => {
+      if (cancelled || reverbRef.current !== reverb) return;
+      reverb.convolver.buffer = buffer;
+      setLoadedImpulseId(buffer ? id : null);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [settings.enabled, settings.impulseId, userImpulses, hasContext]);
+
+  useEffect(() => {
+    if (reverbRef.current) {
+      applyReverbSettings(reverbRef.current, settings, getAudioContext());
+    }
+  }, [settings, loadedImpulseId, hasContext]);
+
+  return {
+    settings,
+    impulses,
+    error,
+    updateSettings,
+    toggleEnabled,
+    addImpulseResponse,
+    removeImpulseResponse
+  };
+};
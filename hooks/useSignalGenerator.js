@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import { resumeAudioEngine } from '../utils/audioEngine';
+import {
+  createSignalGenerator,
+  DEFAULT_GENERATOR_SETTINGS,
+  normalizeGeneratorSettings
+} from '../utils/signalGenerator';
+
+const GENERATOR_SETTINGS_KEY = 'player_generator';
+
+// React state around a signal generator: its settings, kept between visits, and whether it is
+// playing. `volume` (0-1) is the page's volume, applied on top of the signal's level.
+export const useSignalGenerator = ({ volume = 1 } = {}) => {
+  const generatorRef = useRef(null);
+  const [settings, setSettings] = useState(DEFAULT_GENERATOR_SETTINGS);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const getGenerator = useCallback(() => {
+    if (!generatorRef.current) {
+      generatorRef.current = createSignalGenerator();
+    }
+    return generatorRef.current;
+  }, []);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeGeneratorSettings(loadFromLocalStorage(GENERATOR_SETTINGS_KEY)));
+  }, []);
+
+  // Changes are heard straight away while it plays
+  useEffect(() => {
+    getGenerator().update(settings);
+  }, [settings, getGenerator]);
+
+  useEffect(() => {
+    getGenerator().setVolume(volume);
+  }, [volume, getGenerator]);
+
+  // Never leave a tone playing after the page using it has gone
+  useEffect(() => () => getGenerator().stop(), [getGenerator]);
+
+  const start = useCallback(async () => {
+    const started = getGenerator().start(settings);
+    if (started) {
+      await resumeAudioEngine();
+      setIsRunning(true);
+    }
+    return started;
+  }, [getGenerator, settings]);
+
+  const stop = useCallback(() => {
+    getGenerator().stop();
+    setIsRunning(false);
+  }, [getGenerator]);
+
+  const toggle = useCallback(() => (isRunning ? stop() : start()), [isRunning, start, stop]);
+
+  const updateSettings = useCallback((updates) => {
+    setSettings(prev => {
+      const next = normalizeGeneratorSettings({ ...prev, ...updates });
+      saveToLocalStorage(GENERATOR_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const updateSweep = useCallback((updates) => {
+    setSettings(prev => {
+      const next = normalizeGeneratorSettings({ ...prev, sweep: { ...prev.sweep, ...updates } });
+      saveToLocalStorage(GENERATOR_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  return {
+    settings,
+    isRunning,
+    start,
+    stop,
+    toggle,
+    updateSettings,
+    updateSweep
+  };
+};
@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { getAudioContext, setInsert, removeInsert } from '../utils/audioEngine';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import {
+  DEFAULT_SPATIAL_SETTINGS,
+  createSpatializer,
+  applySpatialSettings,
+  normalizeSpatialSettings,
+  clampStagePosition
+} from '../utils/spatialUtils';
+
+const SPATIAL_SETTINGS_KEY = 'player_spatial';
+
+export const useSpatialAudio = () => {
+  const engine = useAudioEngine();
+  const spatialRef = useRef(null);
+
+  const [settings, setSettings] = useState(DEFAULT_SPATIAL_SETTINGS);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeSpatialSettings(loadFromLocalStorage(SPATIAL_SETTINGS_KEY)));
+  }, []);
+
+  const commitSettings = useCallback((update) => {
+    setSettings(prev => {
+      const next = { ...prev, ...update(prev) };
+      saveToLocalStorage(SPATIAL_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const toggleEnabled = useCallback(() => {
+    commitSettings(prev => ({ enabled: !prev.enabled }));
+  }, [commitSettings]);
+
+  const updatePosition = useCallback((position) => {
+    commitSettings(() => ({ position: clampStagePosition(position) }));
+  }, [commitSettings]);
+
+  const updateOrbit = useCallback((updates) => {
+    commitSettings(prev => ({ orbit: { ...prev.orbit, ...updates } }));
+  }, [commitSettings]);
+
+  const updateCrossfeed = useCallback((updates) => {
+    commitSettings(prev => ({ crossfeed: { ...prev.crossfeed, ...updates } }));
+  }, [commitSettings]);
+
+  const resetSettings = useCallback(() => {
+    commitSettings(() => DEFAULT_SPATIAL_SETTINGS);
+  }, [commitSettings]);
+
+  // Build the stage once the shared engine has a context, and again if it is ever recreated
+  const hasContext = engine.state !== 'closed';
+
+  useEffect(() => {
+    if (!hasContext) return;
+
+    spatialRef.current = createSpatializer(getAudioContext());
+    setInsert('spatial', spatialRef.current);
+
+    return () => {
+      removeInsert('spatial');
+      spatialRef.current = null;
+    };
+  }, [hasContext]);
+
+  useEffect(() => {
+    if (spatialRef.current) {
+      applySpatialSettings(spatialRef.current, settings, getAudioContext());
+    }
+  }, [settings, hasContext]);
+
+  return {
+    settings,
+    toggleEnabled,
+    updatePosition,
+    updateOrbit,
+    updateCrossfeed,
+    resetSettings
+  };
+};
@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAudioEngine } from './useAudioEngine';
+import { getAudioContext, setInsert, removeInsert } from '../utils/audioEngine';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import {
+  DEFAULT_STEREO_SETTINGS,
+  createStereoTools,
+  applyStereoSettings,
+  normalizeStereoSettings
+} from '../utils/stereoUtils';
+
+const STEREO_SETTINGS_KEY = 'player_stereo';
+
+export const useStereoTools = () => {
+  const engine = useAudioEngine();
+  const stereoRef = useRef(null);
+
+  const [settings, setSettings] = useState(DEFAULT_STEREO_SETTINGS);
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeStereoSettings(loadFromLocalStorage(STEREO_SETTINGS_KEY)));
+  }, []);
+
+  const commitSettings = useCallback((update) => {
+    setSettings(prev => {
+      const next = { ...prev, ...update(prev) };
+      saveToLocalStorage(STEREO_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // balance, mono and swap
+  const updateSettings = useCallback((updates) => {
+    commitSettings(() => updates);
+  }, [commitSettings]);
+
+  const updateKaraoke = useCallback((updates) => {
+    commitSettings(prev => ({ karaoke: { ...prev.karaoke, ...updates } }));
+  }, [commitSettings]);
+
+  const resetSettings = useCallback(() => {
+    commitSettings(() => DEFAULT_STEREO_SETTINGS);
+  }, [commitSettings]);
+
+  // Build the stage once the shared engine has a context, and again if it is ever recreated
+  const hasContext = engine.state !== 'closed';
+
+  useEffect(() => {
+    if (!hasContext) return;
+
+    stereoRef.current = createStereoTools(getAudioContext());
+    setInsert('stereo', stereoRef.current);
+
+    return () => {
+      removeInsert('stereo');
+      stereoRef.current = null;
+    };
+  }, [hasContext]);
+
+  useEffect(() => {
+    if (stereoRef.current) {
+      applyStereoSettings(stereoRef.current, settings, getAudioContext());
+    }
+  }, [settings, hasContext]);
+
+  return {
+    settings,
+    updateSettings,
+    updateKaraoke,
+    resetSettings
+  };
+};
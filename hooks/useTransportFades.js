@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { saveToLocalStorage, loadFromLocalStorage } from '../utils/audioUtils';
+import { DEFAULT_FADE_SETTINGS, normalizeFadeSettings, createTransport } from '../utils/transportUtils';
+
+const FADE_SETTINGS_KEY = 'player_fades';
+
+// This component's own play, pause and seek fades, kept for as long as it is mounted
+export const useTransport = () => {
+  const [transport] = useState(createTransport);
+  return transport;
+};
+
+// Fade times, in seconds, for play (fadeIn), pause (fadeOut) and seek, with the transport they drive
+export const useTransportFades = () => {
+  const [settings, setSettings] = useState(DEFAULT_FADE_SETTINGS);
+  const transport = useTransport();
+
+  // Read after mount, as the main page is prerendered without localStorage
+  useEffect(() => {
+    setSettings(normalizeFadeSettings(loadFromLocalStorage(FADE_SETTINGS_KEY)));
+  }, []);
+
+  const updateSettings = useCallback((updates) => {
+    setSettings(prev => {
+      const next = { ...prev, ...updates };
+      saveToLocalStorage(FADE_SETTINGS_KEY, next);
+      return next;
+    });
+  }, []);
+
+  return { settings, updateSettings, transport };
+};
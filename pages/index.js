@@ -1,153 +1,176 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import { motion } from 'framer-motion';
 import { Button } from '../components/ui/button';
 import { Card } from '../components/ui/card';
-import { Slider } from '../components/ui/slider';
-import { Play, Pause, SkipBack, SkipForward, Volume2, Upload, Music } from 'lucide-react';
+import PlaybackControls from '../components/PlaybackControls';
+import TrackInfo from '../components/TrackInfo';
+import LyricsPanel from '../components/LyricsPanel';
+import LoudnessControls from '../components/LoudnessControls';
+import CrossfadeControls from '../components/CrossfadeControls';
+import FadeControls from '../components/FadeControls';
+import TimeStretchControls from '../components/TimeStretchControls';
+import LoopControls from '../components/LoopControls';
+import SkipSilenceControls from '../components/SkipSilenceControls';
+import EqualizerControls from '../components/EqualizerControls';
+import DynamicsControls from '../components/DynamicsControls';
+import StereoControls from '../components/StereoControls';
+import ReverbControls from '../components/ReverbControls';
+import SpatialControls from '../components/SpatialControls';
+import AlbumArt from '../components/AlbumArt';
+import SignalGeneratorControls from '../components/SignalGeneratorControls';
+import { Upload, FileAudio, AudioWaveform } from 'lucide-react';
+import { createAnalyserTap, removeAnalyserTap } from '../utils/audioEngine';
+import { extractMetadata } from '../utils/audioUtils';
+import { findSidecarLyrics } from '../utils/lyricsUtils';
+import { analyzeAudioFile } from '../utils/analysisUtils';
+import { getPaletteGradient } from '../utils/colorUtils';
+import { useAudioPlayer } from '../hooks/useAudioPlayer';
+import { useSignalGenerator } from '../hooks/useSignalGenerator';
+import { useEqualizer } from '../hooks/useEqualizer';
+import { useDynamics } from '../hooks/useDynamics';
+import { useStereoTools } from '../hooks/useStereoTools';
+import { useReverb } from '../hooks/useReverb';
+import { useSpatialAudio } from '../hooks/useSpatialAudio';
+
+const SOURCES = [
+  { id: 'file', name: 'File', icon: FileAudio },
+  { id: 'generator', name: 'Generator', icon: AudioWaveform }
+];
 
 export default function MP3Player() {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState([0.7]);
-  const [audioFile, setAudioFile] = useState(null);
-  const [audioFileName, setAudioFileName] = useState('');
+  const [playlist, setPlaylist] = useState([]);
+  const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
   const [visualizerData, setVisualizerData] = useState(new Array(32).fill(0));
+  const [source, setSource] = useState('file');
 
-  const audioRef = useRef(null);
-  const canvasRef = useRef(null);
-  const audioContextRef = useRef(null);
   const analyzerRef = useRef(null);
-  const sourceRef = useRef(null);
   const animationRef = useRef(null);
   const fileInputRef = useRef(null);
+  const player = useAudioPlayer({
+    onTrackAdvance: (track) => setCurrentTrackIndex(playlist.findIndex(item => item.id === track.id))
+  });
+  const generator = useSignalGenerator({ volume: player.volume });
+  const equalizer = useEqualizer();
+  const dynamics = useDynamics();
+  const stereo = useStereoTools();
+  const reverb = useReverb();
+  const spatial = useSpatialAudio();
 
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const updateTime = () => setCurrentTime(audio.currentTime);
-    const updateDuration = () => setDuration(audio.duration);
+  // The bars take their colors from the current track's artwork
+  const barGradient = getPaletteGradient(player.currentTrack?.palette, 'to top');
 
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', () => setIsPlaying(false));
+  const isSourcePlaying = source === 'generator' ? generator.isRunning : player.isPlaying;
 
+  useEffect(() => {
     return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', () => setIsPlaying(false));
+      if (animationRef.current) {
+        cancelAnimationFrame(animationRef.current);
+      }
+      removeAnalyserTap(analyzerRef.current);
     };
-  }, [audioFile]);
+  }, []);
 
+  // The file and the generator feed the same analyser, so the bars show whichever is playing
   useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = volume[0];
-    }
-  }, [volume]);
-
-  const setupAudioContext = async () => {
-    if (!audioContextRef.current && audioRef.current) {
-      try {
-        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
-        analyzerRef.current = audioContextRef.current.createAnalyser();
-        analyzerRef.current.fftSize = 64;
-        
-        if (!sourceRef.current) {
-          sourceRef.current = audioContextRef.current.createMediaElementSource(audioRef.current);
-          sourceRef.current.connect(analyzerRef.current);
-          analyzerRef.current.connect(audioContextRef.current.destination);
-        }
-      } catch (error) {
-        console.error('Error setting up audio context:', error);
-      }
-    }
-  };
+    if (!isSourcePlaying) return;
 
-  const startVisualizer = () => {
+    if (!analyzerRef.current) {
+      analyzerRef.current = createAnalyserTap({ fftSize: 64 });
+    }
     if (!analyzerRef.current) return;
 
-    const bufferLength = analyzerRef.current.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
-
+    const dataArray = new Uint8Array(analyzerRef.current.frequencyBinCount);
     const animate = () => {
-      if (!isPlaying) return;
-
       analyzerRef.current.getByteFrequencyData(dataArray);
-      const normalizedData = Array.from(dataArray).map(value => value / 255);
-      setVisualizerData(normalizedData);
-
+      setVisualizerData(Array.from(dataArray).map(value => value / 255));
       animationRef.current = requestAnimationFrame(animate);
     };
-
     animate();
-  };
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file && file.type.startsWith('audio/')) {
-      const url = URL.createObjectURL(file);
-      setAudioFile(url);
-      setAudioFileName(file.name);
-      setIsPlaying(false);
-      setCurrentTime(0);
-    }
-  };
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [isSourcePlaying]);
 
-  const togglePlay = async () => {
-    if (!audioFile || !audioRef.current) return;
+  // Only one source plays at a time. The generator stops first, as the file's pause fades the
+  // shared engine input it also plays through.
+  const selectSource = (next) => {
+    if (next === source) return;
 
-    if (isPlaying) {
-      audioRef.current.pause();
-      setIsPlaying(false);
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    } else {
-      await setupAudioContext();
-      if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-        await audioContextRef.current.resume();
-      }
-      audioRef.current.play();
-      setIsPlaying(true);
-      startVisualizer();
+    generator.stop();
+    if (player.isPlaying) {
+      player.pause();
     }
+    setSource(next);
   };
 
-  const handleSeek = (value) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = value[0];
-      setCurrentTime(value[0]);
+  // Analyse new tracks one at a time in the background, so the playlist can show their keys.
+  // Results are cached per file, so the player reuses them for the track it loads.
+  const analyzeTracks = async (tracks) => {
+    for (const track of tracks) {
+      const analysis = await analyzeAudioFile(track.file);
+      setPlaylist(prev => prev.map(item => (item.id === track.id ? { ...item, ...analysis } : item)));
     }
   };
 
-  const formatTime = (time) => {
-    if (isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
+  // Tags are read once, here; the player gives each track an object URL of its own when it is loaded
+  const handleFileUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    const audioFiles = files.filter(file => file.type.startsWith('audio/'));
+    event.target.value = '';
+    if (audioFiles.length === 0) return;
 
-  const skipForward = () => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = Math.min(audioRef.current.currentTime + 10, duration);
+    const newTracks = await Promise.all(audioFiles.map(async (file, index) => {
+      const { url, ...metadata } = await extractMetadata(file, { lyricsFile: findSidecarLyrics(file, files) });
+      URL.revokeObjectURL(url);
+      return {
+        ...metadata,
+        id: `${Date.now()}-${index}`,
+        name: file.name,
+        file
+      };
+    }));
+
+    setPlaylist(prev => [...prev, ...newTracks]);
+
+    if (!player.currentTrack) {
+      setCurrentTrackIndex(playlist.length);
+      player.loadTrack(newTracks[0]);
     }
+
+    analyzeTracks(newTracks);
   };
 
-  const skipBackward = () => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = Math.max(audioRef.current.currentTime - 10, 0);
+  // Edited tags show in the playlist as well as on the loaded track. Both share the playlist's
+  // artwork URL, so one that is replaced can go.
+  const updateTrack = (updates) => {
+    const previousArtwork = playlist[currentTrackIndex]?.artwork;
+    if (previousArtwork && updates.artwork !== previousArtwork) {
+      URL.revokeObjectURL(previousArtwork);
     }
+
+    player.updateTrack(updates);
+    setPlaylist(prev => prev.map((track, index) => (
+      index === currentTrackIndex ? { ...track, ...updates } : track
+    )));
+  };
+
+  // Playback carries on into the new track, also straight after the previous one has ended
+  const changeTrack = (index, { crossfade = 0 } = {}) => {
+    const track = playlist[index];
+    if (!track) return;
+
+    const keepPlaying = player.isPlaying || Boolean(player.audioRef.current?.ended);
+    setCurrentTrackIndex(index);
+    player.loadTrack(track, { crossfade, autoplay: keepPlaying });
   };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 p-4">
-      <div className="max-w-4xl mx-auto">
+      <div className="max-w-6xl mx-auto space-y-8">
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.8 }}
-          className="text-center mb-8"
+          className="text-center"
         >
           <h1 className="text-4xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
             MP3 Player
@@ -161,110 +184,120 @@ export default function MP3Player() {
             initial={{ opacity: 0, x: -20 }}
             animate={{ opacity: 1, x: 0 }}
             transition={{ duration: 0.8, delay: 0.2 }}
+            className="space-y-6"
           >
             <Card className="p-8 bg-white/10 backdrop-blur-lg border-white/20 text-white">
               <div className="space-y-6">
-                {/* File Upload */}
-                <div className="text-center">
-                  <input
-                    ref={fileInputRef}
-                    type="file"
-                    accept="audio/*"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
-                  <Button
-                    onClick={() => fileInputRef.current?.click()}
-                    variant="outline"
-                    size="lg"
-                    className="w-full bg-white/10 border-white/30 text-white hover:bg-white/20"
-                  >
-                    <Upload className="mr-2 h-5 w-5" />
-                    Upload MP3 File
-                  </Button>
+                {/* Source */}
+                <div className="flex items-center space-x-2">
+                  {SOURCES.map(({ id, name, icon: Icon }) => (
+                    <Button
+                      key={id}
+                      onClick={() => selectSource(id)}
+                      variant="ghost"
+                      className={`flex-1 hover:bg-white/20 ${source === id ? 'bg-white/20 text-white' : 'text-gray-300'}`}
+                    >
+                      <Icon className="mr-2 h-4 w-4" />
+                      {name}
+                    </Button>
+                  ))}
                 </div>
 
-                {/* Current Track */}
-                {audioFileName && (
-                  <motion.div
-                    initial={{ opacity: 0, scale: 0.9 }}
-                    animate={{ opacity: 1, scale: 1 }}
-                    className="text-center p-4 bg-white/5 rounded-lg border border-white/10"
-                  >
-                    <Music className="mx-auto h-8 w-8 mb-2 text-purple-400" />
-                    <p className="font-medium truncate">{audioFileName}</p>
-                  </motion.div>
-                )}
-
-                {/* Progress Bar */}
-                {audioFile && (
-                  <div className="space-y-2">
-                    <Slider
-                      value={[currentTime]}
-                      max={duration || 100}
-                      step={1}
-                      onValueChange={handleSeek}
-                      className="w-full"
-                    />
-                    <div className="flex justify-between text-sm text-gray-300">
-                      <span>{formatTime(currentTime)}</span>
-                      <span>{formatTime(duration)}</span>
+                {source === 'file' ? (
+                  <>
+                    {/* File Upload */}
+                    <div className="text-center">
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="audio/*,.lrc"
+                        multiple
+                        onChange={handleFileUpload}
+                        className="hidden"
+                      />
+                      <Button
+                        onClick={() => fileInputRef.current?.click()}
+                        variant="outline"
+                        size="lg"
+                        className="w-full bg-white/10 border-white/30 text-white hover:bg-white/20"
+                      >
+                        <Upload className="mr-2 h-5 w-5" />
+                        Upload MP3 Files
+                      </Button>
+                      <p className="mt-2 text-xs text-gray-400">Add a matching .lrc file for synced lyrics</p>
                     </div>
-                  </div>
-                )}
 
-                {/* Control Buttons */}
-                <div className="flex items-center justify-center space-x-4">
-                  <Button
-                    onClick={skipBackward}
-                    disabled={!audioFile}
-                    size="lg"
-                    variant="ghost"
-                    className="text-white hover:bg-white/20"
-                  >
-                    <SkipBack className="h-6 w-6" />
-                  </Button>
-                  
-                  <Button
-                    onClick={togglePlay}
-                    disabled={!audioFile}
-                    size="lg"
-                    className="bg-purple-600 hover:bg-purple-700 text-white w-16 h-16 rounded-full"
-                  >
-                    {isPlaying ? (
-                      <Pause className="h-8 w-8" />
-                    ) : (
-                      <Play className="h-8 w-8 ml-1" />
+                    {/* Playlist */}
+                    {playlist.length > 0 && (
+                      <div className="max-h-48 overflow-y-auto space-y-1">
+                        {playlist.map((track, index) => (
+                          <div
+                            key={track.id}
+                            onClick={() => changeTrack(index)}
+                            className={`p-2 rounded cursor-pointer transition-colors flex items-center space-x-3 ${
+                              currentTrackIndex === index
+                                ? 'bg-white/20 text-white'
+                                : 'text-gray-300 hover:bg-white/10'
+                            }`}
+                          >
+                            <AlbumArt track={track} className="w-8 h-8" iconClassName="w-4 h-4" rounded="rounded" />
+                            <div className="min-w-0 flex-1">
+                              <p className="text-sm truncate">{track.title}</p>
+                              {track.artist && (
+                                <p className="text-xs text-gray-400 truncate">{track.artist}</p>
+                              )}
+                            </div>
+                            {track.key && (
+                              <span className="text-xs text-gray-400 flex-shrink-0" title={track.key.name}>
+                                {track.key.camelot}
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
                     )}
-                  </Button>
-                  
-                  <Button
-                    onClick={skipForward}
-                    disabled={!audioFile}
-                    size="lg"
-                    variant="ghost"
-                    className="text-white hover:bg-white/20"
-                  >
-                    <SkipForward className="h-6 w-6" />
-                  </Button>
-                </div>
-
-                {/* Volume Control */}
-                <div className="flex items-center space-x-3">
-                  <Volume2 className="h-5 w-5 text-gray-300" />
-                  <Slider
-                    value={volume}
-                    max={1}
-                    step={0.01}
-                    onValueChange={setVolume}
-                    className="flex-1"
+                  </>
+                ) : (
+                  <SignalGeneratorControls
+                    settings={generator.settings}
+                    isRunning={generator.isRunning}
+                    onToggle={generator.toggle}
+                    onChange={generator.updateSettings}
+                    onSweepChange={generator.updateSweep}
+                    volume={player.volume}
+                    onVolumeChange={player.changeVolume}
                   />
-                  <span className="text-sm text-gray-300 w-12">
-                    {Math.round(volume[0] * 100)}%
-                  </span>
-                </div>
+                )}
+
+                {player.error && source === 'file' && (
+                  <p className="text-sm text-red-300 text-center">{player.error}</p>
+                )}
               </div>
             </Card>
+
+            {source === 'file' && (
+              <PlaybackControls
+                audioRef={player.audioRef}
+                currentTrack={player.currentTrack}
+                isPlaying={player.isPlaying}
+                currentTime={player.currentTime}
+                duration={player.duration}
+                volume={player.volume}
+                setVolume={player.changeVolume}
+                onTrackChange={changeTrack}
+                playlist={playlist}
+                currentTrackIndex={currentTrackIndex}
+                onUpcomingTrackChange={player.setNextTrack}
+                crossfade={player.crossfadeSettings}
+                fades={player.fadeSettings}
+                loop={player.loopRegion}
+                onLoopChange={player.setLoopRegion}
+                silences={player.silentRegions}
+                onPlay={player.play}
+                onPause={player.pause}
+                onSeek={player.seekTo}
+              />
+            )}
           </motion.div>
 
           {/* Visualizer */}
@@ -283,6 +316,7 @@ export default function MP3Player() {
                     style={{
                       width: '8px',
                       height: `${Math.max(value * 200, 4)}px`,
+                      backgroundImage: barGradient,
                     }}
                     animate={{
                       height: `${Math.max(value * 200, 4)}px`,
@@ -296,22 +330,123 @@ export default function MP3Player() {
               </div>
               <div className="mt-4 text-center">
                 <p className="text-gray-300 text-sm">
-                  {isPlaying ? 'Playing...' : audioFile ? 'Paused' : 'Upload a file to see visualization'}
+                  {source === 'generator'
+                    ? (generator.isRunning ? 'Generating...' : 'Start the generator to see its spectrum')
+                    : player.isPlaying ? 'Playing...' : player.currentTrack ? 'Paused' : 'Upload a file to see visualization'}
                 </p>
               </div>
             </Card>
           </motion.div>
         </div>
 
-        {/* Hidden audio element */}
-        {audioFile && (
-          <audio
-            ref={audioRef}
-            src={audioFile}
-            preload="metadata"
-          />
+        {source === 'file' && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <TrackInfo
+              currentTrack={player.currentTrack}
+              duration={player.duration}
+              currentTime={player.currentTime}
+              isPlaying={player.isPlaying}
+              onTrackUpdate={updateTrack}
+            />
+            <LyricsPanel
+              lyrics={player.currentTrack?.lyrics}
+              currentTime={player.currentTime}
+              onSeek={player.seekTo}
+            />
+          </div>
         )}
+
+        {source === 'file' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-8">
+            <LoudnessControls
+              settings={player.loudnessSettings}
+              onChange={player.updateLoudnessSettings}
+              normalization={player.normalization}
+              isAnalyzing={player.isAnalyzing}
+            />
+            <CrossfadeControls
+              settings={player.crossfadeSettings}
+              onChange={player.updateCrossfadeSettings}
+            />
+            <FadeControls
+              settings={player.fadeSettings}
+              onChange={player.updateFadeSettings}
+            />
+            <TimeStretchControls
+              settings={player.timeStretchSettings}
+              isPitchShiftAvailable={player.isPitchShiftAvailable}
+              onChange={player.updateTimeStretchSettings}
+            />
+            <LoopControls
+              loop={player.loopRegion}
+              practiceSettings={player.practiceSettings}
+              practiceSpeed={player.practiceSpeed}
+              savedLoops={player.savedLoops}
+              onSetStart={player.setLoopStart}
+              onSetEnd={player.setLoopEnd}
+              onClear={player.clearLoop}
+              onPracticeChange={player.updatePracticeSettings}
+              onSaveLoop={player.saveLoop}
+              onDeleteLoop={player.deleteLoop}
+              onRecallLoop={player.recallLoop}
+            />
+            <SkipSilenceControls
+              settings={player.skipSilenceSettings}
+              regions={player.silentRegions}
+              timeSaved={player.silenceTimeSaved}
+              isReady={Boolean(player.currentTrack?.envelope)}
+              onChange={player.updateSkipSilenceSettings}
+            />
+          </div>
+        )}
+
+        {/* Effects sit in the shared engine, so they apply to the generator as well as to files */}
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-8">
+          <EqualizerControls
+            settings={equalizer.settings}
+            sampleRate={equalizer.sampleRate}
+            presets={equalizer.presets}
+            onChange={equalizer.updateSettings}
+            onToggle={equalizer.toggleEnabled}
+            onBandChange={equalizer.updateBand}
+            onSelectPreset={equalizer.selectPreset}
+            onSavePreset={equalizer.saveCustomPreset}
+            onDeletePreset={equalizer.deleteCustomPreset}
+          />
+          <DynamicsControls
+            settings={dynamics.settings}
+            onCompressorChange={dynamics.updateCompressor}
+            onLimiterChange={dynamics.updateLimiter}
+            onToggleNightMode={dynamics.toggleNightMode}
+          />
+          <StereoControls
+            settings={stereo.settings}
+            onChange={stereo.updateSettings}
+            onKaraokeChange={stereo.updateKaraoke}
+            onReset={stereo.resetSettings}
+          />
+          <ReverbControls
+            settings={reverb.settings}
+            impulses={reverb.impulses}
+            error={reverb.error}
+            onChange={reverb.updateSettings}
+            onToggleEnabled={reverb.toggleEnabled}
+            onAddImpulse={reverb.addImpulseResponse}
+            onRemoveImpulse={reverb.removeImpulseResponse}
+          />
+          <SpatialControls
+            settings={spatial.settings}
+            onToggleEnabled={spatial.toggleEnabled}
+            onPositionChange={spatial.updatePosition}
+            onOrbitChange={spatial.updateOrbit}
+            onCrossfeedChange={spatial.updateCrossfeed}
+            onReset={spatial.resetSettings}
+          />
+        </div>
+
+        {/* The player's element; the hook swaps its source as tracks change */}
+        <audio ref={player.audioRef} preload="metadata" />
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { getChapterIndex, getNextChapter, normalizeChapters } from '../chapterUtils';
+
+describe('normalizeChapters', () => {
+  it('keeps the order it is given and closes chapters on the timeline', () => {
+    // An ordered table of contents that plays the outro first
+    const chapters = normalizeChapters([
+      { id: 'outro', title: 'Outro', start: 120, end: null },
+      { id: 'intro', title: null, start: 0, end: null },
+      { id: 'verse', title: 'Verse', start: 30, end: 60 }
+    ], 150);
+
+    expect(chapters.map(chapter => chapter.id)).toEqual(['outro', 'intro', 'verse']);
+    expect(chapters.map(chapter => chapter.end)).toEqual([150, 30, 60]);
+    expect(chapters[1].title).toBe('Chapter 2');
+  });
+});
+
+describe('getChapterIndex', () => {
+  const chapters = normalizeChapters([
+    { id: 'b', start: 60, end: 90 },
+    { id: 'a', start: 0, end: 30 }
+  ], 90);
+
+  it('finds the chapter playing, whatever its place in the list', () => {
+    expect(getChapterIndex(chapters, 10)).toBe(1);
+    expect(getChapterIndex(chapters, 75)).toBe(0);
+    expect(getNextChapter(chapters, 75).id).toBe('a');
+  });
+
+  it('falls back to the last chapter to start in a gap', () => {
+    expect(getChapterIndex(chapters, 45)).toBe(1);
+  });
+});
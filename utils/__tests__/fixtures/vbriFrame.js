@@ -0,0 +1,27 @@
+// First frame of a Fraunhofer-encoded VBR MP3: MPEG-1 Layer III, 44.1 kHz, joint stereo, 128 kbps
+// slot size, with a VBRI header after the 32 bytes of side information
+const VBRI_FRAME_HEX = [
+  'fffb9064', // frame header
+  '00'.repeat(32), // side information
+  '56425249', // "VBRI"
+  '0001', // version
+  '0441', // encoder delay
+  '004b', // quality
+  '0030d5a1', // stream bytes: 3200417
+  '00001e14', // stream frames: 7700
+  '0004', // TOC entries
+  '0010', // TOC scale
+  '0002', // bytes per TOC entry
+  '0785', // frames per TOC entry: 1925
+  'c350c738bf68c350' // TOC: 50000, 51000, 49000 and 50000 before scaling
+].join('');
+
+const FRAME_LENGTH = 417;
+
+export const VBRI_FRAME = (() => {
+  const bytes = new Uint8Array(FRAME_LENGTH);
+  VBRI_FRAME_HEX.match(/../g).forEach((pair, i) => {
+    bytes[i] = parseInt(pair, 16);
+  });
+  return bytes;
+})();
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { parseVbriHeader, readMpegInfo } from '../mpegUtils';
+import { VBRI_FRAME } from './fixtures/vbriFrame';
+
+describe('parseVbriHeader', () => {
+  it('reads the stream size, frame count and TOC', () => {
+    expect(parseVbriHeader(VBRI_FRAME, 0)).toEqual({
+      bytes: 3200417,
+      frames: 7700,
+      framesPerEntry: 1925,
+      entries: [800000, 816000, 784000, 800000]
+    });
+  });
+
+  it('ignores frames without a VBRI header', () => {
+    const frame = VBRI_FRAME.slice();
+    frame[36] = 0;
+    expect(parseVbriHeader(frame, 0)).toBeNull();
+  });
+});
+
+describe('readMpegInfo', () => {
+  it('takes duration, bitrate and seek points from the VBRI header', async () => {
+    // The header frame followed by the start of the next one, which confirms the sync
+    const file = new Blob([VBRI_FRAME, new Uint8Array([0xff, 0xfb, 0x90, 0x64])]);
+    const info = await readMpegInfo(file);
+    const secondsPerFrame = 1152 / 44100;
+
+    expect(info.headerType).toBe('VBRI');
+    expect(info.frameCount).toBe(7700);
+    expect(info.duration).toBeCloseTo(7700 * secondsPerFrame, 6);
+    expect(info.bitrate).toBe(127);
+    expect(info.audioStart).toBe(417);
+    expect(info.seekTable[1]).toEqual({ time: 1925 * secondsPerFrame, offset: 417 + 800000 });
+  });
+});
@@ -0,0 +1,161 @@
+// Decode a track once and run every offline analysis on the same buffer
+import { analyzeDecodedAudio } from './decodedAnalysis';
+import { getContentHash, loadFromIndexedDB, saveToIndexedDB } from './audioUtils';
+import { getAudioContext } from './audioEngine';
+
+const ANALYSIS_SAMPLE_RATE = 44100;
+
+// Bump whenever the shape of the analysis result changes so older cache entries are ignored
+const ANALYSIS_CACHE_VERSION = 2;
+
+// In-flight and finished analyses for this session, most recently used last; the IndexedDB cache
+// covers reloads and anything evicted here
+const ANALYSIS_CACHE_LIMIT = 50;
+const analysisCache = new Map();
+
+// Decodes shared by the analysis and the buffer players, so each track is decoded once. They are
+// large (about 10 MB a minute), so only the most recently used few are kept.
+const DECODED_FILE_LIMIT = 3;
+const decodeCache = new Map();
+
+let analysisWorker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+export const getFileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Map keeps insertion order, so re-adding an entry marks it most recently used
+const setRecentlyUsed = (cache, key, value, limit) => {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > limit) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+// Decoded in the engine's context, so the players get buffers at the rate they play at
+const decodeFile = async (file) => {
+  let context = getAudioContext();
+  if (!context) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    context = new OfflineContext(2, 1, ANALYSIS_SAMPLE_RATE);
+  }
+  return context.decodeAudioData(await file.arrayBuffer());
+};
+
+export const decodeAudioFile = (file) => {
+  const key = getFileKey(file);
+  let promise = decodeCache.get(key);
+
+  if (!promise) {
+    promise = decodeFile(file);
+    promise.catch(() => {
+      if (decodeCache.get(key) === promise) decodeCache.delete(key);
+    });
+  }
+
+  setRecentlyUsed(decodeCache, key, promise, DECODED_FILE_LIMIT);
+  return promise;
+};
+
+const rejectPendingRequests = (error) => {
+  pendingRequests.forEach(request => request.reject(error));
+  pendingRequests.clear();
+};
+
+const getAnalysisWorker = () => {
+  if (analysisWorker || typeof Worker === 'undefined') return analysisWorker;
+
+  try {
+    analysisWorker = new Worker(new URL('../workers/analysisWorker.js', import.meta.url));
+    analysisWorker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id);
+      if (!request) return;
+
+      pendingRequests.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    };
+    analysisWorker.onerror = (event) => {
+      rejectPendingRequests(new Error(event.message || 'Analysis worker failed'));
+      analysisWorker.terminate();
+      analysisWorker = null;
+    };
+  } catch (error) {
+    console.error('Error starting analysis worker:', error);
+    analysisWorker = null;
+  }
+
+  return analysisWorker;
+};
+
+const analyzeInWorker = (worker, audioBuffer) => {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    // Copies, so transferring them leaves the AudioBuffer intact
+    const channels = Array.from(
+      { length: audioBuffer.numberOfChannels },
+      (_, channel) => audioBuffer.getChannelData(channel).slice()
+    );
+
+    pendingRequests.set(id, { resolve, reject });
+    worker.postMessage(
+      { id, sampleRate: audioBuffer.sampleRate, channels },
+      channels.map(channel => channel.buffer)
+    );
+  });
+};
+
+const decodeAndAnalyze = async (file) => {
+  const audioBuffer = await decodeAudioFile(file);
+  const worker = getAnalysisWorker();
+
+  if (worker) {
+    try {
+      return await analyzeInWorker(worker, audioBuffer);
+    } catch (error) {
+      console.error('Error in analysis worker, analyzing on the main thread:', error);
+    }
+  }
+
+  return analyzeDecodedAudio(audioBuffer);
+};
+
+// crypto.subtle only exists in secure contexts; without it we simply skip the persistent cache
+const getAnalysisCacheKey = async (file) => {
+  try {
+    return `analysis:${await getContentHash(file)}`;
+  } catch (error) {
+    console.error('Error hashing file for the analysis cache:', error);
+    return null;
+  }
+};
+
+const runAnalysis = async (file) => {
+  try {
+    const cacheKey = await getAnalysisCacheKey(file);
+    const cached = cacheKey ? await loadFromIndexedDB(cacheKey, ANALYSIS_CACHE_VERSION) : null;
+    if (cached) return cached;
+
+    const analysis = await decodeAndAnalyze(file);
+    if (cacheKey) {
+      saveToIndexedDB(cacheKey, analysis, ANALYSIS_CACHE_VERSION);
+    }
+    return analysis;
+  } catch (error) {
+    console.error('Error analyzing audio file:', error);
+    return { loudness: null, tempo: null, key: null, waveform: null, envelope: null };
+  }
+};
+
+// Resolves to the fields to merge into the track object; all null if the file cannot be decoded
+export const analyzeAudioFile = (file) => {
+  const cacheKey = getFileKey(file);
+  const analysis = analysisCache.get(cacheKey) || runAnalysis(file);
+
+  setRecentlyUsed(analysisCache, cacheKey, analysis, ANALYSIS_CACHE_LIMIT);
+  return analysis;
+};
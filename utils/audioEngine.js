@@ -0,0 +1,268 @@
+import { createAudioContext } from './audioUtils';
+
+// Every player and visualizer shares one graph:
+//   media element source -> element gain -> input -> named inserts -> output -> destination
+//                                                                      \-> analyser taps
+// A media element can only be bound to a context once, so sources are created here and nowhere else.
+
+// Fixed position of each named insert, so the chain is the same whichever component registers first.
+// Names not listed here are appended in registration order.
+const INSERT_ORDER = ['timeStretch', 'loudness', 'stereo', 'spatial', 'equalizer', 'reverb', 'dynamics'];
+
+let context = null;
+let inputNode = null;
+let outputNode = null;
+let sources = new WeakMap();
+let currentElement = null;
+const attachedElements = new Set();
+const inserts = new Map();
+const taps = new Set();
+const listeners = new Set();
+let transportFade = 0;
+
+const getInsertPosition = (name) => {
+  const index = INSERT_ORDER.indexOf(name);
+  return index === -1 ? INSERT_ORDER.length : index;
+};
+
+// Map keeps registration order and sort is stable, so unlisted names stay in that order
+const getOrderedInserts = () => (
+  Array.from(inserts.entries())
+    .sort(([a], [b]) => getInsertPosition(a) - getInsertPosition(b))
+);
+
+const createSnapshot = () => ({
+  state: context ? context.state : 'closed',
+  sampleRate: context ? context.sampleRate : null,
+  element: currentElement,
+  inserts: getOrderedInserts().map(([name]) => name),
+  tapCount: taps.size
+});
+
+let snapshot = createSnapshot();
+
+const notify = () => {
+  snapshot = createSnapshot();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+const rebuildChain = () => {
+  if (!inputNode) return;
+
+  inputNode.disconnect();
+  inserts.forEach(insert => insert.output.disconnect());
+
+  let previous = inputNode;
+  getOrderedInserts().forEach(([, insert]) => {
+    previous.connect(insert.input);
+    previous = insert.output;
+  });
+  previous.connect(outputNode);
+};
+
+export const getAudioContext = () => {
+  if (context) return context;
+  if (typeof window === 'undefined') return null;
+
+  context = createAudioContext();
+  if (!context) return null;
+
+  inputNode = context.createGain();
+  outputNode = context.createGain();
+  inputNode.connect(outputNode);
+  outputNode.connect(context.destination);
+  context.onstatechange = notify;
+
+  notify();
+  return context;
+};
+
+const disconnectElement = (element) => {
+  sources.get(element).gain.disconnect();
+  attachedElements.delete(element);
+};
+
+// Route an audio element through the engine. Normally one element plays through the graph at a
+// time and attaching another disconnects the rest; crossfades attach the incoming element
+// non-exclusively so both sound while they overlap.
+export const attachMediaElement = (element, { exclusive = true } = {}) => {
+  const ctx = getAudioContext();
+  if (!ctx || !element) return null;
+
+  let nodes = sources.get(element);
+  if (!nodes) {
+    try {
+      nodes = { source: ctx.createMediaElementSource(element), gain: ctx.createGain() };
+      nodes.source.connect(nodes.gain);
+      sources.set(element, nodes);
+    } catch (error) {
+      console.error('Error attaching audio element:', error);
+      return null;
+    }
+  }
+
+  if (exclusive) {
+    attachedElements.forEach(other => {
+      if (other !== element) disconnectElement(other);
+    });
+  }
+  if (!attachedElements.has(element)) {
+    nodes.gain.connect(inputNode);
+    attachedElements.add(element);
+  }
+  if (element === currentElement) return nodes.source;
+
+  currentElement = element;
+  notify();
+  return nodes.source;
+};
+
+export const detachMediaElement = (element) => {
+  if (!element || !attachedElements.has(element)) return;
+
+  disconnectElement(element);
+  if (element === currentElement) {
+    currentElement = Array.from(attachedElements).pop() || null;
+  }
+  notify();
+};
+
+// Per-element gain, for fading one element against another
+export const getElementGain = (element) => sources.get(element)?.gain || null;
+
+// Decoded-buffer playback feeds the same chain as the media element
+export const connectSourceNode = (node) => {
+  if (!getAudioContext() || !node) return false;
+
+  node.connect(inputNode);
+  return true;
+};
+
+// An insert is either a single AudioNode or an { input, output } pair wrapping a sub-graph
+export const setInsert = (name, insert) => {
+  if (!getAudioContext() || !insert) return;
+
+  const nodes = insert.input && insert.output
+    ? { input: insert.input, output: insert.output, insert }
+    : { input: insert, output: insert, insert };
+
+  const previous = inserts.get(name);
+  if (previous) {
+    previous.output.disconnect();
+  }
+
+  inserts.set(name, nodes);
+  rebuildChain();
+  notify();
+};
+
+export const removeInsert = (name) => {
+  const insert = inserts.get(name);
+  if (!insert) return;
+
+  insert.output.disconnect();
+  inserts.delete(name);
+  rebuildChain();
+  notify();
+};
+
+// Whatever was registered under the name, as it was passed to setInsert
+export const getInsert = (name) => inserts.get(name)?.insert || null;
+
+// The input's gain is the transport envelope, faded on play, pause and seek. Each fade replaces
+// any still running; the promise resolves once it ends, with false if another took over.
+export const fadeTransport = (target, duration = 0, delay = 0) => {
+  if (!context) return Promise.resolve(true);
+
+  const fade = ++transportFade;
+  const gain = inputNode.gain;
+  const now = context.currentTime;
+  const start = now + delay;
+
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  if (duration > 0) {
+    gain.setValueAtTime(gain.value, start);
+    gain.linearRampToValueAtTime(target, start + duration);
+  } else {
+    gain.setValueAtTime(target, start);
+  }
+
+  return new Promise(resolve => {
+    setTimeout(() => resolve(fade === transportFade), (delay + duration) * 1000);
+  });
+};
+
+// Analysers read the output of the whole chain, after every insert
+export const createAnalyserTap = ({ fftSize = 256, smoothingTimeConstant = 0.8 } = {}) => {
+  const ctx = getAudioContext();
+  if (!ctx) return null;
+
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothingTimeConstant;
+  outputNode.connect(analyser);
+  taps.add(analyser);
+
+  notify();
+  return analyser;
+};
+
+export const removeAnalyserTap = (analyser) => {
+  if (!analyser || !taps.has(analyser)) return;
+
+  outputNode.disconnect(analyser);
+  taps.delete(analyser);
+  notify();
+};
+
+export const resumeAudioEngine = async () => {
+  if (context?.state !== 'suspended') return;
+
+  try {
+    await context.resume();
+  } catch (error) {
+    console.error('Error resuming audio context:', error);
+  }
+};
+
+export const suspendAudioEngine = async () => {
+  if (context?.state !== 'running') return;
+
+  try {
+    await context.suspend();
+  } catch (error) {
+    console.error('Error suspending audio context:', error);
+  }
+};
+
+// Tear the whole graph down. Elements that were attached stay bound to the closed context
+// (browsers offer no way to unbind them), so only call this when playback is finished for good.
+export const closeAudioEngine = async () => {
+  if (!context) return;
+
+  const closing = context;
+  context.onstatechange = null;
+  context = null;
+  inputNode = null;
+  outputNode = null;
+  sources = new WeakMap();
+  currentElement = null;
+  attachedElements.clear();
+  inserts.clear();
+  taps.clear();
+
+  try {
+    await closing.close();
+  } catch (error) {
+    console.error('Error closing audio context:', error);
+  }
+  notify();
+};
+
+export const getEngineState = () => snapshot;
+
+export const subscribeToEngine = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
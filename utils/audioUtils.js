@@ -1,4 +1,14 @@
 // Audio utility functions for file handling and metadata
+import { readFileBytes, readAscii } from './binaryUtils';
+import { readID3Tags, getID3v2Size } from './id3Utils';
+import { readFlacTags, readOggTags } from './vorbisUtils';
+import { readMp4Tags } from './mp4Utils';
+import { readMpegInfo, toElementTime, fromElementTime } from './mpegUtils';
+import { readLyricsFile, resolveFrameTimestamps } from './lyricsUtils';
+import { normalizeChapters } from './chapterUtils';
+import { createEmptyTags } from './tagUtils';
+import { extractPalette, getPaletteColors, rgbToCss } from './colorUtils';
+
 export const formatTime = (seconds) => {
   if (!seconds || isNaN(seconds)) return '0:00';
   
@@ -36,15 +46,84 @@ export const validateAudioFile = (file) => {
   return { valid: true };
 };
 
-export const extractMetadata = async (file) => {
+// Identify the container from its magic bytes; browsers often report an empty MIME type
+export const detectAudioFormat = async (file) => {
+  try {
+    const header = await readFileBytes(file, 0, 12);
+    const tagSize = getID3v2Size(header);
+
+    if (tagSize > 0) {
+      // A few encoders prepend ID3 tags to FLAC streams
+      const marker = await readFileBytes(file, tagSize, tagSize + 4);
+      return readAscii(marker, 0, 4) === 'fLaC' ? 'flac' : 'mp3';
+    }
+
+    if (readAscii(header, 0, 4) === 'fLaC') return 'flac';
+    if (readAscii(header, 0, 4) === 'OggS') return 'ogg';
+    if (readAscii(header, 4, 4) === 'ftyp') return 'mp4';
+    if (readAscii(header, 0, 4) === 'RIFF' && readAscii(header, 8, 4) === 'WAVE') return 'wav';
+    if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) return 'mp3';
+  } catch (error) {
+    console.error('Error detecting audio format:', error);
+  }
+
+  return null;
+};
+
+const readFileTags = async (file, format) => {
+  switch (format) {
+    case 'mp3':
+      return readID3Tags(file);
+    case 'flac':
+      return readFlacTags(file);
+    case 'ogg':
+      return readOggTags(file);
+    case 'mp4':
+      return readMp4Tags(file);
+    default:
+      return createEmptyTags();
+  }
+};
+
+const createArtworkUrl = (picture) => {
+  if (!picture || !picture.data || picture.data.length === 0) return null;
+  return URL.createObjectURL(new Blob([picture.data], { type: picture.mimeType }));
+};
+
+// Stream details the media element does not report, read from the file itself
+const readAudioInfo = async (file, format) => {
+  if (format === 'mp3') {
+    return readMpegInfo(file);
+  }
+
+  return null;
+};
+
+// A sidecar .lrc file dropped alongside the track wins over embedded lyrics
+export const extractMetadata = async (file, { lyricsFile = null } = {}) => {
+  const format = await detectAudioFormat(file);
+  const { picture, ...tags } = await readFileTags(file, format);
+  const audioInfo = await readAudioInfo(file, format);
+  const sidecarLyrics = lyricsFile ? await readLyricsFile(lyricsFile) : null;
+  tags.lyrics = sidecarLyrics || resolveFrameTimestamps(tags.lyrics, audioInfo);
+  const fileTitle = file.name.replace(/\.[^/.]+$/, '');
+  const artwork = createArtworkUrl(picture);
+  const palette = artwork ? await extractPalette(artwork) : null;
+
   return new Promise((resolve) => {
     const audio = new Audio();
     const url = URL.createObjectURL(file);
     
     audio.addEventListener('loadedmetadata', () => {
+      const duration = getTrackDuration({ audioInfo }, audio.duration);
       const metadata = {
-        duration: audio.duration,
-        title: file.name.replace(/\.[^/.]+$/, ''),
+        ...tags,
+        artwork,
+        palette,
+        audioInfo,
+        chapters: normalizeChapters(tags.chapters, duration),
+        duration,
+        title: tags.title || fileTitle,
         filename: file.name,
         size: file.size,
         type: file.type,
@@ -55,12 +134,18 @@ export const extractMetadata = async (file) => {
     });
     
     audio.addEventListener('error', () => {
+      const duration = getTrackDuration({ audioInfo }, 0);
       resolve({
-        title: file.name.replace(/\.[^/.]+$/, ''),
+        ...tags,
+        artwork,
+        palette,
+        audioInfo,
+        chapters: normalizeChapters(tags.chapters, duration),
+        title: tags.title || fileTitle,
         filename: file.name,
         size: file.size,
         type: file.type,
-        duration: 0,
+        duration,
         url: url
       });
     });
@@ -69,6 +154,53 @@ export const extractMetadata = async (file) => {
   });
 };
 
+// Prefer the duration measured from the stream over the element's estimate
+export const getTrackDuration = (track, elementDuration) => {
+  if (track?.audioInfo?.duration > 0) return track.audioInfo.duration;
+  return isFinite(elementDuration) ? elementDuration : 0;
+};
+
+// Seek the element to a real track time, compensating for its VBR estimate if needed
+export const seekAudioElement = (audio, track, time) => {
+  if (!audio) return;
+  audio.currentTime = toElementTime(track?.audioInfo, time, audio.duration);
+};
+
+export const getAudioElementTime = (audio, track) => {
+  if (!audio) return 0;
+  return fromElementTime(track?.audioInfo, audio.currentTime, audio.duration);
+};
+
+export const formatAudioInfo = (audioInfo) => {
+  if (!audioInfo) return null;
+
+  const parts = [];
+  if (audioInfo.bitrate) {
+    parts.push(`${audioInfo.bitrate} kbps${audioInfo.isVbr ? ' VBR' : ''}`);
+  }
+  if (audioInfo.sampleRate) {
+    parts.push(`${(audioInfo.sampleRate / 1000).toFixed(1)} kHz`);
+  }
+  if (audioInfo.channelMode) {
+    parts.push(audioInfo.channelMode);
+  }
+
+  return parts.join(' · ');
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
 export const createAudioContext = () => {
   try {
     const AudioContext = window.AudioContext || window.webkitAudioContext;
@@ -153,7 +285,200 @@ export const loadFromLocalStorage = (key, defaultValue = null) => {
   }
 };
 
-export const clearAudioCache = () => {
+// IndexedDB holds what is too large for localStorage, such as waveform peaks and track analysis.
+// Values live in `entries`; `usage` keeps their sizes and access times so eviction never has
+// to read the values themselves. What the user adds (e.g. impulse responses) goes in `library`,
+// which is never evicted or cleared with the cache.
+const CACHE_DB_NAME = 'audio_cache';
+const CACHE_DB_VERSION = 2;
+const CACHE_ENTRIES_STORE = 'entries';
+const CACHE_USAGE_STORE = 'usage';
+const LIBRARY_STORE = 'library';
+const CACHE_SIZE_LIMIT = 64 * 1024 * 1024; // 64MB
+const CACHE_ENTRY_LIMIT = 500;
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+let cacheDbPromise = null;
+
+const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const transactionToPromise = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const openCacheDb = () => {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+      // Each database version adds its own migration step
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(CACHE_ENTRIES_STORE, { keyPath: 'key' });
+          db.createObjectStore(CACHE_USAGE_STORE, { keyPath: 'key' }).createIndex('lastAccessed', 'lastAccessed');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(LIBRARY_STORE, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      cacheDbPromise = null;
+      throw error;
+    });
+  }
+  return cacheDbPromise;
+};
+
+// Rough in-memory size of a cached value, so the limit reflects what typed arrays really cost
+const estimateSize = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value !== 'object') return 8;
+  return Object.values(value).reduce((total, item) => total + estimateSize(item), 0);
+};
+
+// Hash the size plus the head, middle and tail of the file: identical content gets the same
+// key whatever the file is called, without reading hundreds of megabytes on every load
+export const getContentHash = async (file) => {
+  const ranges = file.size <= HASH_CHUNK_SIZE * 3
+    ? [[0, file.size]]
+    : [0, Math.floor(file.size / 2), file.size - HASH_CHUNK_SIZE].map(start => [start, start + HASH_CHUNK_SIZE]);
+  const content = new Blob([String(file.size), ...ranges.map(([start, end]) => file.slice(start, end))]);
+
+  const digest = await crypto.subtle.digest('SHA-256', await content.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Drop least recently used entries until the cache fits its size and entry limits
+const evictCacheEntries = async (db) => {
+  const transaction = db.transaction([CACHE_ENTRIES_STORE, CACHE_USAGE_STORE], 'readwrite');
+  const usageStore = transaction.objectStore(CACHE_USAGE_STORE);
+  const usage = await requestToPromise(usageStore.index('lastAccessed').getAll());
+
+  let totalSize = usage.reduce((total, entry) => total + entry.size, 0);
+  let count = usage.length;
+
+  for (const entry of usage) {
+    if (totalSize <= CACHE_SIZE_LIMIT && count <= CACHE_ENTRY_LIMIT) break;
+    transaction.objectStore(CACHE_ENTRIES_STORE).delete(entry.key);
+    usageStore.delete(entry.key);
+    totalSize -= entry.size;
+    count--;
+  }
+
+  return transactionToPromise(transaction);
+};
+
+// `version` is the schema of the stored value; entries written under another version are misses
+export const saveToIndexedDB = async (key, data, version = 1) => {
+  try {
+    const size = estimateSize(data);
+    if (size > CACHE_SIZE_LIMIT) return false;
+
+    const db = await openCacheDb();
+    const transaction = db.transaction([CACHE_ENTRIES_STORE, CACHE_USAGE_STORE], 'readwrite');
+    transaction.objectStore(CACHE_ENTRIES_STORE).put({ key, version, data });
+    transaction.objectStore(CACHE_USAGE_STORE).put({ key, size, lastAccessed: Date.now() });
+    await transactionToPromise(transaction);
+
+    await evictCacheEntries(db);
+    return true;
+  } catch (error) {
+    console.error('Error saving to IndexedDB:', error);
+    return false;
+  }
+};
+
+export const loadFromIndexedDB = async (key, version = 1, defaultValue = null) => {
+  try {
+    const db = await openCacheDb();
+    const transaction = db.transaction([CACHE_ENTRIES_STORE, CACHE_USAGE_STORE], 'readwrite');
+    const usageStore = transaction.objectStore(CACHE_USAGE_STORE);
+    const entry = await requestToPromise(transaction.objectStore(CACHE_ENTRIES_STORE).get(key));
+
+    if (!entry) return defaultValue;
+    if (entry.version !== version) {
+      transaction.objectStore(CACHE_ENTRIES_STORE).delete(key);
+      usageStore.delete(key);
+      return defaultValue;
+    }
+
+    const usage = await requestToPromise(usageStore.get(key));
+    usageStore.put({ key, size: usage ? usage.size : estimateSize(entry.data), lastAccessed: Date.now() });
+    return entry.data;
+  } catch (error) {
+    console.error('Error loading from IndexedDB:', error);
+    return defaultValue;
+  }
+};
+
+export const clearIndexedDBCache = async () => {
+  try {
+    const db = await openCacheDb();
+    const transaction = db.transaction([CACHE_ENTRIES_STORE, CACHE_USAGE_STORE], 'readwrite');
+    transaction.objectStore(CACHE_ENTRIES_STORE).clear();
+    transaction.objectStore(CACHE_USAGE_STORE).clear();
+    await transactionToPromise(transaction);
+    return true;
+  } catch (error) {
+    console.error('Error clearing IndexedDB cache:', error);
+    return false;
+  }
+};
+
+export const saveToLibrary = async (key, data) => {
+  try {
+    const db = await openCacheDb();
+    const transaction = db.transaction(LIBRARY_STORE, 'readwrite');
+    transaction.objectStore(LIBRARY_STORE).put({ key, data, addedAt: Date.now() });
+    await transactionToPromise(transaction);
+    return true;
+  } catch (error) {
+    console.error('Error saving to library:', error);
+    return false;
+  }
+};
+
+// Every library entry whose key starts with `prefix`, oldest first
+export const loadLibraryEntries = async (prefix) => {
+  try {
+    const db = await openCacheDb();
+    const store = db.transaction(LIBRARY_STORE, 'readonly').objectStore(LIBRARY_STORE);
+    const entries = await requestToPromise(store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    return entries.sort((a, b) => a.addedAt - b.addedAt);
+  } catch (error) {
+    console.error('Error loading from library:', error);
+    return [];
+  }
+};
+
+export const removeFromLibrary = async (key) => {
+  try {
+    const db = await openCacheDb();
+    const transaction = db.transaction(LIBRARY_STORE, 'readwrite');
+    transaction.objectStore(LIBRARY_STORE).delete(key);
+    await transactionToPromise(transaction);
+    return true;
+  } catch (error) {
+    console.error('Error removing from library:', error);
+    return false;
+  }
+};
+
+export const clearAudioCache = async () => {
   try {
     const keys = Object.keys(localStorage);
     keys.forEach(key => {
@@ -161,14 +486,18 @@ export const clearAudioCache = () => {
         localStorage.removeItem(key);
       }
     });
-    return true;
+    return await clearIndexedDBCache();
   } catch (error) {
     console.error('Error clearing audio cache:', error);
     return false;
   }
 };
 
-export const generateVisualizerColors = (count = 64) => {
+export const generateVisualizerColors = (count = 64, palette = null) => {
+  if (palette) {
+    return getPaletteColors(palette, count).map(color => rgbToCss(color));
+  }
+
   const colors = [];
   const hueStep = 360 / count;
   
@@ -0,0 +1,85 @@
+// Helpers for reading tag and container data out of audio files
+export const readFileBytes = async (file, start = 0, end = file.size) => {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+export const readUint16BE = (bytes, offset) => {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+};
+
+export const readUint24BE = (bytes, offset) => {
+  return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+};
+
+export const readUint32BE = (bytes, offset) => {
+  return (
+    bytes[offset] * 0x1000000 +
+    ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3])
+  );
+};
+
+export const readUint32LE = (bytes, offset) => {
+  return (
+    bytes[offset + 3] * 0x1000000 +
+    ((bytes[offset + 2] << 16) | (bytes[offset + 1] << 8) | bytes[offset])
+  );
+};
+
+// ID3v2 sizes store 7 bits per byte so the tag never contains a false sync
+export const readSyncsafeInt = (bytes, offset) => {
+  return (
+    ((bytes[offset] & 0x7f) << 21) |
+    ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) |
+    (bytes[offset + 3] & 0x7f)
+  );
+};
+
+export const readAscii = (bytes, offset, length) => {
+  let text = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+export const decodeText = (bytes, encoding = 'utf-8') => {
+  try {
+    return new TextDecoder(encoding).decode(bytes);
+  } catch (error) {
+    console.error('Error decoding text:', error);
+    return '';
+  }
+};
+
+export const trimNulls = (text) => {
+  return text.replace(/^\0+|\0+$/g, '');
+};
+
+export const encodeSyncsafeInt = (value) => {
+  return new Uint8Array([
+    (value >> 21) & 0x7f,
+    (value >> 14) & 0x7f,
+    (value >> 7) & 0x7f,
+    value & 0x7f
+  ]);
+};
+
+export const encodeAscii = (text) => {
+  return Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+};
+
+export const encodeText = (text) => {
+  return new TextEncoder().encode(text);
+};
+
+export const concatBytes = (chunks) => {
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
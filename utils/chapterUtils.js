@@ -0,0 +1,55 @@
+// Chapter list normalization and navigation shared by the ID3 and MP4 readers
+const RESTART_THRESHOLD = 3;
+
+// Readers hand chapters over in play order: by start time, or as an ordered ID3 table of contents
+// lists them. Close open-ended ones where the timeline moves on to another chapter (or the track
+// ends) and name untitled ones.
+export const normalizeChapters = (chapters, duration = 0) => {
+  if (!chapters || chapters.length === 0) return null;
+
+  const starts = chapters.map(chapter => chapter.start).sort((a, b) => a - b);
+  return chapters.map((chapter, index) => {
+    const nextStart = starts.find(start => start > chapter.start);
+    return {
+      ...chapter,
+      title: chapter.title || `Chapter ${index + 1}`,
+      end: chapter.end ?? nextStart ?? (duration || null)
+    };
+  });
+};
+
+// The chapter playing at `time`, or else the latest one to have started before it
+export const getChapterIndex = (chapters, time) => {
+  if (!chapters) return -1;
+
+  const playing = chapters.findIndex(chapter => (
+    chapter.start <= time && (chapter.end === null || time < chapter.end)
+  ));
+  if (playing >= 0) return playing;
+
+  let index = -1;
+  chapters.forEach((chapter, i) => {
+    if (chapter.start <= time && (index < 0 || chapter.start >= chapters[index].start)) index = i;
+  });
+  return index;
+};
+
+export const getCurrentChapter = (chapters, time) => {
+  const index = getChapterIndex(chapters, time);
+  return index >= 0 ? chapters[index] : null;
+};
+
+export const getNextChapter = (chapters, time) => {
+  const index = getChapterIndex(chapters, time);
+  return chapters?.[index + 1] || null;
+};
+
+// Like a track "previous" button: restart the chapter unless we are near its start
+export const getPreviousChapterStart = (chapters, time) => {
+  const index = getChapterIndex(chapters, time);
+  if (index < 0) return 0;
+
+  const chapter = chapters[index];
+  if (time - chapter.start > RESTART_THRESHOLD || index === 0) return chapter.start;
+  return chapters[index - 1].start;
+};
@@ -0,0 +1,159 @@
+// Color palette extraction from album artwork and helpers for theming with it
+const SAMPLE_SIZE = 64;
+const MIN_COLOR_DISTANCE = 60;
+
+export const rgbToCss = ([r, g, b], alpha = 1) => {
+  return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`;
+};
+
+export const mixColors = (from, to, amount) => {
+  return from.map((value, i) => Math.round(value + (to[i] - value) * amount));
+};
+
+// Positive amounts lighten toward white, negative amounts darken toward black
+export const shadeColor = (color, amount) => {
+  return amount >= 0
+    ? mixColors(color, [255, 255, 255], amount)
+    : mixColors(color, [0, 0, 0], -amount);
+};
+
+export const getLightness = ([r, g, b]) => {
+  return (Math.max(r, g, b) + Math.min(r, g, b)) / 510;
+};
+
+export const getSaturation = ([r, g, b]) => {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+  if (max === min) return 0;
+  return (max - min) / (1 - Math.abs(2 * lightness - 1));
+};
+
+const getColorDistance = (a, b) => {
+  return Math.sqrt(
+    (a[0] - b[0]) ** 2 +
+    (a[1] - b[1]) ** 2 +
+    (a[2] - b[2]) ** 2
+  );
+};
+
+// Lift very dark swatches so they stay visible on the player's dark backgrounds
+export const ensureLightness = (color, minimum = 0.45) => {
+  const lightness = getLightness(color);
+  if (lightness >= minimum) return color;
+  return shadeColor(color, (minimum - lightness) / (1 - lightness));
+};
+
+const loadImage = (url) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = reject;
+    image.src = url;
+  });
+};
+
+// Group similar pixels into 5-bit-per-channel buckets and rank them by population
+const quantizePixels = (pixels) => {
+  const buckets = new Map();
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] < 128) continue;
+
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+  }
+
+  return Array.from(buckets.values())
+    .map(bucket => ({
+      count: bucket.count,
+      color: [
+        Math.round(bucket.r / bucket.count),
+        Math.round(bucket.g / bucket.count),
+        Math.round(bucket.b / bucket.count)
+      ]
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+export const buildPalette = (pixels, colorCount = 5) => {
+  const swatches = quantizePixels(pixels);
+  if (swatches.length === 0) return null;
+
+  const colors = [];
+  for (const swatch of swatches) {
+    if (colors.every(color => getColorDistance(color, swatch.color) >= MIN_COLOR_DISTANCE)) {
+      colors.push(swatch.color);
+      if (colors.length === colorCount) break;
+    }
+  }
+
+  const dominant = colors[0];
+
+  // The accent is the most vivid well-represented color that differs from the dominant one
+  const accentSwatch = swatches
+    .filter(swatch => getColorDistance(swatch.color, dominant) >= MIN_COLOR_DISTANCE)
+    .slice(0, 64)
+    .sort((a, b) => {
+      const score = (swatch) => getSaturation(swatch.color) * Math.sqrt(swatch.count);
+      return score(b) - score(a);
+    })[0];
+
+  return {
+    dominant,
+    accent: accentSwatch ? accentSwatch.color : shadeColor(dominant, 0.4),
+    colors
+  };
+};
+
+export const extractPalette = async (imageUrl, colorCount = 5) => {
+  try {
+    const image = await loadImage(imageUrl);
+    const canvas = document.createElement('canvas');
+    canvas.width = SAMPLE_SIZE;
+    canvas.height = SAMPLE_SIZE;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    const { data } = ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+
+    return buildPalette(data, colorCount);
+  } catch (error) {
+    console.error('Error extracting artwork palette:', error);
+    return null;
+  }
+};
+
+// Spread the palette across `count` steps, running from the dominant color to the accent
+export const getPaletteColors = (palette, count) => {
+  if (!palette) return [];
+
+  const middle = palette.colors
+    .slice(1)
+    .filter(color => getColorDistance(color, palette.accent) >= MIN_COLOR_DISTANCE);
+  const stops = [palette.dominant, ...middle, palette.accent].map(color => ensureLightness(color));
+  if (count === 1) return [stops[0]];
+
+  return Array.from({ length: count }, (_, i) => {
+    const position = (i / (count - 1)) * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    return mixColors(stops[index], stops[index + 1], position - index);
+  });
+};
+
+export const getPaletteGradient = (palette, direction = 'to right') => {
+  if (!palette) return undefined;
+
+  const from = rgbToCss(ensureLightness(palette.dominant));
+  const to = rgbToCss(ensureLightness(palette.accent));
+  return `linear-gradient(${direction}, ${from}, ${to})`;
+};
@@ -0,0 +1,74 @@
+export const MAX_CROSSFADE_DURATION = 12;
+
+export const CROSSFADE_CURVES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'equal-power', label: 'Equal power' },
+  { value: 'logarithmic', label: 'Log' }
+];
+
+export const DEFAULT_CROSSFADE_SETTINGS = {
+  duration: 0,
+  curve: 'equal-power'
+};
+
+const CURVE_STEPS = 128;
+// The logarithmic curve is linear in dB, rising from this floor
+const LOG_FLOOR_DB = -60;
+
+const getFadeInGain = (curve, position) => {
+  if (curve === 'equal-power') return Math.sin((position * Math.PI) / 2);
+  if (curve === 'logarithmic') return position === 0 ? 0 : Math.pow(10, ((1 - position) * LOG_FLOOR_DB) / 20);
+  return position;
+};
+
+// Gain curves for setValueCurveAtTime. The fade-out is the fade-in reversed, so equal power
+// stays at constant power and linear at constant amplitude through the overlap.
+export const getCrossfadeCurves = (curve) => {
+  const fadeIn = new Float32Array(CURVE_STEPS);
+  const fadeOut = new Float32Array(CURVE_STEPS);
+
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    fadeIn[i] = getFadeInGain(curve, i / (CURVE_STEPS - 1));
+    fadeOut[CURVE_STEPS - 1 - i] = fadeIn[i];
+  }
+
+  return { fadeIn, fadeOut };
+};
+
+const normalizeName = (value) => (value || '').trim().toLowerCase();
+
+// Albums are sequenced to flow into each other, so crossfading them would smear the transitions
+export const isSameAlbum = (track, nextTrack) => {
+  const album = normalizeName(track?.album);
+  if (!album || album !== normalizeName(nextTrack?.album)) return false;
+
+  // Plenty of albums share names like "Greatest Hits", so the artist has to match too when both are known
+  const artist = normalizeName(track.artist);
+  const nextArtist = normalizeName(nextTrack.artist);
+  return !artist || !nextArtist || artist === nextArtist;
+};
+
+// How long to overlap two tracks, or 0 for a plain cut. Never more than half the current track.
+export const getCrossfadeDuration = (settings, track, nextTrack, trackDuration) => {
+  if (!settings?.duration || !track || !nextTrack) return 0;
+  if (isSameAlbum(track, nextTrack)) return 0;
+
+  return Math.min(settings.duration, MAX_CROSSFADE_DURATION, (trackDuration || 0) / 2);
+};
+
+// Ramp two gain nodes against each other, starting now
+export const scheduleCrossfade = (context, fadeOutNode, fadeInNode, duration, curve) => {
+  const { fadeIn, fadeOut } = getCrossfadeCurves(curve);
+  const now = context.currentTime;
+
+  [[fadeOutNode, fadeOut], [fadeInNode, fadeIn]].forEach(([node, values]) => {
+    node.gain.cancelScheduledValues(now);
+    node.gain.setValueCurveAtTime(values, now, duration);
+  });
+};
+
+// Cut any ramp short and put the node back at unity
+export const resetCrossfadeGain = (context, node) => {
+  node.gain.cancelScheduledValues(context.currentTime);
+  node.gain.setValueAtTime(1, context.currentTime);
+};
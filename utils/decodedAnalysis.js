@@ -0,0 +1,16 @@
+// Every offline analysis of a decoded track. Kept apart from analysisUtils, which starts the
+// analysis worker, so the worker can import it without importing itself.
+import { measureLoudness } from './loudnessUtils';
+import { estimateTempo } from './tempoUtils';
+import { estimateKey } from './keyUtils';
+import { computeWaveformPeaks } from './waveformUtils';
+import { computeLevelEnvelope } from './silenceUtils';
+
+// Works on a real AudioBuffer or any object with the same shape, as the worker passes in
+export const analyzeDecodedAudio = (audioBuffer) => ({
+  loudness: measureLoudness(audioBuffer),
+  tempo: estimateTempo(audioBuffer),
+  key: estimateKey(audioBuffer),
+  waveform: computeWaveformPeaks(audioBuffer),
+  envelope: computeLevelEnvelope(audioBuffer)
+});
@@ -0,0 +1,155 @@
+import { dbToGain } from './loudnessUtils';
+
+// Slider ranges; DynamicsCompressorNode itself accepts a little more
+export const COMPRESSOR_RANGES = {
+  threshold: [-60, 0],
+  ratio: [1, 20],
+  knee: [0, 40],
+  attack: [0, 1],
+  release: [0.01, 1],
+  makeup: [0, 24]
+};
+export const LIMITER_CEILING_RANGE = [-12, 0];
+
+export const DEFAULT_DYNAMICS_SETTINGS = {
+  compressor: {
+    enabled: false,
+    threshold: -24,
+    ratio: 4,
+    knee: 6,
+    attack: 0.01,
+    release: 0.25,
+    makeup: 0
+  },
+  limiter: {
+    enabled: false,
+    ceiling: -1
+  },
+  nightMode: false
+};
+
+// Heavy, slow compression with the quiet parts brought up, for listening at low volume
+export const NIGHT_MODE_SETTINGS = {
+  compressor: {
+    enabled: true,
+    threshold: -40,
+    ratio: 6,
+    knee: 12,
+    attack: 0.005,
+    release: 0.3,
+    makeup: 12
+  },
+  limiter: {
+    enabled: true,
+    ceiling: -3
+  }
+};
+
+// The limiter stage: as hard and fast as the node goes
+const LIMITER_RATIO = 20;
+const LIMITER_RELEASE = 0.05;
+const CLIPPER_CURVE_LENGTH = 2049;
+const SMOOTHING_TIME = 0.03;
+
+export const normalizeDynamicsSettings = (stored) => ({
+  compressor: { ...DEFAULT_DYNAMICS_SETTINGS.compressor, ...stored?.compressor },
+  limiter: { ...DEFAULT_DYNAMICS_SETTINGS.limiter, ...stored?.limiter },
+  nightMode: Boolean(stored?.nightMode)
+});
+
+// Night mode overrides the user's own settings without replacing them, so switching it off
+// brings those back
+export const getEffectiveDynamicsSettings = (settings) => (
+  settings.nightMode ? { ...settings, ...NIGHT_MODE_SETTINGS } : settings
+);
+
+// DynamicsCompressorNode adds its own make-up gain, 0.6 of the reduction a full-scale signal
+// would get (ignoring the knee). It is taken back out so the make-up gain is only what the
+// user asked for.
+const getAutomaticMakeupDb = (threshold, ratio) => -0.6 * threshold * (1 - 1 / ratio);
+
+// Passes everything below the ceiling untouched and flattens anything the limiter let through,
+// as it has no look-ahead to catch the very start of a transient
+const createClipperCurve = (ceilingDb) => {
+  const ceiling = dbToGain(ceilingDb);
+  const curve = new Float32Array(CLIPPER_CURVE_LENGTH);
+
+  for (let i = 0; i < CLIPPER_CURVE_LENGTH; i++) {
+    const x = (i / (CLIPPER_CURVE_LENGTH - 1)) * 2 - 1;
+    curve[i] = Math.max(-ceiling, Math.min(ceiling, x));
+  }
+  return curve;
+};
+
+// Compressor -> make-up gain -> limiter -> trim -> clipper, in the { input, output } form the
+// engine takes as an insert
+export const createDynamics = (context) => {
+  const compressor = context.createDynamicsCompressor();
+  const makeup = context.createGain();
+  const limiter = context.createDynamicsCompressor();
+  const trim = context.createGain();
+  const clipper = context.createWaveShaper();
+
+  limiter.knee.value = 0;
+  limiter.attack.value = 0;
+  limiter.release.value = LIMITER_RELEASE;
+  clipper.oversample = '4x';
+
+  compressor.connect(makeup);
+  makeup.connect(limiter);
+  limiter.connect(trim);
+  trim.connect(clipper);
+
+  return {
+    input: compressor,
+    output: clipper,
+    compressor,
+    makeup,
+    limiter,
+    trim,
+    clipper,
+    ceiling: null
+  };
+};
+
+export const applyDynamicsSettings = (dynamics, settings, context) => {
+  const { compressor, limiter } = getEffectiveDynamicsSettings(settings);
+  const now = context.currentTime;
+  const setParam = (param, value) => param.setTargetAtTime(value, now, SMOOTHING_TIME);
+
+  // Threshold 0 and ratio 1 leave a stage transparent without taking it out of the graph
+  const threshold = compressor.enabled ? compressor.threshold : 0;
+  const ratio = compressor.enabled ? compressor.ratio : 1;
+  setParam(dynamics.compressor.threshold, threshold);
+  setParam(dynamics.compressor.ratio, ratio);
+  setParam(dynamics.compressor.knee, compressor.knee);
+  setParam(dynamics.compressor.attack, compressor.attack);
+  setParam(dynamics.compressor.release, compressor.release);
+
+  const makeupDb = (compressor.enabled ? compressor.makeup : 0) - getAutomaticMakeupDb(threshold, ratio);
+  setParam(dynamics.makeup.gain, dbToGain(makeupDb));
+
+  const ceiling = limiter.enabled ? limiter.ceiling : 0;
+  const limiterRatio = limiter.enabled ? LIMITER_RATIO : 1;
+  setParam(dynamics.limiter.threshold, ceiling);
+  setParam(dynamics.limiter.ratio, limiterRatio);
+  setParam(dynamics.trim.gain, dbToGain(-getAutomaticMakeupDb(ceiling, limiterRatio)));
+
+  // Building the curve is the expensive part, so only when the ceiling moves
+  const clipperCeiling = limiter.enabled ? limiter.ceiling : null;
+  if (dynamics.ceiling !== clipperCeiling) {
+    dynamics.ceiling = clipperCeiling;
+    dynamics.clipper.curve = clipperCeiling === null ? null : createClipperCurve(clipperCeiling);
+  }
+};
+
+// Older WebKit exposes reduction as an AudioParam rather than a number
+const readReduction = (node) => (
+  typeof node.reduction === 'number' ? node.reduction : node.reduction?.value || 0
+);
+
+// Total gain reduction across both stages, in positive dB
+export const getGainReduction = (dynamics) => {
+  if (!dynamics) return 0;
+  return Math.max(0, -(readReduction(dynamics.compressor) + readReduction(dynamics.limiter)));
+};
@@ -0,0 +1,141 @@
+import { dbToGain } from './loudnessUtils';
+
+// ISO 266 octave centres
+export const EQ_FREQUENCIES = [31.5, 63, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_GAIN_RANGE = 12;
+export const EQ_Q_RANGE = [0.3, 8];
+// One octave wide, so neighbouring bands meet at about -3 dB
+export const DEFAULT_Q = 1.41;
+
+const SMOOTHING_TIME = 0.03;
+
+const createPreset = (id, name, gains, preamp = 0) => ({
+  id,
+  name,
+  preamp,
+  bands: gains.map(gain => ({ gain, q: DEFAULT_Q }))
+});
+
+// Boosting presets come with a negative preamp so they keep roughly the same headroom as Flat
+export const EQ_PRESETS = [
+  createPreset('flat', 'Flat', [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+  createPreset('bass-boost', 'Bass Boost', [6, 5, 4, 2, 0, 0, 0, 0, 0, 0], -4),
+  createPreset('treble-boost', 'Treble Boost', [0, 0, 0, 0, 0, 1, 2, 4, 5, 6], -4),
+  createPreset('vocal', 'Vocal', [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1], -2),
+  createPreset('loudness', 'Loudness', [5, 4, 1, 0, -1, 0, -1, 1, 4, 5], -4),
+  createPreset('rock', 'Rock', [4, 3, -1, -2, -1, 1, 3, 4, 4, 4], -3),
+  createPreset('electronic', 'Electronic', [5, 4, 1, 0, -2, 1, 0, 1, 4, 5], -4),
+  createPreset('acoustic', 'Acoustic', [3, 3, 2, 0, 1, 1, 2, 3, 2, 1], -2)
+];
+
+export const DEFAULT_EQUALIZER_SETTINGS = {
+  enabled: true,
+  presetId: 'flat',
+  preamp: 0,
+  bands: EQ_PRESETS[0].bands
+};
+
+// Stored settings from an older layout (or hand-edited storage) fall back to Flat
+export const normalizeEqualizerSettings = (stored) => {
+  if (!stored || !Array.isArray(stored.bands) || stored.bands.length !== EQ_FREQUENCIES.length) {
+    return { ...DEFAULT_EQUALIZER_SETTINGS, enabled: stored?.enabled ?? true };
+  }
+  return { ...DEFAULT_EQUALIZER_SETTINGS, ...stored };
+};
+
+const configureFilters = (filters, settings, context, smooth) => {
+  const now = context.currentTime;
+
+  filters.forEach((filter, index) => {
+    const band = settings.bands[index];
+    const gain = settings.enabled ? band.gain : 0;
+
+    if (smooth) {
+      filter.gain.setTargetAtTime(gain, now, SMOOTHING_TIME);
+      filter.Q.setTargetAtTime(band.q, now, SMOOTHING_TIME);
+    } else {
+      filter.gain.value = gain;
+      filter.Q.value = band.q;
+    }
+  });
+};
+
+const createFilters = (context) => EQ_FREQUENCIES.map(frequency => {
+  const filter = context.createBiquadFilter();
+  filter.type = 'peaking';
+  filter.frequency.value = frequency;
+  return filter;
+});
+
+// Preamp followed by the peaking filters in series, in the { input, output } form the engine
+// takes as an insert
+export const createEqualizer = (context) => {
+  const preamp = context.createGain();
+  const filters = createFilters(context);
+
+  filters.reduce((previous, filter) => previous.connect(filter), preamp);
+
+  return {
+    input: preamp,
+    output: filters[filters.length - 1],
+    preamp,
+    filters
+  };
+};
+
+export const applyEqualizerSettings = (equalizer, settings, context) => {
+  const preamp = settings.enabled ? dbToGain(settings.preamp) : 1;
+  equalizer.preamp.gain.setTargetAtTime(preamp, context.currentTime, SMOOTHING_TIME);
+  configureFilters(equalizer.filters, settings, context, true);
+};
+
+// Log-spaced frequencies for plotting a response curve
+export const getResponseFrequencies = (count = 128, min = 20, max = 20000) => {
+  const frequencies = new Float32Array(count);
+  const ratio = Math.log(max / min);
+
+  for (let i = 0; i < count; i++) {
+    frequencies[i] = min * Math.exp((i / (count - 1)) * ratio);
+  }
+  return frequencies;
+};
+
+// The response is computed on throwaway filters in a tiny offline context, so the curve can be
+// drawn before anything has been played. It runs at the live context's rate once there is one, as
+// the bands near Nyquist bend differently at 44.1 and 48 kHz.
+const DEFAULT_RESPONSE_SAMPLE_RATE = 48000;
+let responseFilters = null;
+
+const getResponseFilters = (sampleRate) => {
+  if (responseFilters && responseFilters[0].context.sampleRate === sampleRate) return responseFilters;
+  if (typeof OfflineAudioContext === 'undefined') return null;
+
+  try {
+    responseFilters = createFilters(new OfflineAudioContext(1, 1, sampleRate));
+  } catch (error) {
+    console.error('Error creating equalizer response filters:', error);
+    return null;
+  }
+  return responseFilters;
+};
+
+// Combined response of the preamp and every band, in dB, at each of the given frequencies
+export const getEqualizerResponse = (settings, frequencies, sampleRate) => {
+  const filters = getResponseFilters(sampleRate || DEFAULT_RESPONSE_SAMPLE_RATE);
+  if (!filters) return null;
+
+  configureFilters(filters, settings, filters[0].context, false);
+
+  const response = new Float32Array(frequencies.length).fill(settings.enabled ? settings.preamp : 0);
+  const magnitude = new Float32Array(frequencies.length);
+  const phase = new Float32Array(frequencies.length);
+
+  filters.forEach(filter => {
+    filter.getFrequencyResponse(frequencies, magnitude, phase);
+    for (let i = 0; i < frequencies.length; i++) {
+      response[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+    }
+  });
+
+  return response;
+};
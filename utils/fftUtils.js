@@ -0,0 +1,87 @@
+// Radix-2 FFT and spectrum helpers for offline track analysis
+const windowCache = new Map();
+
+export const getHannWindow = (size) => {
+  if (!windowCache.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+    windowCache.set(size, window);
+  }
+  return windowCache.get(size);
+};
+
+// In-place complex FFT; the length must be a power of two
+export const fft = (real, imag) => {
+  const size = real.length;
+
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+
+    for (let start = 0; start < size; start += length) {
+      let twiddleReal = 1;
+      let twiddleImag = 0;
+
+      for (let k = 0; k < length / 2; k++) {
+        const even = start + k;
+        const odd = even + length / 2;
+        const oddReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+        const oddImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+
+        const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+        twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+        twiddleReal = nextReal;
+      }
+    }
+  }
+};
+
+// Magnitudes of the first size/2 bins of a Hann-windowed frame starting at `offset`
+export const getMagnitudeSpectrum = (samples, offset, size, output = new Float32Array(size / 2)) => {
+  const window = getHannWindow(size);
+  const real = new Float32Array(size);
+  const imag = new Float32Array(size);
+
+  for (let i = 0; i < size; i++) {
+    real[i] = (samples[offset + i] || 0) * window[i];
+  }
+
+  fft(real, imag);
+
+  for (let i = 0; i < size / 2; i++) {
+    output[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+  }
+  return output;
+};
+
+// Average all channels into one
+export const getMonoSamples = (audioBuffer, start = 0, end = audioBuffer.length) => {
+  const mono = new Float32Array(end - start);
+  const { numberOfChannels } = audioBuffer;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = start; i < end; i++) {
+      mono[i - start] += data[i] / numberOfChannels;
+    }
+  }
+  return mono;
+};
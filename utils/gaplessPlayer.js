@@ -0,0 +1,180 @@
+import { getAudioContext, connectSourceNode } from './audioEngine';
+import { trimGaplessPadding } from './gaplessUtils';
+import { getFileKey, decodeAudioFile } from './analysisUtils';
+
+// Decoded tracks are large (about 10 MB a minute), so keep only the current one, the next one
+// and whichever was just played
+const DECODED_TRACK_LIMIT = 3;
+// Head start for the first source, so it is scheduled rather than started late
+const START_LATENCY = 0.05;
+
+const getTrackKey = (track) => track.id ?? getFileKey(track.file);
+
+// Plays pre-decoded, trimmed tracks back to back on buffer sources through the shared engine.
+// The next track is scheduled to start on the exact sample the current one ends.
+export const createGaplessPlayer = ({ onAdvance, onEnded } = {}) => {
+  const decoded = new Map();
+  let volumeNode = null;
+  let volume = 1;
+  let current = null;
+  let next = null;
+  let nextTrack = null;
+
+  const getDecodedBuffer = (track) => (
+    track ? decoded.get(getTrackKey(track))?.buffer || null : null
+  );
+
+  const evictDecodedTracks = () => {
+    const keep = [current?.track, nextTrack].filter(Boolean).map(getTrackKey);
+
+    for (const key of decoded.keys()) {
+      if (decoded.size <= DECODED_TRACK_LIMIT) break;
+      if (!keep.includes(key)) decoded.delete(key);
+    }
+  };
+
+  // Decode a track in the engine's context and cut its encoder delay and padding
+  const prepare = (track) => {
+    if (!track?.file) return Promise.resolve(null);
+
+    const key = getTrackKey(track);
+    if (decoded.has(key)) return decoded.get(key).promise;
+
+    const entry = { buffer: null, promise: null };
+    entry.promise = (async () => {
+      try {
+        const context = getAudioContext();
+        if (!context) return null;
+
+        const audioBuffer = await decodeAudioFile(track.file);
+        entry.buffer = trimGaplessPadding(context, audioBuffer, track);
+        return entry.buffer;
+      } catch (error) {
+        console.error('Error decoding track for gapless playback:', error);
+        decoded.delete(key);
+        return null;
+      }
+    })();
+
+    decoded.set(key, entry);
+    evictDecodedTracks();
+    return entry.promise;
+  };
+
+  const getVolumeNode = () => {
+    const context = getAudioContext();
+    if (volumeNode?.context !== context) {
+      volumeNode = context.createGain();
+      volumeNode.gain.value = volume;
+      connectSourceNode(volumeNode);
+    }
+    return volumeNode;
+  };
+
+  const stopSource = (entry) => {
+    if (!entry) return;
+    entry.source.onended = null;
+    try {
+      entry.source.stop();
+    } catch (error) {
+      // Never started
+    }
+    entry.source.disconnect();
+  };
+
+  const stopAll = () => {
+    stopSource(current);
+    stopSource(next);
+    current = null;
+    next = null;
+  };
+
+  // Hand over to the scheduled track when the current one runs out, or report the end
+  const handleSourceEnded = (entry) => {
+    if (current !== entry) return;
+
+    entry.source.disconnect();
+    current = next;
+    next = null;
+
+    if (current) {
+      onAdvance?.(current.track);
+    } else {
+      onEnded?.(entry.track);
+    }
+  };
+
+  const startSource = (track, buffer, when, offset = 0) => {
+    const source = getAudioContext().createBufferSource();
+    source.buffer = buffer;
+    source.connect(getVolumeNode());
+
+    const entry = { track, buffer, source, startedAt: when - offset };
+    source.onended = () => handleSourceEnded(entry);
+    source.start(when, offset);
+    return entry;
+  };
+
+  const scheduleNext = () => {
+    if (next && (!nextTrack || getTrackKey(next.track) !== getTrackKey(nextTrack))) {
+      stopSource(next);
+      next = null;
+    }
+    if (!current || !nextTrack || next) return;
+
+    const buffer = getDecodedBuffer(nextTrack);
+    const startAt = current.startedAt + current.buffer.duration;
+    if (!buffer || startAt <= getAudioContext().currentTime) return;
+
+    next = startSource(nextTrack, buffer, startAt);
+  };
+
+  // Start a decoded track. Returns false if it is not decoded yet, so the caller can fall back
+  // to the media element.
+  const play = (track, offset = 0) => {
+    const buffer = getDecodedBuffer(track);
+    if (!buffer) return false;
+
+    stopAll();
+    const position = Math.max(0, Math.min(buffer.duration, offset));
+    current = startSource(track, buffer, getAudioContext().currentTime + START_LATENCY, position);
+    scheduleNext();
+    return true;
+  };
+
+  const getPosition = () => {
+    if (!current) return 0;
+
+    const elapsed = getAudioContext().currentTime - current.startedAt;
+    return Math.max(0, Math.min(current.buffer.duration, elapsed));
+  };
+
+  return {
+    prepare,
+    play,
+    // The track after the current one; it is scheduled as soon as it has been decoded
+    setNext: (track) => {
+      nextTrack = track || null;
+      scheduleNext();
+    },
+    pause: () => {
+      const position = getPosition();
+      stopAll();
+      return position;
+    },
+    seek: (time) => (current ? play(current.track, time) : false),
+    stop: stopAll,
+    isPlaying: () => Boolean(current),
+    getPosition,
+    setVolume: (value) => {
+      volume = value;
+      if (volumeNode) volumeNode.gain.value = value;
+    },
+    dispose: () => {
+      stopAll();
+      decoded.clear();
+      volumeNode?.disconnect();
+      volumeNode = null;
+    }
+  };
+};
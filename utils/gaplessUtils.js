@@ -0,0 +1,87 @@
+// Encoder delay and padding, so decoded tracks can be trimmed to exactly their real samples
+
+// mpg123/LAME decoders lag the stream by 528 samples plus one
+export const MP3_DECODER_DELAY = 529;
+
+const COMMON_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+
+// iTunSMPB: " 00000000 00000840 000001CA 00000000003F31F6 ..." - hex fields, the second to
+// fourth being the encoder delay, the end padding and the number of real samples
+export const parseITunSMPB = (value) => {
+  if (!value) return null;
+
+  const fields = value.trim().split(/\s+/);
+  if (fields.length < 4) return null;
+
+  const [encoderDelay, encoderPadding, sampleCount] = fields.slice(1, 4).map(field => parseInt(field, 16));
+  if ([encoderDelay, encoderPadding, sampleCount].some(isNaN) || sampleCount <= 0) return null;
+
+  return { encoderDelay, encoderPadding, sampleCount };
+};
+
+// iTunSMPB counts samples at the source rate, which only MP3 files tell us up front
+const estimateSourceSampleRate = (sampleCount, duration) => {
+  if (!duration) return null;
+
+  const estimate = sampleCount / duration;
+  return COMMON_SAMPLE_RATES.reduce((best, rate) => (
+    Math.abs(rate - estimate) < Math.abs(best - estimate) ? rate : best
+  ));
+};
+
+// Where the real audio starts and how long it is in the decoder's output, plus the length that
+// output has when the decoder leaves the delay and padding in. All in source samples.
+export const getGaplessInfo = (track) => {
+  const info = track?.audioInfo;
+
+  // A LAME header is written by the encoder itself, so it wins over a tagger's iTunSMPB
+  if (info?.codec === 'mp3' && info.encoderDelay !== null && info.frameCount > 0) {
+    const decodedLength = info.frameCount * info.samplesPerFrame;
+    return {
+      sampleRate: info.sampleRate,
+      start: info.encoderDelay + MP3_DECODER_DELAY,
+      length: decodedLength - info.encoderDelay - info.encoderPadding,
+      decodedLength
+    };
+  }
+
+  if (track?.gapless) {
+    const { encoderDelay, encoderPadding, sampleCount } = track.gapless;
+    const sampleRate = info?.sampleRate || estimateSourceSampleRate(sampleCount, track.duration);
+    if (!sampleRate) return null;
+
+    return {
+      sampleRate,
+      start: encoderDelay,
+      length: sampleCount,
+      decodedLength: encoderDelay + sampleCount + encoderPadding
+    };
+  }
+
+  return null;
+};
+
+// Cut the encoder delay and padding out of a decoded track. Some browsers already do this while
+// decoding, so the buffer is left alone when its length says it has been trimmed.
+export const trimGaplessPadding = (context, audioBuffer, track) => {
+  const gapless = getGaplessInfo(track);
+  if (!gapless || gapless.length <= 0) return audioBuffer;
+
+  const ratio = audioBuffer.sampleRate / gapless.sampleRate;
+  const start = Math.round(gapless.start * ratio);
+  const length = Math.round(gapless.length * ratio);
+  const decodedLength = Math.round(gapless.decodedLength * ratio);
+
+  if (Math.abs(audioBuffer.length - length) <= Math.abs(audioBuffer.length - decodedLength)) {
+    return audioBuffer;
+  }
+
+  const end = Math.min(audioBuffer.length, start + length);
+  if (end <= start) return audioBuffer;
+
+  const trimmed = context.createBuffer(audioBuffer.numberOfChannels, end - start, audioBuffer.sampleRate);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    trimmed.copyToChannel(audioBuffer.getChannelData(channel).subarray(start, end), channel);
+  }
+  return trimmed;
+};
@@ -0,0 +1,670 @@
+// ID3v2.2/2.3/2.4 and ID3v1 tag reading, and ID3v2.4 writing, for MP3 files
+import {
+  readFileBytes,
+  readUint24BE,
+  readUint32BE,
+  readSyncsafeInt,
+  readAscii,
+  decodeText,
+  encodeSyncsafeInt,
+  encodeAscii,
+  encodeText,
+  concatBytes
+} from './binaryUtils';
+import {
+  createEmptyTags,
+  parseTrackNumber,
+  parseYear,
+  joinValues,
+  mergeTags,
+  selectPicture,
+  PICTURE_TYPES
+} from './tagUtils';
+import { parseLyrics, buildSyncedLyrics } from './lyricsUtils';
+import { parseReplayGain } from './loudnessUtils';
+import { parseITunSMPB } from './gaplessUtils';
+
+export const ID3V1_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+  'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal',
+  'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'JPop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque',
+  'Bhangra', 'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic',
+  'Electro', 'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM',
+  'Illbient', 'Industro-Goth', 'Jam Band', 'Krautrock', 'Leftfield', 'Lounge',
+  'Math Rock', 'New Romantic', 'Nu-Breakz', 'Post-Punk', 'Post-Rock', 'Psytrance',
+  'Shoegaze', 'Space Rock', 'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook',
+  'Audio Theatre', 'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep',
+  'Garage Rock', 'Psybient'
+];
+
+const TEXT_ENCODINGS = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'];
+
+// ID3v2.2 used three-character frame ids; map them onto their v2.3 names
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TCO: 'TCON',
+  TRK: 'TRCK',
+  TYE: 'TYER',
+  TXX: 'TXXX',
+  COM: 'COMM',
+  PIC: 'APIC',
+  ULT: 'USLT',
+  SLT: 'SYLT'
+};
+
+const FRAME_ID_PATTERN = /^[A-Z0-9]{3,4}$/;
+
+// Undo the 0xFF 0x00 byte stuffing that keeps tag data from looking like MPEG sync
+export const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+
+  return output.subarray(0, length);
+};
+
+const isWideEncoding = (encoding) => encoding === 1 || encoding === 2;
+
+// Decode a string in one of the four ID3 text encodings, honouring UTF-16 byte order marks
+export const decodeID3String = (bytes, encoding) => {
+  if (encoding === 1 && bytes.length >= 2) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return decodeText(bytes.subarray(2), 'utf-16be');
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return decodeText(bytes.subarray(2), 'utf-16le');
+    }
+  }
+
+  return decodeText(bytes, TEXT_ENCODINGS[encoding] || 'iso-8859-1');
+};
+
+// Read a null-terminated string and return it with the offset just past its terminator
+export const readID3String = (bytes, offset, encoding) => {
+  const step = isWideEncoding(encoding) ? 2 : 1;
+  let end = offset;
+
+  while (end + step - 1 < bytes.length) {
+    if (bytes[end] === 0 && (step === 1 || bytes[end + 1] === 0)) break;
+    end += step;
+  }
+
+  return {
+    text: decodeID3String(bytes.subarray(offset, Math.min(end, bytes.length)), encoding),
+    next: Math.min(end + step, bytes.length)
+  };
+};
+
+export const decodeTextFrame = (data) => {
+  if (!data || data.length < 2) return [];
+
+  const encoding = data[0];
+  const text = decodeID3String(data.subarray(1), encoding);
+
+  // ID3v2.4 separates multiple values with nulls; each UTF-16 value may carry its own BOM
+  return text
+    .split('\0')
+    .map(value => value.replace(/^\uFEFF/, '').trim())
+    .filter(Boolean);
+};
+
+// TXXX: encoding, description, then the value
+export const decodeUserTextFrame = (frame) => {
+  const { data } = frame;
+  if (!data || data.length < 2) return null;
+
+  const encoding = data[0];
+  const description = readID3String(data, 1, encoding);
+  return {
+    description: description.text.replace(/^\uFEFF/, ''),
+    value: decodeID3String(data.subarray(description.next), encoding).replace(/^\uFEFF/, '').split('\0')[0]
+  };
+};
+
+// APIC in v2.3+, PIC in v2.2 where the MIME type is a three-letter image format
+export const decodePictureFrame = (frame) => {
+  const { data } = frame;
+  if (!data || data.length < 4) return null;
+
+  const encoding = data[0];
+  let mimeType;
+  let offset;
+
+  if (frame.rawId === 'PIC') {
+    mimeType = readAscii(data, 1, 3).toUpperCase() === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mimeEnd = data.indexOf(0, 1);
+    if (mimeEnd < 0) return null;
+    mimeType = readAscii(data, 1, mimeEnd - 1).toLowerCase() || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType}`;
+    offset = mimeEnd + 1;
+  }
+
+  const type = data[offset];
+  const description = readID3String(data, offset + 1, encoding);
+
+  return {
+    type,
+    mimeType,
+    description: description.text,
+    data: data.subarray(description.next)
+  };
+};
+
+// USLT: encoding, language, descriptor, then the full lyrics text
+export const decodeUnsyncedLyricsFrame = (frame) => {
+  const { data } = frame;
+  if (!data || data.length < 5) return null;
+
+  const encoding = data[0];
+  const descriptor = readID3String(data, 4, encoding);
+  return parseLyrics(decodeID3String(data.subarray(descriptor.next), encoding));
+};
+
+// COMM: encoding, language, description, then the text
+export const decodeCommentFrame = (frame) => {
+  const { data } = frame;
+  if (!data || data.length < 5) return null;
+
+  const encoding = data[0];
+  const description = readID3String(data, 4, encoding);
+  return {
+    description: description.text.replace(/^\uFEFF/, ''),
+    value: decodeID3String(data.subarray(description.next), encoding).replace(/^\uFEFF/, '').split('\0')[0]
+  };
+};
+
+// SYLT: encoding, language, timestamp format, content type, descriptor, then
+// repeated null-terminated text followed by a 32-bit timestamp
+export const decodeSyncedLyricsFrame = (frame) => {
+  const { data } = frame;
+  if (!data || data.length < 7) return null;
+
+  const encoding = data[0];
+  const timestampFormat = data[4];
+  const entries = [];
+  let offset = readID3String(data, 6, encoding).next;
+
+  while (offset < data.length) {
+    const entry = readID3String(data, offset, encoding);
+    if (entry.next + 4 > data.length) break;
+
+    const timestamp = readUint32BE(data, entry.next);
+    entries.push({
+      text: entry.text.replace(/^\uFEFF/, ''),
+      // Format 2 is milliseconds; format 1 is MPEG frames, converted once the stream is known
+      time: timestampFormat === 2 ? timestamp / 1000 : timestamp
+    });
+    offset = entry.next + 4;
+  }
+
+  const lyrics = buildSyncedLyrics(entries);
+  return lyrics && timestampFormat === 1 ? { ...lyrics, frameBased: true } : lyrics;
+};
+
+const isFrameBoundary = (body, offset) => {
+  if (offset === body.length) return true;
+  if (offset > body.length) return false;
+  return body[offset] === 0 || FRAME_ID_PATTERN.test(readAscii(body, offset, 4));
+};
+
+// Some writers (notably older iTunes) put plain integers where v2.4 requires syncsafe sizes
+const readV24FrameSize = (body, offset) => {
+  const sizeOffset = offset + 4;
+  const hasHighBits = [0, 1, 2, 3].some(i => body[sizeOffset + i] & 0x80);
+  const plain = readUint32BE(body, sizeOffset);
+  if (hasHighBits) return plain;
+
+  const syncsafe = readSyncsafeInt(body, sizeOffset);
+  if (syncsafe === plain || isFrameBoundary(body, offset + 10 + syncsafe)) return syncsafe;
+  if (isFrameBoundary(body, offset + 10 + plain)) return plain;
+  return syncsafe;
+};
+
+const readFrameData = (data, version, formatFlags, tagUnsynchronised) => {
+  let offset = 0;
+
+  if (version === 3) {
+    // Compressed (0x80) and encrypted (0x40) frames cannot be read without the codec
+    if (formatFlags & 0xc0) return null;
+    if (formatFlags & 0x20) offset += 1;
+    return data.subarray(offset);
+  }
+
+  if (formatFlags & 0x0c) return null;
+  if (formatFlags & 0x40) offset += 1;
+  if (formatFlags & 0x01) offset += 4;
+
+  const frameData = data.subarray(offset);
+  return (formatFlags & 0x02) || tagUnsynchronised
+    ? removeUnsynchronisation(frameData)
+    : frameData;
+};
+
+// Returns the total tag length in bytes from a 10-byte ID3v2 header, or 0 if there is no tag
+export const getID3v2Size = (header) => {
+  if (!header || header.length < 10 || readAscii(header, 0, 3) !== 'ID3') return 0;
+
+  const hasFooter = header[3] === 4 && (header[5] & 0x10) !== 0;
+  return 10 + readSyncsafeInt(header, 6) + (hasFooter ? 10 : 0);
+};
+
+// Walk a run of frames; also used for the sub-frames embedded in CHAP and CTOC
+const parseFrames = (body, start, version, unsynchronised) => {
+  const frames = [];
+  const idLength = version === 2 ? 3 : 4;
+  const headerSize = version === 2 ? 6 : 10;
+  let offset = start;
+
+  while (offset + headerSize <= body.length) {
+    const rawId = readAscii(body, offset, idLength);
+    if (!FRAME_ID_PATTERN.test(rawId)) break;
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = readUint24BE(body, offset + 3);
+    } else if (version === 3) {
+      frameSize = readUint32BE(body, offset + 4);
+    } else {
+      frameSize = readV24FrameSize(body, offset);
+    }
+
+    const start = offset + headerSize;
+    const end = start + frameSize;
+    if (frameSize === 0 || end > body.length) break;
+
+    const formatFlags = version === 2 ? 0 : body[offset + 9];
+    const data = readFrameData(body.subarray(start, end), version, formatFlags, unsynchronised);
+
+    if (data) {
+      frames.push({
+        id: version === 2 ? V22_FRAME_IDS[rawId] || rawId : rawId,
+        rawId,
+        data
+      });
+    }
+
+    offset = end;
+  }
+
+  return frames;
+};
+
+export const parseID3v2 = (bytes) => {
+  if (!bytes || bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return null;
+
+  const version = bytes[3];
+  if (version < 2 || version > 4) return null;
+
+  const flags = bytes[5];
+  const unsynchronised = (flags & 0x80) !== 0;
+  const size = readSyncsafeInt(bytes, 6);
+  const tag = {
+    version,
+    revision: bytes[4],
+    size: getID3v2Size(bytes),
+    frames: []
+  };
+
+  // In v2.2 this flag means the whole tag is compressed with an undefined scheme
+  if (version === 2 && (flags & 0x40)) return tag;
+
+  let body = bytes.subarray(10, Math.min(10 + size, bytes.length));
+  if (unsynchronised && version < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  let offset = 0;
+  if (version > 2 && (flags & 0x40) && body.length >= 4) {
+    // v2.3 extended header size excludes its own size field, v2.4 includes it
+    offset = version === 3 ? 4 + readUint32BE(body, 0) : readSyncsafeInt(body, 0);
+  }
+
+  tag.frames = parseFrames(body, offset, version, unsynchronised);
+  return tag;
+};
+
+export const resolveGenre = (value) => {
+  const reference = value.match(/^\((\d+|RX|CR)\)(.*)$/);
+  if (reference) {
+    if (reference[2]) return reference[2].trim();
+    if (reference[1] === 'RX') return 'Remix';
+    if (reference[1] === 'CR') return 'Cover';
+    return ID3V1_GENRES[Number(reference[1])] || null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return ID3V1_GENRES[Number(value)] || value;
+  }
+
+  return value;
+};
+
+// CHAP: element id, start/end times in ms, start/end byte offsets, then embedded frames
+export const decodeChapterFrame = (frame, version) => {
+  const { data } = frame;
+  const idEnd = data.indexOf(0);
+  if (idEnd < 0 || idEnd + 17 > data.length) return null;
+
+  const startTime = readUint32BE(data, idEnd + 1);
+  const endTime = readUint32BE(data, idEnd + 5);
+  const subFrames = parseFrames(data, idEnd + 17, version, false);
+  const titleFrame = subFrames.find(subFrame => subFrame.id === 'TIT2');
+  const [title] = titleFrame ? decodeTextFrame(titleFrame.data) : [];
+
+  return {
+    id: readAscii(data, 0, idEnd),
+    title: title || null,
+    start: startTime / 1000,
+    end: endTime === 0xffffffff ? null : endTime / 1000
+  };
+};
+
+// CTOC: element id, flags, entry count, then the child element ids in order
+export const decodeTableOfContentsFrame = (frame) => {
+  const { data } = frame;
+  const idEnd = data.indexOf(0);
+  if (idEnd < 0 || idEnd + 3 > data.length) return null;
+
+  const flags = data[idEnd + 1];
+  const entryCount = data[idEnd + 2];
+  const children = [];
+  let offset = idEnd + 3;
+
+  for (let i = 0; i < entryCount && offset < data.length; i++) {
+    const child = readID3String(data, offset, 0);
+    children.push(child.text);
+    offset = child.next;
+  }
+
+  return {
+    id: readAscii(data, 0, idEnd),
+    isTopLevel: (flags & 0x02) !== 0,
+    isOrdered: (flags & 0x01) !== 0,
+    children
+  };
+};
+
+export const getID3Chapters = (id3) => {
+  const chapters = id3.frames
+    .filter(frame => frame.id === 'CHAP')
+    .map(frame => decodeChapterFrame(frame, id3.version))
+    .filter(Boolean);
+  if (chapters.length === 0) return null;
+
+  const tables = id3.frames
+    .filter(frame => frame.id === 'CTOC')
+    .map(decodeTableOfContentsFrame)
+    .filter(Boolean);
+  const topLevel = tables.find(table => table.isTopLevel) || tables[0];
+
+  // An ordered top-level table of contents decides which chapters play and in what order
+  if (topLevel && topLevel.isOrdered) {
+    const ordered = topLevel.children
+      .map(id => chapters.find(chapter => chapter.id === id))
+      .filter(Boolean);
+    if (ordered.length > 0) return ordered;
+  }
+
+  return chapters.sort((a, b) => a.start - b.start);
+};
+
+const decodeFirstFrame = (id3, id, decoder) => {
+  for (const frame of id3.frames) {
+    if (frame.id !== id) continue;
+    const value = decoder(frame);
+    if (value) return value;
+  }
+  return null;
+};
+
+export const getID3v2Tags = (id3) => {
+  const tags = createEmptyTags();
+  if (!id3) return tags;
+
+  const textValues = (id) => {
+    const frame = id3.frames.find(f => f.id === id);
+    return frame ? decodeTextFrame(frame.data) : [];
+  };
+
+  const [title] = textValues('TIT2');
+  const [album] = textValues('TALB');
+  const [track] = textValues('TRCK');
+  const [year] = textValues('TYER').concat(textValues('TDRC'));
+  const artists = textValues('TPE1');
+  const genres = textValues('TCON').map(resolveGenre).filter(Boolean);
+
+  tags.title = title || null;
+  tags.artist = joinValues(artists);
+  tags.album = album || null;
+  tags.genre = joinValues(genres);
+  tags.year = parseYear(year);
+  tags.picture = selectPicture(
+    id3.frames
+      .filter(frame => frame.id === 'APIC')
+      .map(decodePictureFrame)
+      .filter(Boolean)
+  );
+  tags.chapters = getID3Chapters(id3);
+
+  const userText = id3.frames
+    .filter(frame => frame.id === 'TXXX')
+    .map(decodeUserTextFrame)
+    .filter(Boolean);
+  tags.replayGain = parseReplayGain(name => (
+    userText.find(entry => entry.description.toUpperCase() === name)?.value
+  ));
+
+  // iTunes writes its gapless info as a comment, other taggers as user text
+  const comments = id3.frames
+    .filter(frame => frame.id === 'COMM')
+    .map(decodeCommentFrame)
+    .filter(Boolean);
+  tags.gapless = parseITunSMPB(
+    [...comments, ...userText].find(entry => entry.description === 'iTunSMPB')?.value
+  );
+  tags.lyrics = decodeFirstFrame(id3, 'SYLT', decodeSyncedLyricsFrame) ||
+    decodeFirstFrame(id3, 'USLT', decodeUnsyncedLyricsFrame);
+  Object.assign(tags, parseTrackNumber(track));
+
+  return tags;
+};
+
+export const parseID3v1 = (bytes) => {
+  if (!bytes || bytes.length < 128) return null;
+
+  const tag = bytes.subarray(bytes.length - 128);
+  if (readAscii(tag, 0, 3) !== 'TAG') return null;
+
+  const field = (start, length) => {
+    const text = decodeText(tag.subarray(start, start + length), 'iso-8859-1');
+    return text.split('\0')[0].trim() || null;
+  };
+
+  // ID3v1.1 steals the last two comment bytes for a zero separator and the track number
+  const hasTrackNumber = tag[125] === 0 && tag[126] !== 0;
+
+  return {
+    ...createEmptyTags(),
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    year: parseYear(field(93, 4)),
+    genre: ID3V1_GENRES[tag[127]] || null,
+    trackNumber: hasTrackNumber ? tag[126] : null
+  };
+};
+
+export const readID3Tags = async (file) => {
+  try {
+    const header = await readFileBytes(file, 0, 10);
+    const tagSize = getID3v2Size(header);
+    let tags = createEmptyTags();
+
+    if (tagSize > 0) {
+      const id3 = parseID3v2(await readFileBytes(file, 0, tagSize));
+      tags = getID3v2Tags(id3);
+    }
+
+    const needsFallback = !tags.title || !tags.artist || !tags.album;
+    if (needsFallback && file.size >= 128) {
+      tags = mergeTags(tags, parseID3v1(await readFileBytes(file, file.size - 128)));
+    }
+
+    return tags;
+  } catch (error) {
+    console.error('Error reading ID3 tags:', error);
+    return createEmptyTags();
+  }
+};
+
+// Room left after the frames so later edits can rewrite the tag in place
+const TAG_PADDING = 1024;
+
+// Frames the editor writes itself, plus v2.3 frames that were replaced or redefined in v2.4
+const REPLACED_FRAME_IDS = [
+  'TIT2', 'TPE1', 'TALB', 'TCON', 'TRCK', 'TDRC',
+  'TYER', 'TDAT', 'TIME', 'TRDA', 'TSIZ', 'TORY', 'RVAD', 'EQUA', 'IPLS'
+];
+
+const encodeFrame = (id, data) => {
+  return concatBytes([encodeAscii(id), encodeSyncsafeInt(data.length), new Uint8Array(2), data]);
+};
+
+// All written text is UTF-8 (encoding 3), with multiple values separated by nulls
+export const encodeTextFrame = (id, values) => {
+  const text = [].concat(values).map(value => String(value)).join('\0');
+  return encodeFrame(id, concatBytes([new Uint8Array([3]), encodeText(text)]));
+};
+
+export const encodePictureFrame = (picture) => {
+  return encodeFrame('APIC', concatBytes([
+    new Uint8Array([3]),
+    encodeAscii(picture.mimeType || 'image/jpeg'),
+    new Uint8Array([0, picture.type ?? PICTURE_TYPES.FRONT_COVER]),
+    encodeText(picture.description || ''),
+    new Uint8Array([0]),
+    picture.data
+  ]));
+};
+
+const getEmbeddedFramesOffset = (frame) => {
+  const { data } = frame;
+  const idEnd = data.indexOf(0);
+  if (idEnd < 0) return -1;
+  if (frame.id === 'CHAP') return idEnd + 17;
+
+  let offset = idEnd + 3;
+  for (let i = 0; i < data[idEnd + 2] && offset < data.length; i++) {
+    offset = readID3String(data, offset, 0).next;
+  }
+  return offset;
+};
+
+// Re-encode a frame read from an older tag so it is valid inside a v2.4 tag
+const upgradeFrame = (frame, version) => {
+  if (frame.id === 'APIC') {
+    const picture = decodePictureFrame(frame);
+    return picture ? encodePictureFrame(picture) : null;
+  }
+
+  // CHAP and CTOC embed whole frames, whose v2.3 sizes are not syncsafe
+  if (version < 4 && (frame.id === 'CHAP' || frame.id === 'CTOC')) {
+    const offset = getEmbeddedFramesOffset(frame);
+    if (offset < 0 || offset > frame.data.length) return null;
+
+    const embedded = parseFrames(frame.data, offset, version, false)
+      .map(subFrame => upgradeFrame(subFrame, version))
+      .filter(Boolean);
+    return encodeFrame(frame.id, concatBytes([frame.data.subarray(0, offset), ...embedded]));
+  }
+
+  return encodeFrame(frame.id, frame.data);
+};
+
+const formatTrackNumber = (tags) => {
+  if (!tags.trackNumber) return null;
+  return tags.trackTotal ? `${tags.trackNumber}/${tags.trackTotal}` : String(tags.trackNumber);
+};
+
+// Build a complete ID3v2.4 tag from edited values. Frames the editor does not cover
+// (lyrics, chapters, comments...) are carried over from `existing`. A `picture` of
+// undefined keeps the existing artwork, null removes it and an object replaces it.
+export const buildID3v2Tag = (tags, existing = null) => {
+  const frames = [];
+  const addText = (id, value) => {
+    if (value === null || value === undefined || String(value).trim() === '') return;
+    frames.push(encodeTextFrame(id, String(value).trim()));
+  };
+
+  addText('TIT2', tags.title);
+  addText('TPE1', tags.artist);
+  addText('TALB', tags.album);
+  addText('TCON', tags.genre);
+  addText('TRCK', formatTrackNumber(tags));
+  addText('TDRC', tags.year);
+
+  if (tags.picture) {
+    frames.push(encodePictureFrame(tags.picture));
+  }
+
+  (existing?.frames || []).forEach(frame => {
+    if (frame.id.length !== 4 || REPLACED_FRAME_IDS.includes(frame.id)) return;
+    if (frame.id === 'APIC' && tags.picture !== undefined) return;
+
+    const encoded = upgradeFrame(frame, existing.version);
+    if (encoded) frames.push(encoded);
+  });
+
+  const body = concatBytes([...frames, new Uint8Array(TAG_PADDING)]);
+  return concatBytes([encodeAscii('ID3'), new Uint8Array([4, 0, 0]), encodeSyncsafeInt(body.length), body]);
+};
+
+// Returns a new Blob with the rewritten tag; the source file is only read
+export const writeID3Tags = async (file, tags) => {
+  try {
+    const header = await readFileBytes(file, 0, 10);
+    const tagSize = getID3v2Size(header);
+    const existing = tagSize > 0 ? parseID3v2(await readFileBytes(file, 0, tagSize)) : null;
+
+    // Drop a trailing ID3v1 tag too, so its stale values cannot resurface as fallbacks
+    let audioEnd = file.size;
+    if (file.size - tagSize >= 128 && parseID3v1(await readFileBytes(file, file.size - 128))) {
+      audioEnd -= 128;
+    }
+
+    return new Blob([buildID3v2Tag(tags, existing), file.slice(tagSize, audioEnd)], { type: 'audio/mpeg' });
+  } catch (error) {
+    console.error('Error writing ID3 tags:', error);
+    return null;
+  }
+};
@@ -0,0 +1,109 @@
+// Musical key estimation from a chromagram correlated against key profiles
+import { getMagnitudeSpectrum, getMonoSamples } from './fftUtils';
+
+const FRAME_SIZE = 8192; // ~5 Hz bins at 44.1 kHz, fine enough to separate semitones in the bass
+const HOP_SIZE = 4096;
+const MIN_FREQUENCY = 55;
+const MAX_FREQUENCY = 2000;
+const MAX_ANALYSIS_SECONDS = 120;
+
+// Krumhansl-Kessler probe-tone profiles, starting from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Spelled the way each key is usually written
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+const getPitchClass = (frequency) => {
+  const midi = 69 + 12 * Math.log2(frequency / 440);
+  return ((Math.round(midi) % 12) + 12) % 12;
+};
+
+// Energy per pitch class, each frame normalized so loud passages do not dominate
+export const getChromagram = (audioBuffer) => {
+  const { sampleRate, length } = audioBuffer;
+  const window = Math.min(length, Math.round(MAX_ANALYSIS_SECONDS * sampleRate));
+  const start = Math.floor((length - window) / 2);
+  const samples = getMonoSamples(audioBuffer, start, start + window);
+
+  const binWidth = sampleRate / FRAME_SIZE;
+  const firstBin = Math.ceil(MIN_FREQUENCY / binWidth);
+  const lastBin = Math.min(FRAME_SIZE / 2 - 1, Math.floor(MAX_FREQUENCY / binWidth));
+  const binPitchClasses = [];
+  for (let bin = firstBin; bin <= lastBin; bin++) {
+    binPitchClasses[bin] = getPitchClass(bin * binWidth);
+  }
+
+  const chroma = new Array(12).fill(0);
+  const frameChroma = new Array(12);
+  const spectrum = new Float32Array(FRAME_SIZE / 2);
+
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    getMagnitudeSpectrum(samples, offset, FRAME_SIZE, spectrum);
+    frameChroma.fill(0);
+
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      frameChroma[binPitchClasses[bin]] += spectrum[bin] * spectrum[bin];
+    }
+
+    const total = frameChroma.reduce((sum, value) => sum + value, 0);
+    if (total > 0) {
+      frameChroma.forEach((value, i) => { chroma[i] += value / total; });
+    }
+  }
+
+  return chroma;
+};
+
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let numerator = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+
+  return varianceA > 0 && varianceB > 0 ? numerator / Math.sqrt(varianceA * varianceB) : 0;
+};
+
+// Camelot wheel: majors are "B", minors "A", and neighbouring numbers are a fifth apart
+export const getCamelotKey = (tonic, mode) => {
+  const relativeMajor = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+  const number = (((relativeMajor * 7) % 12) + 7) % 12 + 1;
+  return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+};
+
+export const getKeyName = (tonic, mode) => {
+  return `${(mode === 'minor' ? MINOR_NAMES : MAJOR_NAMES)[tonic]} ${mode}`;
+};
+
+// Returns { tonic, mode, name, camelot, confidence } or null when there is no tonal content
+export const estimateKey = (audioBuffer) => {
+  const chroma = getChromagram(audioBuffer);
+  if (chroma.every(value => value === 0)) return null;
+
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+    candidates.push({ tonic, mode: 'major', score: correlate(rotated, MAJOR_PROFILE) });
+    candidates.push({ tonic, mode: 'minor', score: correlate(rotated, MINOR_PROFILE) });
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  const [best] = candidates;
+  if (best.score <= 0) return null;
+
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    name: getKeyName(best.tonic, best.mode),
+    camelot: getCamelotKey(best.tonic, best.mode),
+    confidence: Math.round(best.score * 100) / 100
+  };
+};
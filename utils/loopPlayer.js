@@ -0,0 +1,177 @@
+import { getAudioContext, connectSourceNode } from './audioEngine';
+import { trimGaplessPadding } from './gaplessUtils';
+import { getFileKey, decodeAudioFile } from './analysisUtils';
+
+// Head start for the source, so it is scheduled rather than started late
+const START_LATENCY = 0.05;
+
+const getTrackKey = (track) => track.id ?? getFileKey(track.file);
+
+// Plays an A-B region of the decoded track on a looping buffer source, so the jump from B back to
+// A lands on the exact sample. Each pass through the loop can run at its own speed: the rate for
+// the next pass is scheduled on the sample where the loop wraps.
+export const createLoopPlayer = ({ getPassRate, onRateChange, onPass } = {}) => {
+  let decoded = null;
+  let volumeNode = null;
+  let volume = 1;
+  let source = null;
+  let region = null;
+  // Where playback was at a known context time; positions in between are extrapolated from it
+  let anchor = null;
+  let passTimeout = null;
+
+  const getRate = (pass) => getPassRate?.(pass) ?? 1;
+
+  // Only the current track is kept; a loop never spans two
+  const prepare = (track) => {
+    if (!track?.file) return Promise.resolve(null);
+
+    const key = getTrackKey(track);
+    if (decoded?.key === key) return decoded.promise;
+
+    const entry = { key, buffer: null, promise: null };
+    entry.promise = (async () => {
+      try {
+        const context = getAudioContext();
+        if (!context) return null;
+
+        const audioBuffer = await decodeAudioFile(track.file);
+        entry.buffer = trimGaplessPadding(context, audioBuffer, track);
+        return entry.buffer;
+      } catch (error) {
+        console.error('Error decoding track for looping:', error);
+        if (decoded === entry) decoded = null;
+        return null;
+      }
+    })();
+
+    decoded = entry;
+    return entry.promise;
+  };
+
+  const isReady = (track) => Boolean(track && decoded?.buffer && decoded.key === getTrackKey(track));
+
+  const getVolumeNode = () => {
+    const context = getAudioContext();
+    if (volumeNode?.context !== context) {
+      volumeNode = context.createGain();
+      volumeNode.gain.value = volume;
+      connectSourceNode(volumeNode);
+    }
+    return volumeNode;
+  };
+
+  const getPosition = () => {
+    if (!anchor) return null;
+
+    const elapsed = Math.max(0, getAudioContext().currentTime - anchor.time);
+    const position = anchor.position + elapsed * anchor.rate;
+    // The pass timer can fire a little after the wrap
+    return position < region.end ? position : region.start + (position - region.end);
+  };
+
+  const setRateAt = (rate, time) => {
+    source.playbackRate.setValueAtTime(rate, time);
+    onRateChange?.(rate, time);
+  };
+
+  // Plan the end of the current pass and the speed of the next
+  const scheduleWrap = () => {
+    clearTimeout(passTimeout);
+
+    const wrapTime = anchor.time + (region.end - anchor.position) / anchor.rate;
+    const pass = anchor.pass + 1;
+    const rate = getRate(pass);
+    if (rate !== anchor.rate) setRateAt(rate, wrapTime);
+
+    passTimeout = setTimeout(() => {
+      anchor = { time: wrapTime, position: region.start, rate, pass };
+      onPass?.(pass);
+      scheduleWrap();
+    }, Math.max(0, (wrapTime - getAudioContext().currentTime) * 1000));
+  };
+
+  const stop = () => {
+    const position = getPosition();
+
+    clearTimeout(passTimeout);
+    if (source) {
+      try {
+        source.stop();
+      } catch (error) {
+        // Never started
+      }
+      source.disconnect();
+    }
+    source = null;
+    anchor = null;
+    return position;
+  };
+
+  // Start looping from `position`, on the given pass. Returns false if the track is not decoded
+  // yet, so the caller can fall back to the media element.
+  const start = (track, loopRegion, position, pass = 0) => {
+    if (!isReady(track)) return false;
+
+    stop();
+    const context = getAudioContext();
+    const buffer = decoded.buffer;
+    region = {
+      start: Math.min(loopRegion.start, buffer.duration),
+      end: Math.min(loopRegion.end, buffer.duration)
+    };
+    if (region.end <= region.start) return false;
+
+    const offset = position >= region.start && position < region.end ? position : region.start;
+    const time = context.currentTime + START_LATENCY;
+    const rate = getRate(pass);
+
+    source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.loopStart = region.start;
+    source.loopEnd = region.end;
+    source.connect(getVolumeNode());
+    setRateAt(rate, context.currentTime);
+    source.start(time, offset);
+
+    anchor = { time, position: offset, rate, pass };
+    scheduleWrap();
+    return true;
+  };
+
+  // Pick up a change in what getPassRate returns (e.g. the tempo control), optionally restarting
+  // the pass count without interrupting playback
+  const refreshRate = (pass = anchor?.pass) => {
+    if (!anchor) return;
+
+    const time = getAudioContext().currentTime;
+    const position = getPosition();
+    const rate = getRate(pass);
+
+    source.playbackRate.cancelScheduledValues(time);
+    setRateAt(rate, time);
+    anchor = { time, position, rate, pass };
+    scheduleWrap();
+  };
+
+  return {
+    prepare,
+    isReady,
+    start,
+    stop,
+    getPosition,
+    refreshRate,
+    isPlaying: () => Boolean(source),
+    setVolume: (value) => {
+      volume = value;
+      if (volumeNode) volumeNode.gain.value = value;
+    },
+    dispose: () => {
+      stop();
+      decoded = null;
+      volumeNode?.disconnect();
+      volumeNode = null;
+    }
+  };
+};
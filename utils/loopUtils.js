@@ -0,0 +1,79 @@
+import { getFileKey } from './analysisUtils';
+import { loadFromLocalStorage, saveToLocalStorage } from './audioUtils';
+
+// Shorter loops than this are almost always a misclick on the seek bar
+export const MIN_LOOP_DURATION = 0.1;
+export const PRACTICE_SPEED_RANGE = [0.25, 1];
+export const PRACTICE_STEP_RANGE = [0.01, 0.25];
+
+export const DEFAULT_PRACTICE_SETTINGS = {
+  enabled: false,
+  startSpeed: 0.7,
+  step: 0.05
+};
+
+const LOOPS_STORAGE_KEY = 'player_loops';
+// Oldest tracks are dropped past this, so the saved loops never outgrow localStorage
+const MAX_LOOP_TRACKS = 200;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// A and B in order and inside the track. B may be null while only A has been set.
+export const normalizeLoopRegion = (region, duration) => {
+  if (!region || region.start === null || region.start === undefined) return null;
+
+  const maxTime = duration > 0 ? duration : Infinity;
+  let start = clamp(region.start, 0, maxTime);
+  let end = region.end === null || region.end === undefined ? null : clamp(region.end, 0, maxTime);
+
+  if (end !== null && end < start) [start, end] = [end, start];
+  if (end !== null && end - start < MIN_LOOP_DURATION) end = null;
+
+  return { start, end };
+};
+
+export const isLoopActive = (region) => Boolean(region && region.end !== null);
+
+export const isInLoop = (region, time) => isLoopActive(region) && time >= region.start && time < region.end;
+
+// Speed of the given pass through the loop, counting the first as 0
+export const getPracticeSpeed = (settings, pass) => {
+  if (!settings?.enabled) return 1;
+  return Math.min(1, settings.startSpeed + settings.step * pass);
+};
+
+export const normalizePracticeSettings = (settings) => ({
+  enabled: Boolean(settings?.enabled),
+  startSpeed: clamp(Number(settings?.startSpeed) || DEFAULT_PRACTICE_SETTINGS.startSpeed, ...PRACTICE_SPEED_RANGE),
+  step: clamp(Number(settings?.step) || DEFAULT_PRACTICE_SETTINGS.step, ...PRACTICE_STEP_RANGE)
+});
+
+// Saved loops are keyed on the file's name, size and modification date
+export const loadSavedLoops = (file) => {
+  if (!file) return [];
+
+  const stored = loadFromLocalStorage(LOOPS_STORAGE_KEY, {});
+  return stored[getFileKey(file)]?.loops || [];
+};
+
+export const saveLoopsForFile = (file, loops) => {
+  if (!file) return false;
+
+  const key = getFileKey(file);
+  const stored = loadFromLocalStorage(LOOPS_STORAGE_KEY, {});
+  if (loops.length > 0) {
+    stored[key] = { loops, updatedAt: Date.now() };
+  } else {
+    delete stored[key];
+  }
+
+  const keys = Object.keys(stored);
+  if (keys.length > MAX_LOOP_TRACKS) {
+    keys
+      .sort((a, b) => stored[a].updatedAt - stored[b].updatedAt)
+      .slice(0, keys.length - MAX_LOOP_TRACKS)
+      .forEach(oldKey => delete stored[oldKey]);
+  }
+
+  return saveToLocalStorage(LOOPS_STORAGE_KEY, stored);
+};
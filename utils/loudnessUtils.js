@@ -0,0 +1,168 @@
+// ReplayGain/R128 tag parsing, ITU-R BS.1770 loudness measurement and normalization gain
+export const REPLAYGAIN_REFERENCE_LUFS = -18;
+const R128_REFERENCE_LUFS = -23;
+
+const BLOCK_STEPS = 4; // 400 ms gating blocks built from 100 ms steps (75% overlap)
+const STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+export const DEFAULT_LOUDNESS_SETTINGS = {
+  enabled: true,
+  mode: 'track',
+  targetLufs: REPLAYGAIN_REFERENCE_LUFS,
+  preventClipping: true
+};
+
+const parseNumber = (value) => {
+  const match = value && String(value).match(/[-+]?\d*\.?\d+/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+const parsePeak = (value) => {
+  const peak = parseNumber(value);
+  return peak > 0 ? peak : null;
+};
+
+// Opus stores R128 gains as Q7.8 fixed point relative to -23 LUFS; rebase them onto ReplayGain's -18
+const parseR128Gain = (value) => {
+  const gain = parseInt(value, 10);
+  return isNaN(gain) ? null : gain / 256 + (REPLAYGAIN_REFERENCE_LUFS - R128_REFERENCE_LUFS);
+};
+
+// `getValue` looks up a tag by its upper-case Vorbis comment name, e.g. REPLAYGAIN_TRACK_GAIN
+export const parseReplayGain = (getValue) => {
+  const trackGain = parseNumber(getValue('REPLAYGAIN_TRACK_GAIN')) ?? parseR128Gain(getValue('R128_TRACK_GAIN'));
+  const albumGain = parseNumber(getValue('REPLAYGAIN_ALBUM_GAIN')) ?? parseR128Gain(getValue('R128_ALBUM_GAIN'));
+  if (trackGain === null && albumGain === null) return null;
+
+  return {
+    trackGain,
+    trackPeak: parsePeak(getValue('REPLAYGAIN_TRACK_PEAK')),
+    albumGain,
+    albumPeak: parsePeak(getValue('REPLAYGAIN_ALBUM_PEAK'))
+  };
+};
+
+// K-weighting pre-filter: a high shelf modelling the head, then the RLB high-pass.
+// Derived for any sample rate; at 48 kHz these match the coefficients in BS.1770.
+const getKWeightingFilters = (sampleRate) => {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+// Surround channels count 1.41x and the LFE is ignored (Web Audio 5.1 order: L R C LFE SL SR)
+const getChannelWeight = (channel, channelCount) => {
+  if (channelCount !== 6) return 1;
+  if (channel === 3) return 0;
+  return channel >= 4 ? 1.41 : 1;
+};
+
+const toLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+// Integrated loudness in LUFS (null for silence) and the sample peak as a linear value
+export const measureLoudness = (audioBuffer) => {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const stepSize = Math.round(sampleRate * STEP_SECONDS);
+  const stepCount = Math.floor(length / stepSize);
+  const stepEnergy = new Float64Array(stepCount);
+  const [shelf, highPass] = getKWeightingFilters(sampleRate);
+  const measuredLength = stepCount * stepSize;
+  let peak = 0;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const weight = getChannelWeight(channel, numberOfChannels);
+    const data = audioBuffer.getChannelData(channel);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    let z1 = 0, z2 = 0;
+
+    for (let i = 0; i < length; i++) {
+      const x = data[i];
+      const level = Math.abs(x);
+      if (level > peak) peak = level;
+      if (weight === 0 || i >= measuredLength) continue;
+
+      // Two direct form I biquads in series
+      const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+      x2 = x1; x1 = x;
+      const z = y - 2 * y1 + y2 - highPass.a[0] * z1 - highPass.a[1] * z2;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+
+      stepEnergy[Math.floor(i / stepSize)] += weight * z * z;
+    }
+  }
+
+  const blockPowers = [];
+  for (let step = 0; step + BLOCK_STEPS <= stepCount; step++) {
+    let energy = 0;
+    for (let j = step; j < step + BLOCK_STEPS; j++) energy += stepEnergy[j];
+    blockPowers.push(energy / (BLOCK_STEPS * stepSize));
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const audible = blockPowers.filter(power => toLoudness(power) > ABSOLUTE_GATE_LUFS);
+  if (audible.length === 0) return { integratedLoudness: null, peak };
+
+  const relativeGate = toLoudness(mean(audible)) + RELATIVE_GATE_LU;
+  const gated = audible.filter(power => toLoudness(power) > relativeGate);
+
+  return {
+    integratedLoudness: toLoudness(mean(gated.length > 0 ? gated : audible)),
+    peak
+  };
+};
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Gain in dB that brings the track to the target loudness, preferring tagged values over
+// our own analysis and falling back to track values when album ones are missing
+export const getNormalizationGain = (track, settings = DEFAULT_LOUDNESS_SETTINGS) => {
+  const { replayGain, loudness } = track || {};
+  let gainDb = null;
+  let peak = null;
+  let source = null;
+
+  if (replayGain) {
+    const useAlbum = settings.mode === 'album' && replayGain.albumGain !== null;
+    gainDb = (useAlbum ? replayGain.albumGain : replayGain.trackGain ?? replayGain.albumGain) +
+      settings.targetLufs - REPLAYGAIN_REFERENCE_LUFS;
+    peak = useAlbum ? replayGain.albumPeak : replayGain.trackPeak ?? replayGain.albumPeak;
+    source = useAlbum ? 'album gain' : 'track gain';
+  } else if (loudness?.integratedLoudness != null) {
+    gainDb = settings.targetLufs - loudness.integratedLoudness;
+    peak = loudness.peak;
+    source = 'analysis';
+  }
+
+  if (gainDb === null) return null;
+
+  // Never push the loudest sample past full scale
+  const headroom = peak > 0 ? -20 * Math.log10(peak) : Infinity;
+  const isLimited = settings.preventClipping && gainDb > headroom;
+
+  return {
+    gainDb: isLimited ? headroom : gainDb,
+    source,
+    isLimited
+  };
+};
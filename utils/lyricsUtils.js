@@ -0,0 +1,174 @@
+// LRC parsing and lyric timing helpers for the synchronized lyrics panel
+const TIME_TAG_PATTERN = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TAG_PATTERN = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const METADATA_TAG_PATTERN = /^\[([a-z#]+):(.*)\]$/i;
+
+const toSeconds = (minutes, seconds, fraction) => {
+  // Fractions may be hundredths (xx) or milliseconds (xxx)
+  const fractionSeconds = fraction ? parseInt(fraction, 10) / Math.pow(10, fraction.length) : 0;
+  return parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + fractionSeconds;
+};
+
+// Text ahead of the first word tag (e.g. "Hello <00:01.50>world") is a word of its own,
+// starting with the line
+const parseWords = (text, lineTime, offsetSeconds) => {
+  const matches = Array.from(text.matchAll(WORD_TAG_PATTERN));
+  if (matches.length === 0) return null;
+
+  const words = matches.map((match, i) => {
+    const start = match.index + match[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    return {
+      time: Math.max(0, toSeconds(match[1], match[2], match[3]) - offsetSeconds),
+      text: text.slice(start, end)
+    };
+  });
+
+  const leading = text.slice(0, matches[0].index);
+  if (leading.trim()) {
+    words.unshift({ time: lineTime, text: leading });
+  }
+
+  return words.filter(word => word.text.length > 0);
+};
+
+export const hasLrcTimestamps = (text) => {
+  return /\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/.test(text || '');
+};
+
+export const parseLrc = (text) => {
+  const metadata = {};
+  const lines = [];
+  const rawLines = (text || '').split(/\r?\n/);
+
+  // The offset tag applies to the whole file, wherever it appears
+  rawLines.forEach(line => {
+    const tag = line.trim().match(METADATA_TAG_PATTERN);
+    if (tag && !/^\d/.test(tag[1])) {
+      metadata[tag[1].toLowerCase()] = tag[2].trim();
+    }
+  });
+
+  // A positive offset makes the lyrics appear sooner
+  const offsetSeconds = (parseInt(metadata.offset, 10) || 0) / 1000;
+
+  rawLines.forEach(rawLine => {
+    const line = rawLine.trim();
+    const times = Array.from(line.matchAll(TIME_TAG_PATTERN));
+    if (times.length === 0) return;
+
+    const body = line.slice(times[times.length - 1].index + times[times.length - 1][0].length);
+    const lineText = body.replace(WORD_TAG_PATTERN, '').trim();
+
+    // A line may repeat under several timestamps, e.g. a chorus
+    times.forEach(match => {
+      const time = Math.max(0, toSeconds(match[1], match[2], match[3]) - offsetSeconds);
+      lines.push({
+        time,
+        text: lineText,
+        words: parseWords(body, time, offsetSeconds)
+      });
+    });
+  });
+
+  lines.sort((a, b) => a.time - b.time);
+
+  return {
+    synced: lines.length > 0,
+    lines,
+    metadata
+  };
+};
+
+// Plain lyrics text, which may still hold LRC timestamps that some taggers embed verbatim
+export const parseLyrics = (text) => {
+  if (!text || !text.trim()) return null;
+  if (hasLrcTimestamps(text)) return parseLrc(text);
+
+  return {
+    synced: false,
+    lines: text.split(/\r?\n/).map(line => ({ time: null, text: line.trim(), words: null })),
+    metadata: {}
+  };
+};
+
+// Build lyrics from SYLT entries, where a leading newline starts a new line and
+// other entries are syllables or words continuing the current one
+export const buildSyncedLyrics = (entries) => {
+  const lines = [];
+
+  entries.forEach(entry => {
+    const startsLine = lines.length === 0 || /^[\r\n]/.test(entry.text);
+    const text = entry.text.replace(/^[\r\n]+/, '');
+
+    if (startsLine) {
+      lines.push({ time: entry.time, text: '', words: [] });
+    }
+
+    const line = lines[lines.length - 1];
+    line.text += text;
+    line.words.push({ time: entry.time, text });
+  });
+
+  lines.forEach(line => {
+    line.text = line.text.trim();
+    if (line.words.length <= 1) line.words = null;
+  });
+
+  return lines.length > 0 ? { synced: true, lines, metadata: {} } : null;
+};
+
+// SYLT may count time in MPEG frames instead of milliseconds; convert once the stream is known
+export const resolveFrameTimestamps = (lyrics, audioInfo) => {
+  if (!lyrics || !lyrics.frameBased) return lyrics;
+
+  const samplesPerFrame = audioInfo?.version === 'MPEG-1' ? 1152 : 576;
+  const secondsPerFrame = audioInfo?.sampleRate ? samplesPerFrame / audioInfo.sampleRate : 1152 / 44100;
+  const toTime = (frames) => frames * secondsPerFrame;
+
+  return {
+    ...lyrics,
+    frameBased: false,
+    lines: lyrics.lines.map(line => ({
+      ...line,
+      time: toTime(line.time),
+      words: line.words && line.words.map(word => ({ ...word, time: toTime(word.time) }))
+    }))
+  };
+};
+
+export const findSidecarLyrics = (audioFile, files) => {
+  const baseName = audioFile.name.replace(/\.[^/.]+$/, '').toLowerCase();
+  return files.find(file => (
+    /\.lrc$/i.test(file.name) &&
+    file.name.replace(/\.[^/.]+$/, '').toLowerCase() === baseName
+  )) || null;
+};
+
+export const readLyricsFile = async (file) => {
+  try {
+    return parseLyrics(await file.text());
+  } catch (error) {
+    console.error('Error reading lyrics file:', error);
+    return null;
+  }
+};
+
+// Index of the line being sung at `time`, or -1 before the first line
+export const getActiveLineIndex = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let active = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (lines[mid].time <= time) {
+      active = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return active;
+};
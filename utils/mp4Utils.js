@@ -0,0 +1,379 @@
+// MP4/M4A atom walking and iTunes-style ilst metadata reading
+import { readFileBytes, readUint16BE, readUint32BE, readAscii, decodeText } from './binaryUtils';
+import { ID3V1_GENRES } from './id3Utils';
+import { createEmptyTags, parseYear, joinValues, PICTURE_TYPES } from './tagUtils';
+import { parseLyrics } from './lyricsUtils';
+import { parseReplayGain } from './loudnessUtils';
+import { parseITunSMPB } from './gaplessUtils';
+
+// Well-known type indicators from the `data` atom
+export const MP4_DATA_TYPES = {
+  IMPLICIT: 0,
+  UTF8: 1,
+  UTF16: 2,
+  JPEG: 13,
+  PNG: 14,
+  INTEGER: 21,
+  BMP: 27
+};
+
+const COVER_MIME_TYPES = {
+  [MP4_DATA_TYPES.JPEG]: 'image/jpeg',
+  [MP4_DATA_TYPES.PNG]: 'image/png',
+  [MP4_DATA_TYPES.BMP]: 'image/bmp'
+};
+
+export const readAtomHeader = (bytes, offset, limit = bytes.length) => {
+  if (offset + 8 > limit) return null;
+
+  let size = readUint32BE(bytes, offset);
+  const type = readAscii(bytes, offset + 4, 4);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > limit) return null;
+    size = readUint32BE(bytes, offset + 8) * 0x100000000 + readUint32BE(bytes, offset + 12);
+    headerSize = 16;
+  } else if (size === 0) {
+    // Zero means the atom runs to the end of its container
+    size = limit - offset;
+  }
+
+  if (size < headerSize) return null;
+
+  return { type, offset, size, headerSize, dataOffset: offset + headerSize, end: offset + size };
+};
+
+export const getChildAtoms = (bytes, start, end) => {
+  const atoms = [];
+  let offset = start;
+
+  while (offset < end) {
+    const atom = readAtomHeader(bytes, offset, end);
+    if (!atom || atom.end > end) break;
+    atoms.push(atom);
+    offset = atom.end;
+  }
+
+  return atoms;
+};
+
+export const findChildAtom = (bytes, start, end, type) => {
+  return getChildAtoms(bytes, start, end).find(atom => atom.type === type) || null;
+};
+
+// `meta` is a full box with a version/flags word before its children, except in
+// some QuickTime files where the first child (`hdlr`) follows immediately
+const getContainerSkip = (bytes, atom) => {
+  if (atom.type !== 'meta') return 0;
+  return readAscii(bytes, atom.dataOffset + 4, 4) === 'hdlr' ? 0 : 4;
+};
+
+// Follow a path such as ['udta', 'meta', 'ilst'] down from a container
+export const findAtomPath = (bytes, start, end, path) => {
+  let atom = null;
+  let childStart = start;
+  let childEnd = end;
+
+  for (const type of path) {
+    atom = findChildAtom(bytes, childStart, childEnd, type);
+    if (!atom) return null;
+
+    childStart = atom.dataOffset + getContainerSkip(bytes, atom);
+    childEnd = atom.end;
+  }
+
+  return atom ? { ...atom, childStart } : null;
+};
+
+// Top-level atoms are scanned through the file so a large `mdat` is never read
+export const findTopLevelAtom = async (file, type) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readFileBytes(file, offset, Math.min(offset + 16, file.size));
+    const atom = readAtomHeader(header, 0, file.size - offset);
+    if (!atom) return null;
+
+    if (atom.type === type) {
+      return { ...atom, offset, dataOffset: offset + atom.headerSize, end: offset + atom.size };
+    }
+
+    offset += atom.size;
+  }
+
+  return null;
+};
+
+const readFreeformName = (bytes, atom) => {
+  // mean and name are full boxes: skip version/flags
+  return decodeText(bytes.subarray(atom.dataOffset + 4, atom.end), 'utf-8');
+};
+
+export const parseIlst = (bytes, start, end) => {
+  return getChildAtoms(bytes, start, end).map(item => {
+    const children = getChildAtoms(bytes, item.dataOffset, item.end);
+    let key = item.type;
+
+    if (item.type === '----') {
+      const mean = children.find(atom => atom.type === 'mean');
+      const name = children.find(atom => atom.type === 'name');
+      key = `----:${mean ? readFreeformName(bytes, mean) : ''}:${name ? readFreeformName(bytes, name) : ''}`;
+    }
+
+    const values = children
+      .filter(atom => atom.type === 'data' && atom.size >= 16)
+      .map(atom => ({
+        type: readUint32BE(bytes, atom.dataOffset) & 0xffffff,
+        data: bytes.subarray(atom.dataOffset + 8, atom.end)
+      }));
+
+    return { key, values };
+  });
+};
+
+export const decodeMp4Text = (value) => {
+  if (!value) return null;
+  const encoding = value.type === MP4_DATA_TYPES.UTF16 ? 'utf-16be' : 'utf-8';
+  return decodeText(value.data, encoding).trim() || null;
+};
+
+export const getMp4Tags = (items) => {
+  const tags = createEmptyTags();
+  if (!items) return tags;
+
+  const values = (key) => items.filter(item => item.key === key).flatMap(item => item.values);
+  const text = (key) => decodeMp4Text(values(key)[0]);
+
+  tags.title = text('\xa9nam');
+  tags.artist = joinValues(values('\xa9ART').map(decodeMp4Text));
+  tags.album = text('\xa9alb');
+  tags.year = parseYear(text('\xa9day'));
+  tags.lyrics = parseLyrics(text('\xa9lyr'));
+  const freeform = (name) => (
+    decodeMp4Text(items.find(item => item.key.toUpperCase() === `----:COM.APPLE.ITUNES:${name}`)?.values[0])
+  );
+  tags.replayGain = parseReplayGain(freeform);
+  tags.gapless = parseITunSMPB(freeform('ITUNSMPB'));
+
+  const genre = text('\xa9gen');
+  const [genreIndex] = values('gnre');
+  if (genre) {
+    tags.genre = genre;
+  } else if (genreIndex && genreIndex.data.length >= 2) {
+    // gnre stores the ID3v1 genre index plus one
+    tags.genre = ID3V1_GENRES[readUint16BE(genreIndex.data, 0) - 1] || null;
+  }
+
+  // covr carries no picture type; iTunes treats the first image as the front cover
+  const [cover] = values('covr');
+  if (cover && cover.data.length > 0) {
+    tags.picture = {
+      type: PICTURE_TYPES.FRONT_COVER,
+      mimeType: COVER_MIME_TYPES[cover.type] || 'image/jpeg',
+      description: '',
+      data: cover.data
+    };
+  }
+
+  const [track] = values('trkn');
+  if (track && track.data.length >= 6) {
+    tags.trackNumber = readUint16BE(track.data, 2) || null;
+    tags.trackTotal = readUint16BE(track.data, 4) || null;
+  }
+
+  return tags;
+};
+
+// tkhd and mdhd are full boxes whose 64-bit (version 1) form widens the timestamps
+const readVersionedField = (bytes, atom, v0Offset, v1Offset) => {
+  const version = bytes[atom.dataOffset];
+  return readUint32BE(bytes, atom.dataOffset + (version === 1 ? v1Offset : v0Offset));
+};
+
+const getTrackId = (bytes, trak) => {
+  const tkhd = findChildAtom(bytes, trak.dataOffset, trak.end, 'tkhd');
+  return tkhd ? readVersionedField(bytes, tkhd, 12, 20) : null;
+};
+
+const getChapterTrackIds = (bytes, trak) => {
+  const chap = findAtomPath(bytes, trak.dataOffset, trak.end, ['tref', 'chap']);
+  if (!chap) return [];
+
+  const ids = [];
+  for (let offset = chap.dataOffset; offset + 4 <= chap.end; offset += 4) {
+    ids.push(readUint32BE(bytes, offset));
+  }
+  return ids;
+};
+
+// Resolve every sample's file offset, size and start time from the stbl tables
+export const readSampleTable = (bytes, stbl) => {
+  const child = (type) => findChildAtom(bytes, stbl.childStart, stbl.end, type);
+  const stts = child('stts');
+  const stsz = child('stsz');
+  const stsc = child('stsc');
+  const chunkOffsets = child('stco') || child('co64');
+  if (!stts || !stsz || !stsc || !chunkOffsets) return [];
+
+  const uniformSize = readUint32BE(bytes, stsz.dataOffset + 4);
+  const sampleCount = readUint32BE(bytes, stsz.dataOffset + 8);
+  const samples = [];
+  for (let i = 0; i < sampleCount; i++) {
+    samples.push({
+      size: uniformSize || readUint32BE(bytes, stsz.dataOffset + 12 + i * 4),
+      offset: 0,
+      time: 0,
+      duration: 0
+    });
+  }
+
+  let sampleIndex = 0;
+  let time = 0;
+  const timeEntries = readUint32BE(bytes, stts.dataOffset + 4);
+  for (let i = 0; i < timeEntries; i++) {
+    const count = readUint32BE(bytes, stts.dataOffset + 8 + i * 8);
+    const delta = readUint32BE(bytes, stts.dataOffset + 12 + i * 8);
+    for (let j = 0; j < count && sampleIndex < samples.length; j++) {
+      samples[sampleIndex].time = time;
+      samples[sampleIndex].duration = delta;
+      time += delta;
+      sampleIndex++;
+    }
+  }
+
+  const is64Bit = chunkOffsets.type === 'co64';
+  const chunkCount = readUint32BE(bytes, chunkOffsets.dataOffset + 4);
+  const readChunkOffset = (chunk) => {
+    const position = chunkOffsets.dataOffset + 8 + chunk * (is64Bit ? 8 : 4);
+    return is64Bit
+      ? readUint32BE(bytes, position) * 0x100000000 + readUint32BE(bytes, position + 4)
+      : readUint32BE(bytes, position);
+  };
+
+  const chunkRuns = [];
+  const runCount = readUint32BE(bytes, stsc.dataOffset + 4);
+  for (let i = 0; i < runCount; i++) {
+    chunkRuns.push({
+      firstChunk: readUint32BE(bytes, stsc.dataOffset + 8 + i * 12),
+      samplesPerChunk: readUint32BE(bytes, stsc.dataOffset + 12 + i * 12)
+    });
+  }
+
+  sampleIndex = 0;
+  let run = 0;
+  for (let chunk = 0; chunk < chunkCount && sampleIndex < samples.length; chunk++) {
+    // stsc chunk numbers are 1-based
+    while (run + 1 < chunkRuns.length && chunkRuns[run + 1].firstChunk <= chunk + 1) run++;
+
+    let offset = readChunkOffset(chunk);
+    const samplesInChunk = chunkRuns[run] ? chunkRuns[run].samplesPerChunk : 0;
+    for (let i = 0; i < samplesInChunk && sampleIndex < samples.length; i++) {
+      samples[sampleIndex].offset = offset;
+      offset += samples[sampleIndex].size;
+      sampleIndex++;
+    }
+  }
+
+  return samples;
+};
+
+// Each text sample is a 16-bit length followed by UTF-8, or UTF-16 with a BOM
+const decodeChapterSample = (bytes) => {
+  if (bytes.length < 2) return null;
+
+  const length = readUint16BE(bytes, 0);
+  const text = bytes.subarray(2, 2 + length);
+  const isUtf16 = text[0] === 0xfe && text[1] === 0xff;
+  return decodeText(isUtf16 ? text.subarray(2) : text, isUtf16 ? 'utf-16be' : 'utf-8').trim() || null;
+};
+
+// QuickTime chapters: an audio track's tref/chap points at a text track of titles
+const readChapterTrack = async (file, moov) => {
+  const { dataOffset } = readAtomHeader(moov, 0);
+  const traks = getChildAtoms(moov, dataOffset, moov.length).filter(atom => atom.type === 'trak');
+  const chapterIds = traks.flatMap(trak => getChapterTrackIds(moov, trak));
+  const chapterTrak = traks.find(trak => chapterIds.includes(getTrackId(moov, trak)));
+  if (!chapterTrak) return null;
+
+  const mdhd = findAtomPath(moov, chapterTrak.dataOffset, chapterTrak.end, ['mdia', 'mdhd']);
+  const stbl = findAtomPath(moov, chapterTrak.dataOffset, chapterTrak.end, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return null;
+
+  const timescale = readVersionedField(moov, mdhd, 12, 20) || 1;
+  const samples = readSampleTable(moov, stbl);
+  const chapters = [];
+
+  for (const [index, sample] of samples.entries()) {
+    const data = await readFileBytes(file, sample.offset, sample.offset + sample.size);
+    chapters.push({
+      id: `chapter-${index + 1}`,
+      title: decodeChapterSample(data),
+      start: sample.time / timescale,
+      end: (sample.time + sample.duration) / timescale
+    });
+  }
+
+  return chapters.length > 0 ? chapters : null;
+};
+
+// Nero chapters: moov/udta/chpl with 100ns start times and length-prefixed titles
+const readChplChapters = (moov) => {
+  const { dataOffset } = readAtomHeader(moov, 0);
+  const chpl = findAtomPath(moov, dataOffset, moov.length, ['udta', 'chpl']);
+  if (!chpl) return null;
+
+  const version = moov[chpl.dataOffset];
+  let offset = chpl.dataOffset + 4 + (version === 1 ? 4 : 0);
+  const count = moov[offset];
+  offset += 1;
+
+  const chapters = [];
+  for (let i = 0; i < count && offset + 9 <= chpl.end; i++) {
+    const start = (readUint32BE(moov, offset) * 0x100000000 + readUint32BE(moov, offset + 4)) / 1e7;
+    const titleLength = moov[offset + 8];
+    const title = decodeText(moov.subarray(offset + 9, offset + 9 + titleLength), 'utf-8');
+    chapters.push({ id: `chapter-${i + 1}`, title: title.trim() || null, start, end: null });
+    offset += 9 + titleLength;
+  }
+
+  return chapters.length > 0 ? chapters.sort((a, b) => a.start - b.start) : null;
+};
+
+export const readMp4Chapters = async (file, moov) => {
+  try {
+    return (await readChapterTrack(file, moov)) || readChplChapters(moov);
+  } catch (error) {
+    console.error('Error reading MP4 chapters:', error);
+    return null;
+  }
+};
+
+export const readMp4Metadata = async (file) => {
+  const moov = await findTopLevelAtom(file, 'moov');
+  if (!moov) return null;
+
+  const bytes = await readFileBytes(file, moov.offset, moov.end);
+  const ilst = findAtomPath(bytes, moov.headerSize, bytes.length, ['udta', 'meta', 'ilst']) ||
+    findAtomPath(bytes, moov.headerSize, bytes.length, ['meta', 'ilst']);
+
+  return {
+    moov: bytes,
+    items: ilst ? parseIlst(bytes, ilst.childStart, ilst.end) : []
+  };
+};
+
+export const readMp4Tags = async (file) => {
+  try {
+    const metadata = await readMp4Metadata(file);
+    if (!metadata) return createEmptyTags();
+
+    return {
+      ...getMp4Tags(metadata.items),
+      chapters: await readMp4Chapters(file, metadata.moov)
+    };
+  } catch (error) {
+    console.error('Error reading MP4 tags:', error);
+    return createEmptyTags();
+  }
+};
@@ -0,0 +1,393 @@
+// MPEG audio frame parsing for accurate MP3 duration, stream info and seeking
+import { readFileBytes, readUint16BE, readUint32BE, readAscii } from './binaryUtils';
+import { getID3v2Size } from './id3Utils';
+
+const MPEG_VERSIONS = ['MPEG-2.5', null, 'MPEG-2', 'MPEG-1'];
+const LAYERS = [null, 3, 2, 1];
+const CHANNEL_MODES = ['Stereo', 'Joint stereo', 'Dual channel', 'Mono'];
+
+// kbps, indexed by [isMpeg1 ? 0 : 1][layer - 1][bitrate index]
+const BITRATES = [
+  [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ],
+  [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+];
+
+const SAMPLE_RATES = {
+  'MPEG-1': [44100, 48000, 32000],
+  'MPEG-2': [22050, 24000, 16000],
+  'MPEG-2.5': [11025, 12000, 8000]
+};
+
+const SCAN_CHUNK_SIZE = 1024 * 1024;
+
+// Keep roughly one seek point per second of audio from a full scan
+const SCAN_SEEK_INTERVAL = 1;
+
+export const parseFrameHeader = (bytes, offset) => {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const version = MPEG_VERSIONS[(bytes[offset + 1] >> 3) & 0x03];
+  const layer = LAYERS[(bytes[offset + 1] >> 1) & 0x03];
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = version === 'MPEG-1';
+  const bitrate = BITRATES[isMpeg1 ? 0 : 1][layer - 1][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channelModeIndex = bytes[offset + 3] >> 6;
+
+  let frameLength;
+  let samplesPerFrame;
+  if (layer === 1) {
+    frameLength = (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4;
+    samplesPerFrame = 384;
+  } else {
+    const coefficient = layer === 3 && !isMpeg1 ? 72 : 144;
+    frameLength = Math.floor((coefficient * bitrate * 1000) / sampleRate) + padding;
+    samplesPerFrame = layer === 3 && !isMpeg1 ? 576 : 1152;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channelMode: CHANNEL_MODES[channelModeIndex],
+    channels: channelModeIndex === 3 ? 1 : 2,
+    hasCrc: (bytes[offset + 1] & 0x01) === 0,
+    frameLength,
+    samplesPerFrame
+  };
+};
+
+const isSameStream = (a, b) => {
+  return a && b && a.version === b.version && a.layer === b.layer && a.sampleRate === b.sampleRate;
+};
+
+// A sync word can occur by chance in junk data, so require the following frame to agree
+export const findFirstFrame = (bytes, start = 0) => {
+  for (let offset = start; offset + 4 <= bytes.length; offset++) {
+    const header = parseFrameHeader(bytes, offset);
+    if (!header) continue;
+
+    const nextOffset = offset + header.frameLength;
+    if (nextOffset + 4 > bytes.length || isSameStream(header, parseFrameHeader(bytes, nextOffset))) {
+      return { offset, header };
+    }
+  }
+
+  return null;
+};
+
+const getSideInfoSize = (header) => {
+  if (header.version === 'MPEG-1') return header.channels === 1 ? 17 : 32;
+  return header.channels === 1 ? 9 : 17;
+};
+
+export const parseXingHeader = (bytes, frameOffset, header) => {
+  const offset = frameOffset + 4 + (header.hasCrc ? 2 : 0) + getSideInfoSize(header);
+  const tag = readAscii(bytes, offset, 4);
+  if (tag !== 'Xing' && tag !== 'Info') return null;
+
+  const flags = readUint32BE(bytes, offset + 4);
+  let position = offset + 8;
+  const xing = { type: tag, frames: null, bytes: null, toc: null, offset };
+
+  if (flags & 0x01) {
+    xing.frames = readUint32BE(bytes, position);
+    position += 4;
+  }
+  if (flags & 0x02) {
+    xing.bytes = readUint32BE(bytes, position);
+    position += 4;
+  }
+  if (flags & 0x04) {
+    xing.toc = Array.from(bytes.subarray(position, position + 100));
+    position += 100;
+  }
+  if (flags & 0x08) {
+    // VBR quality
+    position += 4;
+  }
+  xing.extensionOffset = position;
+
+  return xing;
+};
+
+// Encoders that write a LAME-style extension after the Xing fields
+const LAME_TAG_ENCODERS = ['LAME', 'Lavc', 'Lavf', 'GOGO'];
+
+// The LAME extension stores the encoder delay and end padding as two 12-bit values, 21 bytes in
+export const parseLameHeader = (bytes, xing) => {
+  const offset = xing.extensionOffset;
+  if (offset + 24 > bytes.length) return null;
+  if (!LAME_TAG_ENCODERS.includes(readAscii(bytes, offset, 4))) return null;
+
+  const delayAndPadding = (bytes[offset + 21] << 16) | (bytes[offset + 22] << 8) | bytes[offset + 23];
+  return {
+    encoder: readAscii(bytes, offset, 9).replace(/\0.*$/, '').trim(),
+    encoderDelay: delayAndPadding >> 12,
+    encoderPadding: delayAndPadding & 0xfff
+  };
+};
+
+export const parseVbriHeader = (bytes, frameOffset) => {
+  // VBRI always sits 32 bytes after the frame header
+  const offset = frameOffset + 36;
+  if (readAscii(bytes, offset, 4) !== 'VBRI') return null;
+
+  const entryCount = readUint16BE(bytes, offset + 18);
+  const scale = readUint16BE(bytes, offset + 20);
+  const entrySize = readUint16BE(bytes, offset + 22);
+  const framesPerEntry = readUint16BE(bytes, offset + 24);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = offset + 26 + i * entrySize;
+    let value = 0;
+    for (let j = 0; j < entrySize; j++) {
+      value = value * 256 + bytes[entryOffset + j];
+    }
+    entries.push(value * scale);
+  }
+
+  return {
+    bytes: readUint32BE(bytes, offset + 10),
+    frames: readUint32BE(bytes, offset + 14),
+    framesPerEntry,
+    entries
+  };
+};
+
+const getAudioEnd = async (file) => {
+  if (file.size < 128) return file.size;
+  const tail = await readFileBytes(file, file.size - 128);
+  return readAscii(tail, 0, 3) === 'TAG' ? file.size - 128 : file.size;
+};
+
+const buildXingSeekTable = (xing, audioStart, audioBytes, duration) => {
+  if (!xing.toc) return [];
+
+  // Each entry is the byte position, in 1/256ths of the stream, at that percent of the duration
+  return xing.toc.map((value, percent) => ({
+    time: (percent / 100) * duration,
+    offset: audioStart + Math.round((value / 256) * audioBytes)
+  }));
+};
+
+const buildVbriSeekTable = (vbri, audioStart, secondsPerFrame) => {
+  const seekTable = [{ time: 0, offset: audioStart }];
+  let offset = audioStart;
+
+  vbri.entries.forEach((entryBytes, i) => {
+    offset += entryBytes;
+    seekTable.push({ time: (i + 1) * vbri.framesPerEntry * secondsPerFrame, offset });
+  });
+
+  return seekTable;
+};
+
+// Walk every frame header in the file, reading it in chunks
+const scanFrames = async (file, audioStart, audioEnd, firstHeader) => {
+  const seekTable = [];
+  let offset = audioStart;
+  let frameCount = 0;
+  let sampleCount = 0;
+  let bitrateSum = 0;
+  let isVbr = false;
+  let nextSeekTime = 0;
+
+  while (offset < audioEnd) {
+    const chunkEnd = Math.min(offset + SCAN_CHUNK_SIZE, audioEnd);
+    const chunk = await readFileBytes(file, offset, chunkEnd);
+    let position = 0;
+
+    while (position + 4 <= chunk.length) {
+      const header = parseFrameHeader(chunk, position);
+
+      if (!isSameStream(header, firstHeader)) {
+        // Lost sync: skip ahead to the next plausible frame
+        const next = findFirstFrame(chunk, position + 1);
+        if (!next) {
+          position = chunk.length;
+          break;
+        }
+        position = next.offset;
+        continue;
+      }
+
+      if (position + header.frameLength > chunk.length && chunkEnd < audioEnd) break;
+
+      const time = sampleCount / header.sampleRate;
+      if (time >= nextSeekTime) {
+        seekTable.push({ time, offset: offset + position });
+        nextSeekTime += SCAN_SEEK_INTERVAL;
+      }
+
+      if (header.bitrate !== firstHeader.bitrate) isVbr = true;
+      frameCount++;
+      sampleCount += header.samplesPerFrame;
+      bitrateSum += header.bitrate;
+      position += header.frameLength;
+    }
+
+    // Re-read a frame that straddles the chunk boundary as part of the next chunk
+    if (position === 0) break;
+    offset += position;
+  }
+
+  return {
+    frameCount,
+    sampleCount,
+    bitrate: frameCount > 0 ? Math.round(bitrateSum / frameCount) : firstHeader.bitrate,
+    isVbr,
+    seekTable
+  };
+};
+
+export const readMpegInfo = async (file) => {
+  try {
+    const header = await readFileBytes(file, 0, 10);
+    const tagSize = getID3v2Size(header);
+    const probe = await readFileBytes(file, tagSize, Math.min(file.size, tagSize + 64 * 1024));
+    const first = findFirstFrame(probe);
+    if (!first) return null;
+
+    const audioEnd = await getAudioEnd(file);
+    const frameStart = tagSize + first.offset;
+    const secondsPerFrame = first.header.samplesPerFrame / first.header.sampleRate;
+    const xing = parseXingHeader(probe, first.offset, first.header);
+    const vbri = xing ? null : parseVbriHeader(probe, first.offset);
+
+    const info = {
+      codec: 'mp3',
+      version: first.header.version,
+      layer: first.header.layer,
+      sampleRate: first.header.sampleRate,
+      channelMode: first.header.channelMode,
+      channels: first.header.channels,
+      audioStart: frameStart,
+      audioEnd,
+      headerType: null,
+      frameCount: 0,
+      duration: 0,
+      bitrate: first.header.bitrate,
+      isVbr: false,
+      seekTable: [],
+      samplesPerFrame: first.header.samplesPerFrame,
+      encoderDelay: null,
+      encoderPadding: null
+    };
+
+    if (xing && xing.frames) {
+      // The Xing/Info frame itself carries no audio
+      const audioStart = frameStart + first.header.frameLength;
+      const audioBytes = xing.bytes || audioEnd - audioStart;
+
+      info.headerType = xing.type;
+      info.audioStart = audioStart;
+      info.frameCount = xing.frames;
+      info.duration = xing.frames * secondsPerFrame;
+      info.bitrate = Math.round((audioBytes * 8) / info.duration / 1000);
+      info.isVbr = xing.type === 'Xing';
+      info.seekTable = buildXingSeekTable(xing, audioStart, audioBytes, info.duration);
+
+      const lame = parseLameHeader(probe, xing);
+      if (lame) {
+        info.encoderDelay = lame.encoderDelay;
+        info.encoderPadding = lame.encoderPadding;
+      }
+    } else if (vbri && vbri.frames) {
+      const audioStart = frameStart + first.header.frameLength;
+
+      info.headerType = 'VBRI';
+      info.audioStart = audioStart;
+      info.frameCount = vbri.frames;
+      info.duration = vbri.frames * secondsPerFrame;
+      info.bitrate = Math.round((vbri.bytes * 8) / info.duration / 1000);
+      info.isVbr = true;
+      info.seekTable = buildVbriSeekTable(vbri, audioStart, secondsPerFrame);
+    } else {
+      const scan = await scanFrames(file, frameStart, audioEnd, first.header);
+
+      info.headerType = 'scan';
+      info.frameCount = scan.frameCount;
+      info.duration = scan.sampleCount / first.header.sampleRate;
+      info.bitrate = scan.bitrate;
+      info.isVbr = scan.isVbr;
+      info.seekTable = scan.seekTable;
+    }
+
+    return info;
+  } catch (error) {
+    console.error('Error reading MPEG stream info:', error);
+    return null;
+  }
+};
+
+const interpolate = (points, value, fromKey, toKey) => {
+  if (points.length === 0) return null;
+  if (value <= points[0][fromKey]) return points[0][toKey];
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const next = points[i];
+
+    if (value <= next[fromKey]) {
+      const span = next[fromKey] - previous[fromKey];
+      const ratio = span > 0 ? (value - previous[fromKey]) / span : 0;
+      return previous[toKey] + ratio * (next[toKey] - previous[toKey]);
+    }
+  }
+
+  return points[points.length - 1][toKey];
+};
+
+export const getByteOffsetForTime = (info, time) => {
+  if (!info) return null;
+
+  const points = [...info.seekTable, { time: info.duration, offset: info.audioEnd }];
+  return Math.round(interpolate(points, time, 'time', 'offset'));
+};
+
+export const getTimeForByteOffset = (info, offset) => {
+  if (!info) return null;
+
+  const points = [...info.seekTable, { time: info.duration, offset: info.audioEnd }];
+  return interpolate(points, offset, 'offset', 'time');
+};
+
+// Without a usable header the media element assumes a constant bitrate, so its clock is
+// linear in bytes. These convert between that clock and real time through our seek table.
+const usesLinearClock = (info, elementDuration) => {
+  if (!info || info.seekTable.length === 0 || !info.duration) return false;
+  if (!isFinite(elementDuration) || elementDuration <= 0) return false;
+  return Math.abs(elementDuration - info.duration) / info.duration > 0.005;
+};
+
+export const toElementTime = (info, time, elementDuration) => {
+  if (!usesLinearClock(info, elementDuration)) return time;
+
+  const offset = getByteOffsetForTime(info, time);
+  return ((offset - info.audioStart) / (info.audioEnd - info.audioStart)) * elementDuration;
+};
+
+export const fromElementTime = (info, elementTime, elementDuration) => {
+  if (!usesLinearClock(info, elementDuration)) return elementTime;
+
+  const offset = info.audioStart + (elementTime / elementDuration) * (info.audioEnd - info.audioStart);
+  return getTimeForByteOffset(info, offset);
+};
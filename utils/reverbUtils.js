@@ -0,0 +1,123 @@
+export const MAX_PRE_DELAY = 0.2;
+
+// Impulse responses generated in code: decaying stereo noise, darkening as it decays, after a
+// few discrete early reflections. `rt60` is the time to fall by 60 dB.
+export const SYNTHETIC_IMPULSES = [
+  {
+    id: 'small-room',
+    name: 'Small Room',
+    duration: 0.8,
+    rt60: 0.5,
+    damping: 0.6,
+    onset: 0.002,
+    reflections: [[0.007, 0.5], [0.011, -0.35], [0.017, 0.3], [0.023, -0.2], [0.031, 0.15]]
+  },
+  {
+    id: 'hall',
+    name: 'Hall',
+    duration: 3.5,
+    rt60: 2.6,
+    damping: 0.8,
+    onset: 0.03,
+    reflections: [[0.021, 0.35], [0.034, -0.25], [0.047, 0.2], [0.063, -0.15]]
+  },
+  {
+    id: 'plate',
+    name: 'Plate',
+    duration: 2.5,
+    rt60: 1.8,
+    damping: 0.2,
+    onset: 0,
+    reflections: []
+  }
+];
+
+export const DEFAULT_REVERB_SETTINGS = {
+  enabled: false,
+  impulseId: 'hall',
+  mix: 0.25,
+  preDelay: 0.02
+};
+
+export const USER_IMPULSE_PREFIX = 'impulse:';
+
+const SMOOTHING_TIME = 0.03;
+// Coefficient of the damping filter at the start of the tail; `damping` is how much it closes by the end
+const DAMPING_START = 0.9;
+
+export const normalizeReverbSettings = (stored) => ({ ...DEFAULT_REVERB_SETTINGS, ...stored });
+
+export const isUserImpulse = (id) => Boolean(id?.startsWith(USER_IMPULSE_PREFIX));
+
+export const generateImpulseResponse = (context, impulse) => {
+  const sampleRate = context.sampleRate;
+  const length = Math.round(impulse.duration * sampleRate);
+  const buffer = context.createBuffer(2, length, sampleRate);
+  const onsetSamples = Math.max(1, Math.round(impulse.onset * sampleRate));
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    let filtered = 0;
+
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+      const envelope = Math.pow(10, (-3 * t) / impulse.rt60) * Math.min(1, i / onsetSamples);
+
+      // One-pole lowpass whose cutoff falls over the tail, as air and walls absorb highs first
+      const progress = i / length;
+      const cutoff = DAMPING_START * (1 - impulse.damping * progress);
+      filtered += cutoff * ((Math.random() * 2 - 1) - filtered);
+      data[i] = filtered * envelope;
+    }
+
+    // Mirror the reflections' signs on the right so the early sound is spread, not centred
+    impulse.reflections.forEach(([delay, gain]) => {
+      const index = Math.round(delay * sampleRate);
+      if (index < length) data[index] += channel === 0 ? gain : -gain * 0.8;
+    });
+  }
+
+  return buffer;
+};
+
+// input -> dry ----------------------------> output
+//       \-> pre-delay -> convolver -> wet -/
+// In the { input, output } form the engine takes as an insert
+export const createReverb = (context) => {
+  const input = context.createGain();
+  const output = context.createGain();
+  const dry = context.createGain();
+  const wet = context.createGain();
+  const preDelay = context.createDelay(MAX_PRE_DELAY);
+  const convolver = context.createConvolver();
+
+  wet.gain.value = 0;
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(preDelay);
+  preDelay.connect(convolver);
+  convolver.connect(wet);
+  wet.connect(output);
+
+  return { input, output, dry, wet, preDelay, convolver };
+};
+
+// Equal-power mix, so the overall level holds steady across the range
+export const applyReverbSettings = (reverb, settings, context) => {
+  const now = context.currentTime;
+  const mix = settings.enabled && reverb.convolver.buffer ? settings.mix : 0;
+
+  reverb.dry.gain.setTargetAtTime(Math.cos((mix * Math.PI) / 2), now, SMOOTHING_TIME);
+  reverb.wet.gain.setTargetAtTime(Math.sin((mix * Math.PI) / 2), now, SMOOTHING_TIME);
+  reverb.preDelay.delayTime.setTargetAtTime(Math.min(MAX_PRE_DELAY, settings.preDelay), now, SMOOTHING_TIME);
+};
+
+// decodeAudioData detaches the buffer it is given, so the stored bytes are copied first
+export const decodeImpulseResponse = async (context, bytes) => {
+  try {
+    return await context.decodeAudioData(bytes.slice(0));
+  } catch (error) {
+    console.error('Error decoding impulse response:', error);
+    return null;
+  }
+};
@@ -0,0 +1,280 @@
+import { getAudioContext, connectSourceNode } from './audioEngine';
+import { dbToGain } from './loudnessUtils';
+
+export const FREQUENCY_RANGE = [20, 20000]; // Hz
+export const SWEEP_DURATION_RANGE = [1, 60]; // seconds
+export const LEVEL_RANGE = [-60, 0]; // dBFS
+
+export const SIGNALS = [
+  { id: 'sine', name: 'Sine' },
+  { id: 'square', name: 'Square' },
+  { id: 'sawtooth', name: 'Saw' },
+  { id: 'sweep', name: 'Log sweep' },
+  { id: 'white', name: 'White noise' },
+  { id: 'pink', name: 'Pink noise' },
+  { id: 'channels', name: 'L/R ident' }
+];
+
+export const DEFAULT_GENERATOR_SETTINGS = {
+  signal: 'sine',
+  frequency: 1000,
+  sweep: { from: 20, to: 20000, duration: 10 },
+  // Peak level; kept well down, as a test tone at full scale is unpleasant on speakers
+  level: -12
+};
+
+// Switching signal or stopping ramps rather than cuts, so neither clicks
+const VOICE_RAMP = 0.01;
+// Time constant for level and frequency changes while playing
+const PARAM_SMOOTHING = 0.02;
+// Repeating signals are scheduled this far ahead, topped up every SCHEDULE_INTERVAL
+const SCHEDULE_AHEAD = 0.5;
+const SCHEDULE_INTERVAL = 100;
+const START_LATENCY = 0.02;
+// The ident tone plays on the left for the first half of each period and on the right for the second
+const IDENT_PERIOD = 2;
+const IDENT_TONE = 0.75;
+// Looped noise; the two channels are generated separately so they are uncorrelated
+const NOISE_DURATION = 4;
+
+const clampFrequency = (frequency, context) => (
+  Math.min(Math.max(frequency, FREQUENCY_RANGE[0]), FREQUENCY_RANGE[1], context.sampleRate / 2)
+);
+
+export const normalizeGeneratorSettings = (stored) => ({
+  ...DEFAULT_GENERATOR_SETTINGS,
+  ...stored,
+  sweep: { ...DEFAULT_GENERATOR_SETTINGS.sweep, ...stored?.sweep }
+});
+
+// Paul Kellet's refined filter: white noise through a bank of one-pole filters approximates -3 dB/octave
+const fillPinkNoise = (data) => {
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+    b6 = white * 0.115926;
+  }
+};
+
+// Peak-normalised, so `level` means the same for noise as for a tone
+const createNoiseBuffer = (context, signal) => {
+  const buffer = context.createBuffer(2, Math.round(NOISE_DURATION * context.sampleRate), context.sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    if (signal === 'pink') {
+      fillPinkNoise(data);
+    } else {
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+
+    let peak = 0;
+    for (let i = 0; i < data.length; i++) peak = Math.max(peak, Math.abs(data[i]));
+    if (peak > 0) {
+      for (let i = 0; i < data.length; i++) data[i] /= peak;
+    }
+  }
+  return buffer;
+};
+
+// Calls `schedule` with the start time of each period, a little ahead of it being heard
+const createScheduler = (context, period, schedule) => {
+  let next = context.currentTime + START_LATENCY;
+
+  const fill = () => {
+    while (next < context.currentTime + SCHEDULE_AHEAD) {
+      schedule(next);
+      next += period;
+    }
+  };
+
+  fill();
+  const interval = setInterval(fill, SCHEDULE_INTERVAL);
+  return () => clearInterval(interval);
+};
+
+const createToneVoice = (context, destination, { signal, frequency }) => {
+  const oscillator = context.createOscillator();
+  oscillator.type = signal;
+  oscillator.frequency.value = clampFrequency(frequency, context);
+  oscillator.connect(destination);
+  oscillator.start();
+
+  return { sources: [oscillator], oscillator };
+};
+
+// Exponential, so every octave gets the same time and an octave-band display reads flat
+const createSweepVoice = (context, destination, { sweep }) => {
+  const from = clampFrequency(sweep.from, context);
+  const to = clampFrequency(sweep.to, context);
+  const oscillator = context.createOscillator();
+  oscillator.frequency.value = from;
+  oscillator.connect(destination);
+
+  const stopScheduler = createScheduler(context, sweep.duration, (time) => {
+    oscillator.frequency.setValueAtTime(from, time);
+    oscillator.frequency.exponentialRampToValueAtTime(to, time + sweep.duration);
+  });
+  oscillator.start();
+
+  return { sources: [oscillator], stopScheduler };
+};
+
+const createNoiseVoice = (context, destination, { signal }) => {
+  const source = context.createBufferSource();
+  source.buffer = createNoiseBuffer(context, signal);
+  source.loop = true;
+  source.connect(destination);
+  source.start();
+
+  return { sources: [source] };
+};
+
+// The tone alternates between the channels, left first, to check the speakers are the right way round
+const createChannelVoice = (context, destination, { frequency }) => {
+  const oscillator = context.createOscillator();
+  oscillator.frequency.value = clampFrequency(frequency, context);
+  const merger = context.createChannelMerger(2);
+  const channels = [0, 1].map(channel => {
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    oscillator.connect(gain);
+    gain.connect(merger, 0, channel);
+    return gain;
+  });
+  merger.connect(destination);
+
+  const stopScheduler = createScheduler(context, IDENT_PERIOD, (time) => {
+    channels.forEach(({ gain }, channel) => {
+      const start = time + channel * IDENT_PERIOD / 2;
+      gain.setValueAtTime(0, start);
+      gain.linearRampToValueAtTime(1, start + VOICE_RAMP);
+      gain.setValueAtTime(1, start + IDENT_TONE - VOICE_RAMP);
+      gain.linearRampToValueAtTime(0, start + IDENT_TONE);
+    });
+  });
+  oscillator.start();
+
+  return { sources: [oscillator], oscillator, stopScheduler };
+};
+
+const createVoice = (context, output, settings) => {
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, context.currentTime);
+  gain.gain.linearRampToValueAtTime(1, context.currentTime + VOICE_RAMP);
+  gain.connect(output);
+
+  let parts;
+  if (settings.signal === 'sweep') {
+    parts = createSweepVoice(context, gain, settings);
+  } else if (settings.signal === 'white' || settings.signal === 'pink') {
+    parts = createNoiseVoice(context, gain, settings);
+  } else if (settings.signal === 'channels') {
+    parts = createChannelVoice(context, gain, settings);
+  } else {
+    parts = createToneVoice(context, gain, settings);
+  }
+  return { gain, ...parts };
+};
+
+const stopVoice = (voice) => {
+  voice.stopScheduler?.();
+  const { context } = voice.gain;
+  if (context.state === 'closed') return;
+
+  const end = context.currentTime + VOICE_RAMP;
+  voice.gain.gain.cancelScheduledValues(context.currentTime);
+  voice.gain.gain.setValueAtTime(voice.gain.gain.value, context.currentTime);
+  voice.gain.gain.linearRampToValueAtTime(0, end);
+  voice.sources.forEach(source => source.stop(end));
+  voice.sources[0].onended = () => voice.gain.disconnect();
+};
+
+const needsRestart = (previous, next) => (
+  previous.signal !== next.signal ||
+  (next.signal === 'sweep' && (
+    previous.sweep.from !== next.sweep.from ||
+    previous.sweep.to !== next.sweep.to ||
+    previous.sweep.duration !== next.sweep.duration
+  ))
+);
+
+// Test signals played into the shared engine in place of a track, so they go through the same
+// inserts and reach the same analyser taps as file playback
+export const createSignalGenerator = () => {
+  let output = null;
+  let voice = null;
+  let current = DEFAULT_GENERATOR_SETTINGS;
+  // The player's volume, on top of the signal's level, as a file's element volume would be
+  let volume = 1;
+
+  const getOutputGain = (level) => dbToGain(level) * volume;
+
+  const getOutput = (context) => {
+    if (output?.context !== context) {
+      output = context.createGain();
+      output.gain.value = getOutputGain(current.level);
+      connectSourceNode(output);
+    }
+    return output;
+  };
+
+  const setLevel = (context, level) => {
+    output.gain.setTargetAtTime(getOutputGain(level), context.currentTime, PARAM_SMOOTHING);
+  };
+
+  const start = (settings = current) => {
+    current = normalizeGeneratorSettings(settings);
+    const context = getAudioContext();
+    if (!context) return false;
+
+    if (voice) stopVoice(voice);
+    const destination = getOutput(context);
+    setLevel(context, current.level);
+    voice = createVoice(context, destination, current);
+    return true;
+  };
+
+  // Applies new settings to what is playing; while stopped they are kept for the next start
+  const update = (settings) => {
+    const previous = current;
+    current = normalizeGeneratorSettings(settings);
+    if (!voice || voice.gain.context.state === 'closed') return;
+
+    const { context } = voice.gain;
+    setLevel(context, current.level);
+    if (needsRestart(previous, current)) {
+      stopVoice(voice);
+      voice = createVoice(context, output, current);
+    } else if (voice.oscillator) {
+      // Tones and the ident glide to the new frequency rather than starting again
+      voice.oscillator.frequency.setTargetAtTime(
+        clampFrequency(current.frequency, context),
+        context.currentTime,
+        PARAM_SMOOTHING
+      );
+    }
+  };
+
+  const stop = () => {
+    if (voice) stopVoice(voice);
+    voice = null;
+  };
+
+  const setVolume = (value) => {
+    volume = Math.max(0, Math.min(1, value));
+    if (output && output.context.state !== 'closed') {
+      setLevel(output.context, current.level);
+    }
+  };
+
+  const isRunning = () => Boolean(voice);
+
+  return { start, update, stop, setVolume, isRunning };
+};
@@ -0,0 +1,114 @@
+// Finds the silent stretches of a track, for skipping them in podcasts and lectures
+const FRAME_DURATION = 0.02;
+// Anything quieter reads as this, so digital silence does not come out as -Infinity
+const LEVEL_FLOOR = -120;
+
+export const SILENCE_THRESHOLD_RANGE = [-70, -20]; // dBFS
+export const MIN_SILENCE_RANGE = [0.2, 5]; // seconds
+export const SILENCE_PADDING_RANGE = [0, 1]; // seconds
+// How fast the 'speed' mode plays through silence
+export const SILENCE_PLAYBACK_RATE = 4;
+// Firefox mutes anything faster, whatever made up the rate
+const MAX_PLAYBACK_RATE = 4;
+
+export const SKIP_SILENCE_MODES = [
+  { value: 'skip', label: 'Skip' },
+  { value: 'speed', label: `Speed up (${SILENCE_PLAYBACK_RATE}×)` }
+];
+
+export const DEFAULT_SKIP_SILENCE_SETTINGS = {
+  enabled: false,
+  mode: 'skip',
+  threshold: -45,
+  minDuration: 0.75,
+  // Kept either side of each silence, so speech does not start or stop abruptly
+  padding: 0.15
+};
+
+export const normalizeSkipSilenceSettings = (stored) => ({ ...DEFAULT_SKIP_SILENCE_SETTINGS, ...stored });
+
+// The speed-up through silence on top of the rate the track already plays at (tempo, practice
+// speed), kept down so the two together stay within MAX_PLAYBACK_RATE
+export const getSilencePlaybackRate = (baseRate = 1) => (
+  Math.max(1, Math.min(SILENCE_PLAYBACK_RATE, MAX_PLAYBACK_RATE / baseRate))
+);
+
+// RMS level in dBFS across all channels, one value per FRAME_DURATION of audio. Computed once in
+// the track analysis, so the settings can change without decoding again.
+export const computeLevelEnvelope = (audioBuffer, frameDuration = FRAME_DURATION) => {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const samplesPerFrame = Math.max(1, Math.round(frameDuration * sampleRate));
+  const frameCount = Math.ceil(length / samplesPerFrame);
+  const sums = new Float64Array(frameCount);
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      sums[Math.floor(i / samplesPerFrame)] += data[i] * data[i];
+    }
+  }
+
+  const levels = new Float32Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    const count = Math.min(samplesPerFrame, length - frame * samplesPerFrame) * numberOfChannels;
+    const meanSquare = count > 0 ? sums[frame] / count : 0;
+    levels[frame] = meanSquare > 0 ? Math.max(LEVEL_FLOOR, 10 * Math.log10(meanSquare)) : LEVEL_FLOOR;
+  }
+
+  return {
+    levels,
+    framesPerSecond: sampleRate / samplesPerFrame,
+    duration: length / sampleRate
+  };
+};
+
+// The parts of each run below the threshold that can go, sorted, as { start, end } in seconds.
+// Runs shorter than minDuration stay, as do `padding` seconds at either end of the longer ones.
+export const findSilentRegions = (envelope, { threshold, minDuration, padding }) => {
+  if (!envelope) return [];
+
+  const { levels, framesPerSecond, duration } = envelope;
+  const regions = [];
+  let runStart = null;
+
+  for (let frame = 0; frame <= levels.length; frame++) {
+    const isSilent = frame < levels.length && levels[frame] < threshold;
+    if (isSilent && runStart === null) {
+      runStart = frame;
+    } else if (!isSilent && runStart !== null) {
+      const start = runStart / framesPerSecond;
+      const end = Math.min(duration, frame / framesPerSecond);
+      if (end - start >= minDuration && end - start > padding * 2) {
+        regions.push({ start: start + padding, end: end - padding });
+      }
+      runStart = null;
+    }
+  }
+
+  return regions;
+};
+
+// The region playback at `time` is inside, or null
+export const getSilentRegionAt = (regions, time) => {
+  let low = 0;
+  let high = regions.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const region = regions[middle];
+    if (time < region.start) {
+      high = middle - 1;
+    } else if (time >= region.end) {
+      low = middle + 1;
+    } else {
+      return region;
+    }
+  }
+  return null;
+};
+
+// What a mode would save over the whole track, in seconds
+export const getPotentialSavings = (regions, mode) => {
+  const total = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+  return mode === 'speed' ? total * (1 - 1 / SILENCE_PLAYBACK_RATE) : total;
+};
@@ -0,0 +1,218 @@
+import { dbToGain } from './loudnessUtils';
+
+export const ORBIT_SPEED_RANGE = [0.02, 0.5]; // revolutions per second
+
+// Bauer-style crossfeed levels as the bs2b library names them: the cut-off of the crossfed
+// low end and how far below the direct signal it sits
+export const CROSSFEED_PRESETS = [
+  { id: 'default', name: 'Default', frequency: 700, level: 4.5 },
+  { id: 'chu-moy', name: 'Chu Moy', frequency: 700, level: 6 },
+  { id: 'jan-meier', name: 'Jan Meier', frequency: 650, level: 9.5 }
+];
+
+export const DEFAULT_SPATIAL_SETTINGS = {
+  enabled: false,
+  // Where the source sits on the stage, each axis -1 to 1 with the listener in the middle;
+  // y = 1 is straight ahead
+  position: { x: 0, y: 1 },
+  orbit: {
+    enabled: false,
+    speed: 0.1
+  },
+  crossfeed: {
+    enabled: false,
+    presetId: 'default'
+  }
+};
+
+// Metres from the listener at the edge of the stage, and how quickly the level falls with it
+const STAGE_SCALE = 3;
+const ROLLOFF_FACTOR = 0.5;
+// Orbiting the exact centre would go nowhere, so the circle is never smaller than this
+const MIN_ORBIT_RADIUS = 0.5;
+const SMOOTHING_TIME = 0.03;
+
+export const normalizeSpatialSettings = (stored) => ({
+  ...DEFAULT_SPATIAL_SETTINGS,
+  ...stored,
+  position: { ...DEFAULT_SPATIAL_SETTINGS.position, ...stored?.position },
+  orbit: { ...DEFAULT_SPATIAL_SETTINGS.orbit, ...stored?.orbit },
+  crossfeed: { ...DEFAULT_SPATIAL_SETTINGS.crossfeed, ...stored?.crossfeed }
+});
+
+// Keeps a dragged position inside the round stage
+export const clampStagePosition = ({ x, y }) => {
+  const radius = Math.hypot(x, y);
+  return radius > 1 ? { x: x / radius, y: y / radius } : { x, y };
+};
+
+const getCrossfeedPreset = (presetId) => (
+  CROSSFEED_PRESETS.find(preset => preset.id === presetId) || CROSSFEED_PRESETS[0]
+);
+
+// input -> bypass ---------\
+//       \-> HRTF panner ---+-> crossfeed -> output
+// The crossfeed sends a low-passed copy of each channel to the other side, as a speaker would
+// reach both ears, with the direct path shelved down by the same amount below the cut-off so
+// centred sounds keep their level. In the { input, output } form the engine takes as an insert.
+export const createSpatializer = (context) => {
+  const input = context.createGain();
+  const bypass = context.createGain();
+  const panned = context.createGain();
+  const panner = context.createPanner();
+
+  panner.panningModel = 'HRTF';
+  panner.distanceModel = 'inverse';
+  panner.refDistance = 1;
+  panner.rolloffFactor = ROLLOFF_FACTOR;
+  panned.gain.value = 0;
+
+  input.connect(bypass);
+  input.connect(panner);
+  panner.connect(panned);
+
+  const mix = context.createGain();
+  mix.channelCount = 2;
+  mix.channelCountMode = 'explicit';
+  mix.channelInterpretation = 'speakers';
+  bypass.connect(mix);
+  panned.connect(mix);
+
+  const directShelf = context.createBiquadFilter();
+  directShelf.type = 'highshelf';
+  directShelf.gain.value = 0;
+  const direct = context.createGain();
+
+  const crossLowpass = context.createBiquadFilter();
+  crossLowpass.type = 'lowpass';
+  crossLowpass.Q.value = 0.5;
+  const cross = context.createGain();
+  cross.gain.value = 0;
+
+  const splitter = context.createChannelSplitter(2);
+  const merger = context.createChannelMerger(2);
+  const output = context.createGain();
+
+  mix.connect(directShelf);
+  directShelf.connect(direct);
+  direct.connect(output);
+
+  mix.connect(crossLowpass);
+  crossLowpass.connect(cross);
+  cross.connect(splitter);
+  splitter.connect(merger, 0, 1);
+  splitter.connect(merger, 1, 0);
+  merger.connect(output);
+
+  return {
+    input,
+    output,
+    bypass,
+    panned,
+    panner,
+    directShelf,
+    direct,
+    crossLowpass,
+    cross,
+    orbit: null
+  };
+};
+
+// Two oscillators at the orbit speed drive the panner's position around a circle, so the motion
+// is sample-accurate and carries on in a background tab. The periodic waves start them at
+// `angle` (clockwise from straight ahead).
+const startOrbit = (spatial, context, { radius, angle, speed, time }) => {
+  const createAxis = (real, imag, param) => {
+    const oscillator = context.createOscillator();
+    oscillator.setPeriodicWave(context.createPeriodicWave(
+      new Float32Array([0, real]),
+      new Float32Array([0, imag]),
+      { disableNormalization: true }
+    ));
+    oscillator.frequency.value = speed;
+
+    const depth = context.createGain();
+    depth.gain.value = radius * STAGE_SCALE;
+    oscillator.connect(depth);
+    depth.connect(param);
+    oscillator.start(time);
+    return { oscillator, depth };
+  };
+
+  // x = r sin(wt + a); z = -r cos(wt + a), as the listener faces down -z
+  const x = createAxis(Math.sin(angle), Math.cos(angle), spatial.panner.positionX);
+  const z = createAxis(-Math.cos(angle), Math.sin(angle), spatial.panner.positionZ);
+
+  spatial.orbit = { axes: [x, z], radius, angle, speed, time };
+};
+
+const stopOrbit = (spatial, time) => {
+  spatial.orbit.axes.forEach(({ oscillator, depth }) => {
+    oscillator.stop(time);
+    oscillator.onended = () => depth.disconnect();
+  });
+  spatial.orbit = null;
+};
+
+// Where an orbiting source is now, on the stage, or null while it is not orbiting
+export const getOrbitPosition = (spatial, context) => {
+  if (!spatial?.orbit) return null;
+
+  const { radius, angle, speed, time } = spatial.orbit;
+  const current = angle + 2 * Math.PI * speed * Math.max(0, context.currentTime - time);
+  return { x: radius * Math.sin(current), y: radius * Math.cos(current) };
+};
+
+export const applySpatialSettings = (spatial, settings, context) => {
+  const now = context.currentTime;
+  const setParam = (param, value) => param.setTargetAtTime(value, now, SMOOTHING_TIME);
+  const { position, orbit, crossfeed } = settings;
+
+  setParam(spatial.bypass.gain, settings.enabled ? 0 : 1);
+  setParam(spatial.panned.gain, settings.enabled ? 1 : 0);
+
+  const isOrbiting = settings.enabled && orbit.enabled;
+  const radius = Math.max(MIN_ORBIT_RADIUS, Math.hypot(position.x, position.y));
+
+  if (isOrbiting && !spatial.orbit) {
+    // The circle starts where the source was placed, with the panner's own position at the
+    // centre so the oscillators alone move it
+    const angle = Math.atan2(position.x, position.y);
+    [spatial.panner.positionX, spatial.panner.positionZ].forEach(param => {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(0, now);
+    });
+    startOrbit(spatial, context, { radius, angle, speed: orbit.speed, time: now });
+  } else if (!isOrbiting && spatial.orbit) {
+    stopOrbit(spatial, now);
+  }
+
+  if (spatial.orbit) {
+    if (spatial.orbit.speed !== orbit.speed) {
+      // A frequency step keeps the oscillators' phase, so only the reference point moves
+      const { angle, speed, time } = spatial.orbit;
+      spatial.orbit.angle = angle + 2 * Math.PI * speed * Math.max(0, now - time);
+      spatial.orbit.time = now;
+      spatial.orbit.speed = orbit.speed;
+      spatial.orbit.axes.forEach(({ oscillator }) => oscillator.frequency.setValueAtTime(orbit.speed, now));
+    }
+    if (spatial.orbit.radius !== radius) {
+      spatial.orbit.radius = radius;
+      spatial.orbit.axes.forEach(({ depth }) => setParam(depth.gain, radius * STAGE_SCALE));
+    }
+  } else {
+    setParam(spatial.panner.positionX, position.x * STAGE_SCALE);
+    setParam(spatial.panner.positionZ, -position.y * STAGE_SCALE);
+  }
+
+  const preset = getCrossfeedPreset(crossfeed.presetId);
+  const crossGain = crossfeed.enabled ? dbToGain(-preset.level) : 0;
+  // Below the cut-off direct + cross comes to unity; the shelf brings the direct path back to
+  // unity above it, where there is no crossfeed
+  const directGain = 1 / (1 + crossGain);
+  setParam(spatial.direct.gain, directGain);
+  setParam(spatial.cross.gain, crossGain * directGain);
+  setParam(spatial.directShelf.gain, -20 * Math.log10(directGain));
+  setParam(spatial.directShelf.frequency, preset.frequency);
+  setParam(spatial.crossLowpass.frequency, preset.frequency);
+};
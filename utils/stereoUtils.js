@@ -0,0 +1,137 @@
+export const KARAOKE_LOW_RANGE = [40, 500];
+export const KARAOKE_HIGH_RANGE = [2000, 16000];
+
+export const DEFAULT_STEREO_SETTINGS = {
+  balance: 0, // -1 is left only, 1 right only
+  mono: false,
+  swap: false,
+  karaoke: {
+    enabled: false,
+    // Only the centre between these is cancelled, so the (also centred) bass and cymbals survive
+    low: 150,
+    high: 6000
+  }
+};
+
+// Butterworth, twice over for 24 dB/octave Linkwitz-Riley edges. An allpass at the same frequency
+// and Q has the phase of the low and high halves of such an edge summed.
+const FILTER_Q = Math.SQRT1_2;
+const SMOOTHING_TIME = 0.03;
+
+export const normalizeStereoSettings = (stored) => ({
+  ...DEFAULT_STEREO_SETTINGS,
+  ...stored,
+  karaoke: { ...DEFAULT_STEREO_SETTINGS.karaoke, ...stored?.karaoke }
+});
+
+// How much of the left and right inputs goes into each output: [[LL, RL], [LR, RR]]
+export const getStereoMatrix = ({ balance, mono, swap, karaoke }) => {
+  let matrix = swap ? [[0, 1], [1, 0]] : [[1, 0], [0, 1]];
+
+  if (mono) {
+    // With the centre cancelled the two channels are opposite in the band and would sum to
+    // nothing, so a karaoke mix folds down from its left channel alone
+    matrix = karaoke.enabled ? [[1, 0], [1, 0]] : [[0.5, 0.5], [0.5, 0.5]];
+  }
+
+  const leftGain = balance > 0 ? 1 - balance : 1;
+  const rightGain = balance < 0 ? 1 + balance : 1;
+  return [
+    matrix[0].map(value => value * leftGain),
+    matrix[1].map(value => value * rightGain)
+  ];
+};
+
+const createFilter = (context, type) => {
+  const filter = context.createBiquadFilter();
+  filter.type = type;
+  filter.Q.value = FILTER_Q;
+  return filter;
+};
+
+// Splitter -> 2x2 gain matrix -> merger, plus the band-limited centre ((L + R) / 2) fed back
+// into both outputs with a negative gain for karaoke. The band filters shift the centre's phase,
+// so for karaoke the channels reach the matrix through the matching allpasses; only then does
+// the centre cancel inside the band, while bass and treble keep their full level outside it.
+// In the { input, output } form the engine takes as an insert.
+export const createStereoTools = (context) => {
+  const input = context.createGain();
+  input.channelCount = 2;
+  input.channelCountMode = 'explicit';
+  input.channelInterpretation = 'speakers';
+
+  const splitter = context.createChannelSplitter(2);
+  const merger = context.createChannelMerger(2);
+  input.connect(splitter);
+
+  // Each channel both as it is and phase-matched to the centre band; karaoke switches between them
+  const channels = [0, 1].map(channel => {
+    const source = context.createGain();
+    const direct = context.createGain();
+    const compensated = context.createGain();
+    compensated.gain.value = 0;
+    const allpass = [createFilter(context, 'allpass'), createFilter(context, 'allpass')];
+
+    splitter.connect(direct, channel);
+    splitter.connect(allpass[0], channel);
+    allpass[0].connect(allpass[1]);
+    allpass[1].connect(compensated);
+    direct.connect(source);
+    compensated.connect(source);
+
+    return { source, direct, compensated, allpass };
+  });
+
+  const matrix = [0, 1].map(output => [0, 1].map(source => {
+    const gain = context.createGain();
+    channels[source].source.connect(gain);
+    gain.connect(merger, 0, output);
+    return gain;
+  }));
+
+  const center = context.createGain();
+  center.channelCount = 1;
+  center.channelCountMode = 'explicit';
+  center.gain.value = 0.5;
+  splitter.connect(center, 0);
+  splitter.connect(center, 1);
+
+  const highpass = [createFilter(context, 'highpass'), createFilter(context, 'highpass')];
+  const lowpass = [createFilter(context, 'lowpass'), createFilter(context, 'lowpass')];
+  [center, ...highpass, ...lowpass].reduce((previous, node) => previous.connect(node));
+
+  const cancel = [0, 1].map(output => {
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    lowpass[1].connect(gain);
+    gain.connect(merger, 0, output);
+    return gain;
+  });
+
+  return { input, output: merger, channels, matrix, highpass, lowpass, cancel };
+};
+
+export const applyStereoSettings = (stereo, settings, context) => {
+  const now = context.currentTime;
+  const setParam = (param, value) => param.setTargetAtTime(value, now, SMOOTHING_TIME);
+  const matrix = getStereoMatrix(settings);
+  const { enabled, low, high } = settings.karaoke;
+
+  stereo.channels.forEach(channel => {
+    setParam(channel.direct.gain, enabled ? 0 : 1);
+    setParam(channel.compensated.gain, enabled ? 1 : 0);
+    setParam(channel.allpass[0].frequency, low);
+    setParam(channel.allpass[1].frequency, high);
+  });
+
+  matrix.forEach((row, output) => {
+    row.forEach((value, source) => setParam(stereo.matrix[output][source].gain, value));
+
+    // Each output takes the centre out of whatever mix of L and R it carries
+    const cancel = enabled ? -(row[0] + row[1]) : 0;
+    setParam(stereo.cancel[output].gain, cancel);
+  });
+
+  stereo.highpass.forEach(filter => setParam(filter.frequency, low));
+  stereo.lowpass.forEach(filter => setParam(filter.frequency, high));
+};
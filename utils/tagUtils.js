@@ -0,0 +1,69 @@
+// Normalized tag shape shared by the ID3, Vorbis comment and MP4 readers
+export const createEmptyTags = () => ({
+  title: null,
+  artist: null,
+  album: null,
+  genre: null,
+  trackNumber: null,
+  trackTotal: null,
+  year: null,
+  picture: null,
+  lyrics: null,
+  chapters: null,
+  replayGain: null,
+  gapless: null
+});
+
+export const PICTURE_TYPES = {
+  OTHER: 0,
+  FRONT_COVER: 3,
+  BACK_COVER: 4
+};
+
+// Prefer the front cover, then anything that is not the back cover
+export const selectPicture = (pictures) => {
+  if (!pictures || pictures.length === 0) return null;
+
+  return (
+    pictures.find(picture => picture.type === PICTURE_TYPES.FRONT_COVER) ||
+    pictures.find(picture => picture.type !== PICTURE_TYPES.BACK_COVER) ||
+    pictures[0]
+  );
+};
+
+export const parseTrackNumber = (value) => {
+  if (!value) return { trackNumber: null, trackTotal: null };
+
+  const [number, total] = String(value).split('/');
+  const trackNumber = parseInt(number, 10);
+  const trackTotal = parseInt(total, 10);
+
+  return {
+    trackNumber: isNaN(trackNumber) ? null : trackNumber,
+    trackTotal: isNaN(trackTotal) ? null : trackTotal
+  };
+};
+
+export const parseYear = (value) => {
+  const match = value && String(value).match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+export const joinValues = (values) => {
+  const unique = [...new Set(values.filter(Boolean))];
+  return unique.length > 0 ? unique.join(', ') : null;
+};
+
+// Fill any missing values in `tags` from `fallback`
+export const mergeTags = (tags, fallback) => {
+  if (!fallback) return tags;
+
+  const merged = { ...tags };
+  Object.keys(fallback).forEach(key => {
+    if (merged[key] === null || merged[key] === undefined) {
+      merged[key] = fallback[key];
+    }
+  });
+
+  return merged;
+};
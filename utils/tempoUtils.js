@@ -0,0 +1,132 @@
+// Tempo estimation from the autocorrelation of a spectral-flux onset envelope
+import { getMagnitudeSpectrum, getMonoSamples } from './fftUtils';
+
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const MAX_ANALYSIS_SECONDS = 120;
+// Log-Gaussian preference for tempos near 120 BPM, which settles most octave ambiguities
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+
+// Sum of positive changes in log magnitude between consecutive frames
+export const getOnsetEnvelope = (samples) => {
+  const frameCount = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const envelope = new Float32Array(frameCount);
+  let previous = new Float32Array(FRAME_SIZE / 2);
+  let current = new Float32Array(FRAME_SIZE / 2);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    getMagnitudeSpectrum(samples, frame * HOP_SIZE, FRAME_SIZE, current);
+
+    let flux = 0;
+    for (let bin = 1; bin < current.length; bin++) {
+      current[bin] = Math.log1p(100 * current[bin]);
+      if (frame > 0 && current[bin] > previous[bin]) flux += current[bin] - previous[bin];
+    }
+    envelope[frame] = flux;
+    [previous, current] = [current, previous];
+  }
+
+  // Remove the slowly varying part (a moving average over ~0.4 s) so only onsets remain
+  const radius = 16;
+  const prefix = new Float64Array(frameCount + 1);
+  for (let i = 0; i < frameCount; i++) prefix[i + 1] = prefix[i] + envelope[i];
+
+  const detrended = new Float32Array(frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(frameCount, i + radius + 1);
+    detrended[i] = Math.max(0, envelope[i] - (prefix[to] - prefix[from]) / (to - from));
+  }
+
+  return detrended;
+};
+
+const autocorrelate = (envelope, lag) => {
+  let sum = 0;
+  for (let i = lag; i < envelope.length; i++) {
+    sum += envelope[i] * envelope[i - lag];
+  }
+  return sum / (envelope.length - lag);
+};
+
+// Vertex of the parabola through a correlation peak and its neighbours
+const interpolatePeak = (before, peak, after) => {
+  const denominator = before - 2 * peak + after;
+  return denominator !== 0 ? (0.5 * (before - after)) / denominator : 0;
+};
+
+// One beat period is only a few dozen envelope frames, so measure the lag at a few beats'
+// distance, where an error of one frame is a much smaller fraction of the period
+const refineLag = (envelope, lag, energy) => {
+  const correlation = (candidate) => autocorrelate(envelope, candidate) / energy;
+
+  for (const beats of [4, 2]) {
+    const center = lag * beats;
+    if (center + beats >= envelope.length / 2) continue;
+
+    let bestLag = center;
+    for (let candidate = center - beats; candidate <= center + beats; candidate++) {
+      if (correlation(candidate) > correlation(bestLag)) bestLag = candidate;
+    }
+    const shift = interpolatePeak(correlation(bestLag - 1), correlation(bestLag), correlation(bestLag + 1));
+    return (bestLag + shift) / beats;
+  }
+
+  return lag + interpolatePeak(correlation(lag - 1), correlation(lag), correlation(lag + 1));
+};
+
+// Returns { bpm, confidence } with confidence in 0-1, or null if no pulse stands out
+export const estimateTempo = (audioBuffer) => {
+  const { sampleRate, length } = audioBuffer;
+
+  // Long tracks are analysed around their middle, where the groove is usually established
+  const window = Math.min(length, Math.round(MAX_ANALYSIS_SECONDS * sampleRate));
+  const start = Math.floor((length - window) / 2);
+  const envelope = getOnsetEnvelope(getMonoSamples(audioBuffer, start, start + window));
+
+  const envelopeRate = sampleRate / HOP_SIZE;
+  const minLag = Math.floor((60 * envelopeRate) / MAX_BPM);
+  const maxLag = Math.ceil((60 * envelopeRate) / MIN_BPM);
+  if (envelope.length < maxLag * 4) return null;
+
+  const energy = autocorrelate(envelope, 0);
+  if (energy <= 0) return null;
+
+  const correlations = [];
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    correlations[lag] = autocorrelate(envelope, lag) / energy;
+  }
+
+  let bestLag = -1;
+  let bestScore = -Infinity;
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    const isPeak = correlations[lag] >= correlations[lag - 1] && correlations[lag] >= correlations[lag + 1];
+    if (!isPeak) continue;
+
+    const bpm = (60 * envelopeRate) / lag;
+    const weight = Math.exp(-0.5 * (Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES) ** 2);
+    const score = correlations[lag] * weight;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  if (bestLag < 0) return null;
+
+  const bpm = (60 * envelopeRate) / refineLag(envelope, bestLag, energy);
+  const peak = correlations[bestLag];
+
+  // How far the winning peak rises above the typical correlation in the search range
+  const range = correlations.slice(minLag, maxLag + 1);
+  const average = range.reduce((sum, value) => sum + value, 0) / range.length;
+  const confidence = Math.max(0, Math.min(1, (peak - average) / (1 - average)));
+
+  return {
+    bpm: Math.round(bpm * 10) / 10,
+    confidence: Math.round(confidence * 100) / 100
+  };
+};
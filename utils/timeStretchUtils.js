@@ -0,0 +1,86 @@
+export const TEMPO_RANGE = [0.5, 2];
+export const SEMITONE_RANGE = 12;
+export const CENTS_RANGE = 50;
+
+// What the processor's pitchRatio parameter accepts
+const PITCH_RATIO_RANGE = [0.25, 4];
+
+export const DEFAULT_TIME_STRETCH_SETTINGS = {
+  tempo: 1,
+  semitones: 0,
+  cents: 0
+};
+
+const PROCESSOR_NAME = 'time-stretch-processor';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+
+// Stored or partial settings, clamped to what the controls can produce
+export const normalizeTimeStretchSettings = (settings) => ({
+  tempo: clamp(settings?.tempo ?? 1, TEMPO_RANGE[0], TEMPO_RANGE[1]),
+  semitones: Math.round(clamp(settings?.semitones, -SEMITONE_RANGE, SEMITONE_RANGE)),
+  cents: Math.round(clamp(settings?.cents, -CENTS_RANGE, CENTS_RANGE))
+});
+
+export const getPitchRatio = ({ semitones, cents }) => Math.pow(2, (semitones + cents / 100) / 12);
+
+// The element resamples to change speed, which raises the pitch by the tempo factor, so the
+// processor takes that back out before applying the requested shift. `rate` is the actual
+// resampling rate when something other than the tempo control (e.g. a practice loop) sets it.
+export const getProcessorPitchRatio = (settings, rate = settings.tempo) => getPitchRatio(settings) / rate;
+
+// Whatever sets the resampling rate, past what the processor can correct the pitch would drift, so
+// the rate is held within its reach.
+export const clampPlaybackRate = (settings, rate) => {
+  const pitchRatio = getPitchRatio(settings);
+  return clamp(rate, pitchRatio / PITCH_RATIO_RANGE[1], pitchRatio / PITCH_RATIO_RANGE[0]);
+};
+
+// Worklet modules are per context, so remember which contexts have loaded it
+const processorModules = new WeakMap();
+
+// Resolves to false where AudioWorklet is unavailable (older browsers, insecure origins)
+export const loadTimeStretchProcessor = (context) => {
+  if (!context?.audioWorklet) return Promise.resolve(false);
+  if (processorModules.has(context)) return processorModules.get(context);
+
+  const promise = context.audioWorklet
+    .addModule(new URL('../workers/timeStretchProcessor.js', import.meta.url))
+    .then(() => true)
+    .catch(error => {
+      console.error('Error loading time-stretch processor:', error);
+      return false;
+    });
+
+  processorModules.set(context, promise);
+  return promise;
+};
+
+export const createTimeStretchNode = (context) => (
+  new AudioWorkletNode(context, PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    channelCount: 2,
+    channelCountMode: 'explicit'
+  })
+);
+
+// Anything already scheduled after `time` belongs to an older plan, so it is dropped
+export const applyProcessorPitchRatio = (node, settings, context, { rate, time = context.currentTime } = {}) => {
+  const param = node.parameters.get('pitchRatio');
+  param.cancelScheduledValues(time);
+  param.setValueAtTime(getProcessorPitchRatio(settings, rate), time);
+};
+
+// defaultPlaybackRate survives the reset that loading a new src does to playbackRate. Without the
+// processor the browser's own pitch correction keeps at least the tempo control usable.
+export const applyPlaybackRate = (element, tempo, preservesPitch) => {
+  if (!element) return;
+
+  element.defaultPlaybackRate = tempo;
+  element.playbackRate = tempo;
+  element.preservesPitch = preservesPitch;
+  element.mozPreservesPitch = preservesPitch;
+  element.webkitPreservesPitch = preservesPitch;
+};
@@ -0,0 +1,92 @@
+import { fadeTransport } from './audioEngine';
+
+export const FADE_TIME_RANGE = [0, 1];
+export const SEEK_FADE_RANGE = [0, 0.1];
+
+export const DEFAULT_FADE_SETTINGS = {
+  fadeIn: 0.1,
+  fadeOut: 0.2,
+  seek: 0.02
+};
+
+// How long after starting or jumping the audio is actually heard from: buffer sources are
+// scheduled this far ahead, and an element needs a moment to refill. Fading in from then on
+// keeps the first samples from landing at full level.
+const SETTLE_TIME = 0.05;
+// An element still plays out what it has buffered just after pause(), so the level only comes
+// back up once that is done
+const RESTORE_DELAY = 0.1;
+// A seek that never reports back should not leave the player silent
+const SEEK_TIMEOUT = 1000;
+
+export const normalizeFadeSettings = (stored) => ({ ...DEFAULT_FADE_SETTINGS, ...stored });
+
+// Resolves once an element has finished the seek it was just given
+export const waitForSeek = (element) => new Promise(resolve => {
+  if (!element?.seeking) {
+    resolve();
+    return;
+  }
+
+  const timeout = setTimeout(resolve, SEEK_TIMEOUT);
+  element.addEventListener('seeked', () => {
+    clearTimeout(timeout);
+    resolve();
+  }, { once: true });
+});
+
+// Play, pause and seek for one player, each fading the engine's transport envelope. Every
+// player keeps its own, so one player's pending fade never mistakes another's for its own.
+export const createTransport = () => {
+  // Set while a fade-out has yet to stop playback, which is still audible meanwhile
+  let isStopping = false;
+  // Bumped by every transport action, so a slow one can tell it has been overtaken
+  let lastAction = 0;
+
+  // Starts playback silent and fades it up. Pressing play during a fade-out just turns the fade
+  // round, as nothing has stopped yet; `start` should leave playback that is still going alone.
+  const startWithFade = async (start, duration) => {
+    const action = ++lastAction;
+    const wasStopping = isStopping;
+    isStopping = false;
+    if (!wasStopping) fadeTransport(0);
+
+    try {
+      await start();
+    } finally {
+      if (action === lastAction) fadeTransport(1, duration, wasStopping ? 0 : SETTLE_TIME);
+    }
+  };
+
+  // Fades out, then stops. Returns false if something else took over during the fade, in which
+  // case `stop` never runs.
+  const stopWithFade = async (stop, duration) => {
+    const action = ++lastAction;
+    isStopping = true;
+    await fadeTransport(0, duration);
+    if (action !== lastAction) return false;
+
+    isStopping = false;
+    stop();
+    fadeTransport(1, 0, RESTORE_DELAY);
+    return true;
+  };
+
+  // A media element is only ever in one place, so a seek crossfades through silence: out, jump,
+  // back in. `seek` may return a promise for when the jump is done. While paused or stopping
+  // there is nothing to fade. A seek overtaken by another still jumps but leaves the level to the
+  // newer one, so scrubbing stays quiet until it settles.
+  const seekWithFade = async (seek, duration, isPlaying = true) => {
+    if (!isPlaying || isStopping || duration <= 0) {
+      await seek();
+      return;
+    }
+
+    const action = ++lastAction;
+    await fadeTransport(0, duration);
+    await seek();
+    if (action === lastAction) fadeTransport(1, duration, SETTLE_TIME);
+  };
+
+  return { startWithFade, stopWithFade, seekWithFade };
+};
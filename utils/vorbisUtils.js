@@ -0,0 +1,317 @@
+// Vorbis comment reading for FLAC metadata blocks and Ogg Vorbis/Opus streams
+import {
+  readFileBytes,
+  readUint24BE,
+  readUint32BE,
+  readUint32LE,
+  readAscii,
+  decodeText
+} from './binaryUtils';
+import { getID3v2Size } from './id3Utils';
+import { createEmptyTags, parseTrackNumber, parseYear, joinValues, selectPicture } from './tagUtils';
+import { parseLyrics } from './lyricsUtils';
+import { parseReplayGain } from './loudnessUtils';
+
+export const FLAC_BLOCK_TYPES = {
+  STREAMINFO: 0,
+  PADDING: 1,
+  APPLICATION: 2,
+  SEEKTABLE: 3,
+  VORBIS_COMMENT: 4,
+  CUESHEET: 5,
+  PICTURE: 6
+};
+
+// Comment packets larger than this (usually huge embedded art) are not worth reading
+const MAX_OGG_HEADER_BYTES = 16 * 1024 * 1024;
+
+// Returns a map of upper-cased field names to every value given for them
+export const parseVorbisComments = (bytes, offset = 0) => {
+  const comments = {};
+  let position = offset;
+
+  const vendorLength = readUint32LE(bytes, position);
+  position += 4 + vendorLength;
+
+  const count = readUint32LE(bytes, position);
+  position += 4;
+
+  for (let i = 0; i < count && position + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, position);
+    position += 4;
+    if (position + length > bytes.length) break;
+
+    const entry = decodeText(bytes.subarray(position, position + length), 'utf-8');
+    position += length;
+
+    const separator = entry.indexOf('=');
+    if (separator <= 0) continue;
+
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1).trim();
+    if (!value) continue;
+
+    comments[key] = comments[key] || [];
+    comments[key].push(value);
+  }
+
+  return comments;
+};
+
+export const getVorbisCommentTags = (comments) => {
+  const tags = createEmptyTags();
+  if (!comments) return tags;
+
+  const first = (...keys) => {
+    const key = keys.find(k => comments[k]);
+    return key ? comments[key][0] : null;
+  };
+
+  tags.title = first('TITLE');
+  tags.artist = joinValues(comments.ARTIST || []);
+  tags.album = first('ALBUM');
+  tags.genre = joinValues(comments.GENRE || []);
+  tags.year = parseYear(first('DATE', 'YEAR', 'ORIGINALDATE'));
+  tags.lyrics = parseLyrics(first('LYRICS', 'UNSYNCEDLYRICS'));
+  tags.replayGain = parseReplayGain(name => first(name));
+  Object.assign(tags, parseTrackNumber(first('TRACKNUMBER')));
+
+  if (!tags.trackTotal) {
+    const total = parseInt(first('TRACKTOTAL', 'TOTALTRACKS'), 10);
+    tags.trackTotal = isNaN(total) ? null : total;
+  }
+
+  return tags;
+};
+
+// FLAC PICTURE blocks and base64 METADATA_BLOCK_PICTURE comments share this layout
+export const parsePictureBlock = (bytes) => {
+  try {
+    let offset = 0;
+    const type = readUint32BE(bytes, offset);
+    offset += 4;
+
+    const mimeLength = readUint32BE(bytes, offset);
+    const mimeType = readAscii(bytes, offset + 4, mimeLength);
+    offset += 4 + mimeLength;
+
+    const descriptionLength = readUint32BE(bytes, offset);
+    const description = decodeText(bytes.subarray(offset + 4, offset + 4 + descriptionLength), 'utf-8');
+    offset += 4 + descriptionLength;
+
+    const width = readUint32BE(bytes, offset);
+    const height = readUint32BE(bytes, offset + 4);
+    offset += 16;
+
+    const dataLength = readUint32BE(bytes, offset);
+    offset += 4;
+    if (offset + dataLength > bytes.length) return null;
+
+    return {
+      type,
+      mimeType,
+      description,
+      width,
+      height,
+      data: bytes.subarray(offset, offset + dataLength)
+    };
+  } catch (error) {
+    console.error('Error parsing picture block:', error);
+    return null;
+  }
+};
+
+const parseStreamInfo = (bytes) => {
+  // 20-bit sample rate, 3-bit channels - 1, 5-bit bits per sample - 1, 36-bit total samples
+  const sampleRate = (bytes[10] << 12) | (bytes[11] << 4) | (bytes[12] >> 4);
+  const channels = ((bytes[12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((bytes[12] & 0x01) << 4) | (bytes[13] >> 4)) + 1;
+  const totalSamples = (bytes[13] & 0x0f) * 0x100000000 + readUint32BE(bytes, 14);
+
+  return {
+    sampleRate,
+    channels,
+    bitsPerSample,
+    totalSamples,
+    duration: sampleRate > 0 ? totalSamples / sampleRate : 0
+  };
+};
+
+// Walks the FLAC metadata blocks, only reading the bodies of the ones we understand
+export const readFlacMetadata = async (file) => {
+  const header = await readFileBytes(file, 0, 10);
+  let offset = getID3v2Size(header);
+
+  const marker = await readFileBytes(file, offset, offset + 4);
+  if (readAscii(marker, 0, 4) !== 'fLaC') return null;
+  offset += 4;
+
+  const metadata = { streamInfo: null, comments: null, pictures: [] };
+  let isLast = false;
+
+  while (!isLast && offset + 4 <= file.size) {
+    const blockHeader = await readFileBytes(file, offset, offset + 4);
+    const type = blockHeader[0] & 0x7f;
+    const length = readUint24BE(blockHeader, 1);
+    isLast = (blockHeader[0] & 0x80) !== 0;
+    offset += 4;
+
+    if (type === FLAC_BLOCK_TYPES.STREAMINFO) {
+      metadata.streamInfo = parseStreamInfo(await readFileBytes(file, offset, offset + length));
+    } else if (type === FLAC_BLOCK_TYPES.VORBIS_COMMENT) {
+      metadata.comments = parseVorbisComments(await readFileBytes(file, offset, offset + length));
+    } else if (type === FLAC_BLOCK_TYPES.PICTURE) {
+      const picture = parsePictureBlock(await readFileBytes(file, offset, offset + length));
+      if (picture) metadata.pictures.push(picture);
+    } else if (type === 0x7f) {
+      // Reserved as invalid by the spec; the stream is corrupt past this point
+      break;
+    }
+
+    offset += length;
+  }
+
+  return metadata;
+};
+
+const concatBytes = (chunks) => {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return output;
+};
+
+// Reassemble the first packets of the first logical stream from Ogg pages
+export const readOggPackets = (bytes, packetCount) => {
+  const packets = [];
+  let current = [];
+  let serial = null;
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length && packets.length < packetCount) {
+    if (readAscii(bytes, offset, 4) !== 'OggS') return null;
+
+    const pageSerial = readUint32LE(bytes, offset + 14);
+    const segmentCount = bytes[offset + 26];
+    const tableStart = offset + 27;
+    let dataOffset = tableStart + segmentCount;
+    if (dataOffset > bytes.length) break;
+
+    if (serial === null) serial = pageSerial;
+
+    for (let i = 0; i < segmentCount; i++) {
+      const segmentLength = bytes[tableStart + i];
+      if (dataOffset + segmentLength > bytes.length) return packets;
+
+      if (pageSerial === serial) {
+        current.push(bytes.subarray(dataOffset, dataOffset + segmentLength));
+
+        // A lacing value under 255 ends the packet
+        if (segmentLength < 255) {
+          packets.push(concatBytes(current));
+          current = [];
+          if (packets.length === packetCount) break;
+        }
+      }
+
+      dataOffset += segmentLength;
+    }
+
+    offset = dataOffset;
+  }
+
+  return packets;
+};
+
+export const getOggCodec = (identificationPacket) => {
+  if (!identificationPacket) return null;
+  if (readAscii(identificationPacket, 0, 7) === '\x01vorbis') return 'vorbis';
+  if (readAscii(identificationPacket, 0, 8) === 'OpusHead') return 'opus';
+  return null;
+};
+
+const getCommentOffset = (codec, packet) => {
+  if (codec === 'vorbis' && readAscii(packet, 0, 7) === '\x03vorbis') return 7;
+  if (codec === 'opus' && readAscii(packet, 0, 8) === 'OpusTags') return 8;
+  return -1;
+};
+
+const decodeBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Ogg streams embed FLAC-style picture blocks as base64 comment values
+const getCommentPictures = (comments) => {
+  return (comments.METADATA_BLOCK_PICTURE || [])
+    .map(value => {
+      try {
+        return parsePictureBlock(decodeBase64(value));
+      } catch (error) {
+        console.error('Error decoding embedded picture:', error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+export const readOggMetadata = async (file) => {
+  let length = Math.min(file.size, 64 * 1024);
+
+  // The comment header can span many pages, so keep widening the read until it is complete
+  while (length <= file.size) {
+    const bytes = await readFileBytes(file, 0, length);
+    const packets = readOggPackets(bytes, 2);
+    if (!packets) return null;
+
+    if (packets.length === 2) {
+      const codec = getOggCodec(packets[0]);
+      const commentOffset = getCommentOffset(codec, packets[1]);
+      if (commentOffset < 0) return null;
+
+      const comments = parseVorbisComments(packets[1], commentOffset);
+      return { codec, comments, pictures: getCommentPictures(comments) };
+    }
+
+    if (length === file.size || length >= MAX_OGG_HEADER_BYTES) break;
+    length = Math.min(file.size, length * 4);
+  }
+
+  return null;
+};
+
+export const readFlacTags = async (file) => {
+  try {
+    const metadata = await readFlacMetadata(file);
+    return {
+      ...getVorbisCommentTags(metadata?.comments),
+      picture: selectPicture(metadata?.pictures)
+    };
+  } catch (error) {
+    console.error('Error reading FLAC tags:', error);
+    return createEmptyTags();
+  }
+};
+
+export const readOggTags = async (file) => {
+  try {
+    const metadata = await readOggMetadata(file);
+    return {
+      ...getVorbisCommentTags(metadata?.comments),
+      picture: selectPicture(metadata?.pictures)
+    };
+  } catch (error) {
+    console.error('Error reading Ogg tags:', error);
+    return createEmptyTags();
+  }
+};
@@ -0,0 +1,46 @@
+// Min/max peak overviews of decoded audio for the waveform seekbar
+const SAMPLES_PER_PEAK = 256;
+
+// Interleaved [min, max] pairs across all channels, one pair per SAMPLES_PER_PEAK samples
+export const computeWaveformPeaks = (audioBuffer, samplesPerPeak = SAMPLES_PER_PEAK) => {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const peakCount = Math.ceil(length / samplesPerPeak);
+  const peaks = new Float32Array(peakCount * 2);
+
+  for (let peak = 0; peak < peakCount; peak++) {
+    peaks[peak * 2] = Infinity;
+    peaks[peak * 2 + 1] = -Infinity;
+  }
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      const index = Math.floor(i / samplesPerPeak) * 2;
+      if (data[i] < peaks[index]) peaks[index] = data[i];
+      if (data[i] > peaks[index + 1]) peaks[index + 1] = data[i];
+    }
+  }
+
+  return {
+    peaks,
+    peakCount,
+    peaksPerSecond: sampleRate / samplesPerPeak,
+    duration: length / sampleRate
+  };
+};
+
+// Combined [min, max] of every peak between two times; empty ranges read as silence
+export const getPeakRange = (waveform, startTime, endTime) => {
+  const { peaks, peakCount, peaksPerSecond } = waveform;
+  const first = Math.max(0, Math.floor(startTime * peaksPerSecond));
+  const last = Math.min(peakCount - 1, Math.max(first, Math.ceil(endTime * peaksPerSecond) - 1));
+  let min = 0;
+  let max = 0;
+
+  for (let peak = first; peak <= last; peak++) {
+    if (peaks[peak * 2] < min) min = peaks[peak * 2];
+    if (peaks[peak * 2 + 1] > max) max = peaks[peak * 2 + 1];
+  }
+
+  return [min, max];
+};
@@ -0,0 +1,18 @@
+// Runs the offline track analysis on decoded PCM away from the main thread
+import { analyzeDecodedAudio } from '../utils/decodedAnalysis';
+
+self.onmessage = (event) => {
+  const { id, sampleRate, channels } = event.data;
+
+  try {
+    const result = analyzeDecodedAudio({
+      sampleRate,
+      numberOfChannels: channels.length,
+      length: channels[0] ? channels[0].length : 0,
+      getChannelData: (channel) => channels[channel]
+    });
+    self.postMessage({ id, result }, [result.waveform.peaks.buffer, result.envelope.levels.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,104 @@
+// Pitch shifter for the tempo controls, run on the audio rendering thread.
+// The media element changes speed by resampling, which moves the pitch with it; this processor
+// shifts the pitch back (and on by any requested transpose), so tempo and pitch end up independent.
+// Worklets are loaded as standalone scripts, so nothing can be imported here.
+
+// Length of the crossfaded read window. Longer smears transients, shorter sounds grainy.
+const WINDOW_SECONDS = 0.05;
+// How quickly the output moves between the dry signal and the shifted one
+const MIX_SMOOTHING_SECONDS = 0.01;
+const RATIO_EPSILON = 1e-4;
+
+const nextPowerOfTwo = (value) => Math.pow(2, Math.ceil(Math.log2(value)));
+
+// Hann window: two taps half a window apart always sum to unity gain
+const getWindowGain = (phase) => 0.5 - 0.5 * Math.cos(2 * Math.PI * phase);
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'pitchRatio',
+      defaultValue: 1,
+      minValue: 0.25,
+      maxValue: 4,
+      automationRate: 'k-rate'
+    }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+    this.bufferSize = nextPowerOfTwo(this.windowSize + 4);
+    this.bufferMask = this.bufferSize - 1;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+    this.mix = 0;
+    this.mixCoefficient = 1 - Math.exp(-1 / (sampleRate * MIX_SMOOTHING_SECONDS));
+  }
+
+  readDelayed(buffer, writeIndex, delay) {
+    const position = writeIndex - delay;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = buffer[index & this.bufferMask];
+    const b = buffer[(index + 1) & this.bufferMask];
+    return a + (b - a) * fraction;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+    const targetMix = Math.abs(ratio - 1) > RATIO_EPSILON ? 1 : 0;
+
+    if (!input || input.length === 0) {
+      output.forEach(channel => channel.fill(0));
+      return true;
+    }
+
+    while (this.buffers.length < output.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    // Two read taps sweep through the delay line, each fading out as it wraps around. The delay
+    // shrinks when shifting up and grows when shifting down.
+    const step = (1 - ratio) / this.windowSize;
+    const frames = output[0].length;
+    let phase = this.phase;
+    let mix = this.mix;
+    let writeIndex = this.writeIndex;
+
+    for (let frame = 0; frame < frames; frame++) {
+      phase += step;
+      phase -= Math.floor(phase);
+      mix += (targetMix - mix) * this.mixCoefficient;
+
+      const otherPhase = (phase + 0.5) % 1;
+      const gainA = getWindowGain(phase);
+      const gainB = 1 - gainA;
+      const delayA = 1 + phase * this.windowSize;
+      const delayB = 1 + otherPhase * this.windowSize;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const source = input[Math.min(channel, input.length - 1)];
+        const buffer = this.buffers[channel];
+        const dry = source[frame];
+        buffer[writeIndex & this.bufferMask] = dry;
+
+        const wet = mix > RATIO_EPSILON
+          ? this.readDelayed(buffer, writeIndex, delayA) * gainA + this.readDelayed(buffer, writeIndex, delayB) * gainB
+          : 0;
+        output[channel][frame] = dry + (wet - dry) * mix;
+      }
+      writeIndex++;
+    }
+
+    this.phase = phase;
+    this.mix = targetMix === 0 && mix < RATIO_EPSILON ? 0 : mix;
+    this.writeIndex = writeIndex & this.bufferMask;
+    return true;
+  }
+}
+
+registerProcessor('time-stretch-processor', TimeStretchProcessor);